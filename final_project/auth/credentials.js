@@ -0,0 +1,96 @@
+/**
+ * expressBookReviews - Credential Hashing
+ *
+ * Passwords are never stored in plain text. They are hashed with scrypt
+ * using a random per-user salt, and the cost parameters are stored next to
+ * the hash so they can be raised later without breaking existing accounts.
+ *
+ * Stored format: scrypt$<N>$<r>$<p>$<salt base64>$<hash base64>
+ */
+
+const crypto = require('crypto');
+
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const SALT_BYTES = 16;
+const KEY_BYTES = 64;
+
+/**
+ * Promise wrapper around crypto.scrypt
+ * @param {string} password - Plain text password
+ * @param {Buffer} salt - Salt bytes
+ * @param {Object} params - scrypt cost parameters { N, r, p }
+ * @returns {Promise<Buffer>} - Derived key
+ */
+const scrypt = (password, salt, params) => new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, KEY_BYTES, { ...params, maxmem: 64 * 1024 * 1024 }, (err, key) => {
+        if (err) {
+            return reject(err);
+        }
+        resolve(key);
+    });
+});
+
+/**
+ * Hashes a password for storage
+ * @param {string} password - Plain text password
+ * @returns {Promise<string>} - Encoded hash including algorithm, parameters and salt
+ */
+const hashPassword = async (password) => {
+    if (typeof password !== 'string' || password.length === 0) {
+        throw new Error('Password must be a non-empty string');
+    }
+
+    const salt = crypto.randomBytes(SALT_BYTES);
+    const key = await scrypt(password, salt, SCRYPT_PARAMS);
+    const { N, r, p } = SCRYPT_PARAMS;
+
+    return ['scrypt', N, r, p, salt.toString('base64'), key.toString('base64')].join('$');
+};
+
+/**
+ * Checks a password against a stored hash in constant time
+ * @param {string} password - Plain text password to check
+ * @param {string} storedHash - Value produced by hashPassword
+ * @returns {Promise<boolean>} - True if the password matches
+ */
+const verifyPassword = async (password, storedHash) => {
+    if (typeof password !== 'string' || typeof storedHash !== 'string') {
+        return false;
+    }
+
+    const parts = storedHash.split('$');
+
+    // EDGE CASE: Unknown algorithm or malformed hash never matches
+    if (parts.length !== 6 || parts[0] !== 'scrypt') {
+        return false;
+    }
+
+    const [, N, r, p, saltB64, hashB64] = parts;
+    const expected = Buffer.from(hashB64, 'base64');
+    const actual = await scrypt(password, Buffer.from(saltB64, 'base64'), {
+        N: Number(N),
+        r: Number(r),
+        p: Number(p)
+    });
+
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+// Hash of a random password, verified against when the account does not exist
+// so that unknown usernames take as long to reject as wrong passwords
+let dummyHash = null;
+
+/**
+ * Spends the same time as a real verification without being able to succeed
+ * @param {string} password - Password supplied by the client
+ * @returns {Promise<boolean>} - Always false
+ */
+const rejectUnknownUser = async (password) => {
+    if (!dummyHash) {
+        dummyHash = await hashPassword(crypto.randomBytes(16).toString('hex'));
+    }
+    await verifyPassword(String(password), dummyHash);
+    return false;
+};
+
+module.exports = { hashPassword, verifyPassword, rejectUnknownUser };
@@ -0,0 +1,103 @@
+/**
+ * expressBookReviews - Account Lockout
+ *
+ * Counts failed logins per account in the `loginFailures` collection. After
+ * auth.lockout.maxFailures failures within failureWindowMs the account is
+ * locked: while locked, logins are refused without checking the password.
+ * Each lockout lasts twice as long as the previous one (baseMs, 2 x baseMs,
+ * 4 x baseMs, ... up to maxMs). A successful login clears the record.
+ *
+ * Checking a password takes a while (scrypt), so attempts on one account are
+ * queued with queueLoginAttempt: parallel guesses then each see the failures
+ * recorded before them instead of all passing the lockout check at once.
+ *
+ * Record: { failures, firstFailureAt, lastFailureAt, lockouts, lockedUntil }
+ */
+
+const config = require('../config.js');
+const db = require('../storage').getStore();
+
+const { maxFailures, failureWindowMs, baseMs, maxMs } = config.auth.lockout;
+
+const failures = db.collection('loginFailures');
+
+const keyOf = (username) => String(username).trim().toLowerCase();
+
+// Account key -> promise settled when the last queued attempt has finished
+const attemptQueues = new Map();
+
+/**
+ * Runs login attempts on the same account one after another
+ * @param {string} username - Username as typed
+ * @param {Function} attempt - async () => result; checks the lockout, the password and records the outcome
+ * @returns {Promise<*>} - What attempt resolves to
+ */
+const queueLoginAttempt = (username, attempt) => {
+    const key = keyOf(username);
+    const result = (attemptQueues.get(key) || Promise.resolve()).then(attempt);
+    const settled = result.catch(() => {});
+    attemptQueues.set(key, settled);
+    settled.then(() => {
+        // EDGE CASE: Later attempts queued meanwhile still need the entry
+        if (attemptQueues.get(key) === settled) {
+            attemptQueues.delete(key);
+        }
+    });
+    return result;
+};
+
+/**
+ * Reports whether an account is currently locked
+ * @param {string} username - Username as typed
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {Object|null} - { lockedUntil, retryAfterMs } while locked, otherwise null
+ */
+const getLockout = (username, now = Date.now()) => {
+    const record = failures.get(keyOf(username));
+    if (!record || !record.lockedUntil) {
+        return null;
+    }
+    const until = Date.parse(record.lockedUntil);
+    return until > now ? { lockedUntil: record.lockedUntil, retryAfterMs: until - now } : null;
+};
+
+/**
+ * Records a failed login and locks the account once the limit is reached
+ * @param {string} username - Username as typed
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {Object|null} - { lockedUntil, retryAfterMs } if this failure locked the account
+ */
+const recordFailedLogin = (username, now = Date.now()) => {
+    const key = keyOf(username);
+    const record = failures.get(key) || { failures: 0, lockouts: 0 };
+
+    // EDGE CASE: Old failures no longer count; the lockout count keeps escalating until a success
+    const windowExpired = record.firstFailureAt && now - Date.parse(record.firstFailureAt) > failureWindowMs;
+    if (record.failures === 0 || windowExpired) {
+        record.failures = 0;
+        record.firstFailureAt = new Date(now).toISOString();
+    }
+    record.failures++;
+    record.lastFailureAt = new Date(now).toISOString();
+
+    let lockout = null;
+    if (record.failures >= maxFailures) {
+        const duration = Math.min(maxMs, baseMs * 2 ** record.lockouts);
+        record.lockouts++;
+        record.lockedUntil = new Date(now + duration).toISOString();
+        record.failures = 0;
+        lockout = { lockedUntil: record.lockedUntil, retryAfterMs: duration };
+    }
+
+    failures.set(key, record);
+    return lockout;
+};
+
+/**
+ * Forgets failed logins after a successful one (or when an admin unlocks the account)
+ * @param {string} username - Username as typed
+ * @returns {boolean} - True if there was anything to clear
+ */
+const clearFailedLogins = (username) => failures.delete(keyOf(username));
+
+module.exports = { getLockout, recordFailedLogin, clearFailedLogins, queueLoginAttempt };
@@ -0,0 +1,71 @@
+/**
+ * expressBookReviews - Login Audit Log
+ *
+ * One record per POST /customer/login attempt in the `loginAudit`
+ * collection, readable by admins through GET /admin/login-audit:
+ *   { id, at, username, ip, userAgent, outcome }
+ *
+ * Outcomes: success, invalid_password, unknown_user, locked,
+ * missing_credentials. Only the newest auth.audit.maxEntries records are kept.
+ */
+
+const crypto = require('crypto');
+const config = require('../config.js');
+const db = require('../storage').getStore();
+
+const OUTCOMES = ['success', 'invalid_password', 'unknown_user', 'locked', 'missing_credentials'];
+const USER_AGENT_MAX_LENGTH = 300;
+
+const audit = db.collection('loginAudit');
+
+/**
+ * Records a login attempt
+ * @param {Object} req - Express request object (IP and User-Agent are taken from it)
+ * @param {string|undefined} username - Username as typed
+ * @param {string} outcome - One of OUTCOMES
+ * @returns {Object} - The stored record
+ */
+const recordLoginAttempt = (req, username, outcome) => {
+    const now = new Date();
+    // Time-ordered ids keep the collection sorted oldest first
+    const id = `${now.getTime().toString(36).padStart(9, '0')}-${crypto.randomBytes(4).toString('hex')}`;
+    const record = {
+        id,
+        at: now.toISOString(),
+        username: typeof username === 'string' ? username.trim().toLowerCase().slice(0, 100) : null,
+        ip: req.ip || req.connection?.remoteAddress || 'unknown',
+        userAgent: String(req.get('User-Agent') || '').slice(0, USER_AGENT_MAX_LENGTH),
+        outcome
+    };
+    // One batch, so the json driver writes its file once however many records are trimmed
+    db.batch(() => {
+        audit.set(id, record);
+        const excess = audit.count() - config.auth.audit.maxEntries;
+        if (excess > 0) {
+            for (const oldKey of audit.keys().sort().slice(0, excess)) {
+                audit.delete(oldKey);
+            }
+        }
+    });
+    return record;
+};
+
+/**
+ * Lists login attempts, newest first
+ * @param {Object} [filters]
+ * @param {string} [filters.username] - Exact username (case-insensitive)
+ * @param {string} [filters.outcome] - One of OUTCOMES
+ * @param {string} [filters.ip] - Exact IP address
+ * @param {number} [filters.since] - Earliest time in milliseconds
+ * @param {number} [filters.until] - Latest time in milliseconds
+ * @returns {Object[]} - Matching records
+ */
+const queryLoginAttempts = ({ username, outcome, ip, since, until } = {}) => Object.values(audit.all())
+    .filter(record => !username || record.username === username.trim().toLowerCase())
+    .filter(record => !outcome || record.outcome === outcome)
+    .filter(record => !ip || record.ip === ip)
+    .filter(record => since === undefined || Date.parse(record.at) >= since)
+    .filter(record => until === undefined || Date.parse(record.at) <= until)
+    .sort((a, b) => (a.id < b.id ? 1 : -1));
+
+module.exports = { OUTCOMES, recordLoginAttempt, queryLoginAttempts };
@@ -0,0 +1,74 @@
+/**
+ * expressBookReviews - Authentication Middleware
+ *
+ * Accepts either of the two ways a client can present its access token:
+ * - Authorization: Bearer <token>   (API clients)
+ * - the session cookie set by POST /customer/login   (browser flow)
+ *
+ * On success the decoded token is attached as req.user. Authorization
+ * middleware (requirePermission) must run after authenticate.
+ */
+
+const { verifyAccessToken } = require('./tokens.js');
+const { hasPermission, DEFAULT_ROLE } = require('./roles.js');
+
+/**
+ * Extracts the access token from the request
+ * @param {Object} req - Express request object
+ * @returns {string|null} - The token, or null if none was sent
+ */
+const getAccessToken = (req) => {
+    const header = req.get('Authorization');
+    if (header) {
+        const [scheme, token] = header.split(' ');
+        return scheme && scheme.toLowerCase() === 'bearer' && token ? token : null;
+    }
+    return req.session?.authorization?.accessToken || null;
+};
+
+/**
+ * Rejects requests without a valid, unrevoked access token
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const authenticate = (req, res, next) => {
+    const token = getAccessToken(req);
+
+    if (!token) {
+        return res.status(403).json({ message: "User not logged in" });
+    }
+
+    try {
+        req.user = verifyAccessToken(token);
+        next(); // Proceed to the next middleware
+    } catch (error) {
+        return res.status(403).json({ message: "User not authenticated", reason: error.message });
+    }
+};
+
+/**
+ * Builds middleware that only lets through users whose role holds a permission
+ * @param {string} permission - Permission name from auth/roles.js
+ * @returns {Function} - Express middleware
+ */
+const requirePermission = (permission) => {
+    // Fail at startup, not on the first request, if a route names an unknown permission
+    hasPermission(DEFAULT_ROLE, permission);
+
+    return (req, res, next) => {
+        if (!req.user) {
+            return res.status(403).json({ message: "User not logged in" });
+        }
+        if (!hasPermission(req.user.role, permission)) {
+            return res.status(403).json({
+                error: "Forbidden",
+                message: `Your role (${req.user.role || DEFAULT_ROLE}) is not allowed to do this`,
+                requiredPermission: permission
+            });
+        }
+        next();
+    };
+};
+
+module.exports = { authenticate, getAccessToken, requirePermission };
@@ -0,0 +1,40 @@
+/**
+ * expressBookReviews - Password Rules
+ *
+ * The checks a new password must pass, shared by registration and password
+ * changes so both accept exactly the same passwords.
+ */
+
+const PASSWORD_MIN_LENGTH = 6;
+const COMMON_PASSWORDS = ['password', '123456', 'qwerty', 'letmein', 'welcome'];
+const SQL_INJECTION_PATTERNS = [';', '--', '/*', '*/', 'xp_'];
+
+/**
+ * Checks a new password
+ * @param {*} password - Candidate password
+ * @returns {Object|null} - { error, message } describing the problem, or null if acceptable
+ */
+const checkNewPassword = (password) => {
+    if (typeof password !== 'string') {
+        return { error: "Invalid data type", message: "Password must be a string" };
+    }
+
+    // Validate password strength
+    if (password.length < PASSWORD_MIN_LENGTH) {
+        return { error: "Weak password", message: `Password must be at least ${PASSWORD_MIN_LENGTH} characters long` };
+    }
+
+    // EDGE CASE: Check for common insecure passwords (basic check)
+    if (COMMON_PASSWORDS.includes(password.toLowerCase())) {
+        return { error: "Insecure password", message: "Please choose a stronger password" };
+    }
+
+    // EDGE CASE: Check for SQL injection patterns (basic)
+    if (SQL_INJECTION_PATTERNS.some(pattern => password.includes(pattern))) {
+        return { error: "Invalid input", message: "Input contains potentially harmful characters" };
+    }
+
+    return null;
+};
+
+module.exports = { PASSWORD_MIN_LENGTH, SQL_INJECTION_PATTERNS, checkNewPassword };
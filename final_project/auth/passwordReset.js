@@ -0,0 +1,113 @@
+/**
+ * expressBookReviews - Password Reset Tokens
+ *
+ * POST /password/forgot issues a one-time token, POST /password/reset
+ * consumes it. Tokens follow the refresh token design (auth/tokens.js):
+ * the client gets "<id>.<secret>" and the `passwordResets` collection only
+ * keeps a SHA-256 hash of the secret, so a leaked database cannot be used
+ * to reset passwords.
+ *
+ * A user has at most one pending token: asking again replaces it. Tokens
+ * expire after auth.passwordResetTtl seconds and are deleted when used.
+ */
+
+const crypto = require('crypto');
+const config = require('../config.js');
+const db = require('../storage').getStore();
+
+const resets = db.collection('passwordResets');
+
+/**
+ * Builds an error for an unusable token
+ * @param {string} message - Error message
+ * @returns {Error} - Error flagged with isTokenError
+ */
+const resetTokenError = (message) => {
+    const error = new Error(message);
+    error.status = 400;
+    error.isTokenError = true;
+    return error;
+};
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+/**
+ * Deletes every pending reset token of a user
+ * Called when a token is issued or used, the password changes or the account is deleted.
+ * @param {string} username - Account owner
+ * @returns {number} - Number of tokens deleted
+ */
+const revokePasswordResets = (username) => {
+    let revoked = 0;
+    for (const [id, reset] of Object.entries(resets.all())) {
+        // EDGE CASE: Expired tokens of any user are swept along the way
+        if (reset.username === username || Date.parse(reset.expiresAt) <= Date.now()) {
+            resets.delete(id);
+            revoked += reset.username === username ? 1 : 0;
+        }
+    }
+    return revoked;
+};
+
+/**
+ * Deletes a single reset token
+ * @param {string} id - Token id (the part before the dot)
+ * @returns {boolean} - True if it was still pending
+ */
+const revokePasswordResetToken = (id) => resets.delete(id);
+
+/**
+ * Issues a reset token for a user, replacing any pending one
+ * @param {string} username - Account owner
+ * @returns {Object} - { id, token, expiresAt }
+ */
+const createPasswordResetToken = (username) => {
+    revokePasswordResets(username);
+
+    const id = crypto.randomUUID();
+    const secret = crypto.randomBytes(32).toString('base64url');
+    const now = Date.now();
+    const expiresAt = new Date(now + config.auth.passwordResetTtl * 1000).toISOString();
+
+    resets.set(id, {
+        id,
+        username,
+        secretHash: sha256(secret),
+        createdAt: new Date(now).toISOString(),
+        expiresAt
+    });
+    return { id, token: `${id}.${secret}`, expiresAt };
+};
+
+/**
+ * Validates and deletes a reset token
+ * @param {string} token - "<id>.<secret>" from the reset message
+ * @returns {string} - Username the token was issued to
+ * @throws {Error} - Flagged with isTokenError if the token is malformed, unknown, used or expired
+ */
+const consumePasswordResetToken = (token) => {
+    const [id, secret, ...rest] = typeof token === 'string' ? token.split('.') : [];
+    if (!id || !secret || rest.length > 0) {
+        throw resetTokenError('Malformed reset token');
+    }
+
+    const reset = resets.get(id);
+    // Same message for unknown and already used tokens
+    if (!reset) {
+        throw resetTokenError('Reset token is invalid or has already been used');
+    }
+
+    const expected = Buffer.from(reset.secretHash, 'hex');
+    const actual = Buffer.from(sha256(secret), 'hex');
+    if (!crypto.timingSafeEqual(expected, actual)) {
+        throw resetTokenError('Reset token is invalid or has already been used');
+    }
+
+    resets.delete(id);
+    if (Date.parse(reset.expiresAt) <= Date.now()) {
+        throw resetTokenError('Reset token has expired; request a new one');
+    }
+    return reset.username;
+};
+
+module.exports = { createPasswordResetToken, consumePasswordResetToken, revokePasswordResetToken, revokePasswordResets };
@@ -0,0 +1,44 @@
+/**
+ * expressBookReviews - Roles and Permissions
+ *
+ * Every user has exactly one role. Routes never check role names directly;
+ * they declare the permission they need and this table decides which roles
+ * hold it, so granting a new capability to a role is a one-line change.
+ */
+
+const ROLES = ['customer', 'moderator', 'admin'];
+const DEFAULT_ROLE = 'customer';
+
+const PERMISSIONS = {
+    // Write, edit and delete one's own reviews
+    'reviews:write': ['customer', 'moderator', 'admin'],
+    // Hide or delete reviews written by anyone
+    'reviews:moderate': ['moderator', 'admin'],
+    // Add, edit and remove books in the catalogue
+    'books:manage': ['admin'],
+    // List users and change their roles
+    'users:manage': ['admin']
+};
+
+/**
+ * Checks whether a role name exists
+ * @param {string} role - Role name
+ * @returns {boolean} - True for customer, moderator or admin
+ */
+const isValidRole = (role) => ROLES.includes(role);
+
+/**
+ * Checks whether a role holds a permission
+ * @param {string} role - Role name (missing roles count as the default role)
+ * @param {string} permission - Permission name from PERMISSIONS
+ * @returns {boolean} - True if the role is allowed
+ */
+const hasPermission = (role, permission) => {
+    const allowed = PERMISSIONS[permission];
+    if (!allowed) {
+        throw new Error(`Unknown permission "${permission}"`);
+    }
+    return allowed.includes(role || DEFAULT_ROLE);
+};
+
+module.exports = { ROLES, DEFAULT_ROLE, PERMISSIONS, isValidRole, hasPermission };
@@ -0,0 +1,236 @@
+/**
+ * expressBookReviews - Access and Refresh Tokens
+ *
+ * Every successful login opens a "token session" identified by a random
+ * session id (sid). The session is stored in the `tokenSessions` collection
+ * and both tokens are bound to it:
+ *
+ * - access token:  short-lived JWT carrying { username, role, sid }
+ * - refresh token: opaque "<sid>.<secret>" string; only a SHA-256 hash of the
+ *                  secret is stored, and it is replaced on every refresh
+ *
+ * Revoking the token session (logout, password change, ...) invalidates the
+ * access token and the refresh token at once. Presenting an already-rotated
+ * refresh token is treated as token theft and revokes the session as well;
+ * a secret the session never issued is merely rejected, so knowing a sid
+ * (it is in every access token) is not enough to log someone out.
+ *
+ * Expired sessions are removed at startup and then at most once an hour.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const config = require('../config.js');
+const db = require('../storage').getStore();
+const { DEFAULT_ROLE } = require('./roles.js');
+
+const ACCESS_TOKEN_SECRET = config.auth.jwtSecret;
+const ACCESS_TOKEN_TTL = config.auth.accessTokenTtl; // seconds
+const REFRESH_TOKEN_TTL = config.auth.refreshTokenTtl; // seconds
+
+// Hashes of rotated secrets kept per session for reuse detection
+const MAX_ROTATED_HASHES = 20;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+const sessions = db.collection('tokenSessions');
+let lastPrunedAt = 0;
+
+/**
+ * Builds an error carrying the HTTP status the routes should answer with
+ * @param {string} message - Error message
+ * @returns {Error} - Error flagged with status 401
+ */
+const tokenError = (message) => {
+    const error = new Error(message);
+    error.status = 401;
+    error.isTokenError = true;
+    return error;
+};
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+/**
+ * Compares two hex-encoded hashes in constant time
+ * @param {string} a - Hash
+ * @param {string} b - Hash
+ * @returns {boolean} - True if equal
+ */
+const sameHash = (a, b) => {
+    const left = Buffer.from(a, 'hex');
+    const right = Buffer.from(b, 'hex');
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+/**
+ * Removes every expired token session
+ * @returns {number} - Number of sessions removed
+ */
+const pruneExpiredSessions = () => {
+    const now = Date.now();
+    lastPrunedAt = now;
+    let removed = 0;
+    for (const [sid, session] of Object.entries(sessions.all())) {
+        if (!(Date.parse(session.expiresAt) > now)) {
+            sessions.delete(sid);
+            removed++;
+        }
+    }
+    return removed;
+};
+
+/**
+ * Signs an access token and generates a refresh secret for a session
+ * The role is read from the user record each time, so a refresh picks up role changes.
+ * @param {Object} session - Stored token session
+ * @returns {Object} - { accessToken, refreshToken, refreshHash }
+ */
+const mintTokens = (session) => {
+    const secret = crypto.randomBytes(32).toString('base64url');
+    const role = db.users.get(session.username.toLowerCase())?.role || DEFAULT_ROLE;
+    return {
+        accessToken: jwt.sign({ username: session.username, role, sid: session.sid }, ACCESS_TOKEN_SECRET, {
+            expiresIn: ACCESS_TOKEN_TTL
+        }),
+        refreshToken: `${session.sid}.${secret}`,
+        refreshHash: sha256(secret)
+    };
+};
+
+/**
+ * Shapes the token pair returned to clients
+ * @param {Object} session - Stored token session
+ * @param {Object} tokens - Output of mintTokens
+ * @returns {Object} - Client-facing token response
+ */
+const tokenResponse = (session, tokens) => ({
+    sid: session.sid,
+    accessToken: tokens.accessToken,
+    refreshToken: tokens.refreshToken,
+    tokenType: 'Bearer',
+    expiresIn: ACCESS_TOKEN_TTL,
+    refreshExpiresAt: session.expiresAt
+});
+
+/**
+ * Opens a new token session for a user
+ * @param {string} username - Authenticated username
+ * @returns {Object} - Token response with sid, accessToken and refreshToken
+ */
+const createTokenSession = (username) => {
+    const now = Date.now();
+    const session = {
+        sid: crypto.randomUUID(),
+        username,
+        createdAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + REFRESH_TOKEN_TTL * 1000).toISOString()
+    };
+    const tokens = mintTokens(session);
+
+    sessions.set(session.sid, { ...session, refreshHash: tokens.refreshHash });
+    return tokenResponse(session, tokens);
+};
+
+/**
+ * Exchanges a refresh token for a new token pair (refresh token rotation)
+ * @param {string} refreshToken - Refresh token issued earlier
+ * @returns {Object} - New token response; the old refresh token stops working
+ * @throws {Error} - 401 error if the token is unknown, expired, revoked or reused
+ */
+const rotateRefreshToken = (refreshToken) => {
+    if (typeof refreshToken !== 'string' || !refreshToken.includes('.')) {
+        throw tokenError('Malformed refresh token');
+    }
+
+    if (Date.now() - lastPrunedAt >= PRUNE_INTERVAL_MS) {
+        pruneExpiredSessions();
+    }
+
+    const [sid, secret] = refreshToken.split('.', 2);
+    const session = sessions.get(sid);
+
+    if (!session) {
+        throw tokenError('Refresh token is not valid');
+    }
+
+    // EDGE CASE: Session expired - remove it instead of leaving it behind
+    if (Date.parse(session.expiresAt) <= Date.now()) {
+        sessions.delete(sid);
+        throw tokenError('Refresh token has expired');
+    }
+
+    const presented = sha256(secret);
+    const rotatedHashes = session.rotatedHashes || [];
+
+    if (!sameHash(session.refreshHash, presented)) {
+        // EDGE CASE: An old (already rotated) token is being replayed - assume it was stolen
+        if (rotatedHashes.some(hash => sameHash(hash, presented))) {
+            sessions.delete(sid);
+            throw tokenError('Refresh token was already used; the session has been revoked');
+        }
+        throw tokenError('Refresh token is not valid');
+    }
+
+    const tokens = mintTokens(session);
+    sessions.set(sid, {
+        ...session,
+        refreshHash: tokens.refreshHash,
+        rotatedHashes: [...rotatedHashes, session.refreshHash].slice(-MAX_ROTATED_HASHES),
+        rotatedAt: new Date().toISOString()
+    });
+    return tokenResponse(session, tokens);
+};
+
+/**
+ * Verifies an access token and checks that its session is still open
+ * @param {string} accessToken - JWT from the session or Authorization header
+ * @returns {Object} - Decoded token payload
+ * @throws {Error} - 401 error if the token is invalid, expired or revoked
+ */
+const verifyAccessToken = (accessToken) => {
+    let payload;
+    try {
+        payload = jwt.verify(accessToken, ACCESS_TOKEN_SECRET);
+    } catch (err) {
+        throw tokenError(err.name === 'TokenExpiredError' ? 'Access token has expired' : 'Access token is not valid');
+    }
+
+    if (!payload.sid || !sessions.has(payload.sid)) {
+        throw tokenError('Access token has been revoked');
+    }
+    return payload;
+};
+
+/**
+ * Revokes a single token session
+ * @param {string} sid - Session id
+ * @returns {boolean} - True if a session was removed
+ */
+const revokeTokenSession = (sid) => sessions.delete(sid);
+
+/**
+ * Revokes every token session of a user
+ * @param {string} username - Owner of the sessions
+ * @param {Object} [options]
+ * @param {string} [options.except] - Session id to keep open
+ * @returns {number} - Number of sessions removed
+ */
+const revokeUserTokenSessions = (username, { except } = {}) => {
+    let removed = 0;
+    for (const [sid, session] of Object.entries(sessions.all())) {
+        if (session.username === username && sid !== except) {
+            sessions.delete(sid);
+            removed++;
+        }
+    }
+    return removed;
+};
+
+pruneExpiredSessions();
+
+module.exports = {
+    createTokenSession,
+    rotateRefreshToken,
+    verifyAccessToken,
+    revokeTokenSession,
+    revokeUserTokenSessions
+};
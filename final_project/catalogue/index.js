@@ -0,0 +1,177 @@
+/**
+ * expressBookReviews - Bulk Catalogue Import and Export
+ *
+ * Used by POST /admin/books/import, GET /export, GET /isbn/:isbn?format=
+ * and scripts/import-catalogue.js. File formats are in lib/catalogueFormats.js
+ * and lib/libraryFormats.js.
+ *
+ * Imports upsert by ISBN: a book that is already stored (under any form of
+ * its ISBN) has its details replaced, like PUT /admin/books/:isbn, and keeps
+ * its reviews; any other book is added. Every row is validated on its own
+ * and rows that fail are skipped, so one bad row does not stop the rest.
+ * Reviews, createdAt and updatedAt in the file are ignored - reviews are only
+ * ever changed through the review endpoints.
+ *
+ * Exports list every book, in key order, with its visible reviews where the
+ * format has room for them. They are written one book at a time so the
+ * catalogue is never held in memory as a whole.
+ */
+
+const db = require('../storage').getStore();
+const { BOOK_SCHEMA_VERSION, validateBook, finalizeBook } = require('../lib/bookSchema.js');
+const { parseIsbn, findBookKey } = require('../lib/isbn.js');
+const { listPublicReviews } = require('../lib/reviews.js');
+const { FORMATS, EXPORT_ONLY_FIELDS, toExportRecord } = require('../lib/catalogueFormats.js');
+const { getNameIndex, ensureAuthors } = require('../router/authors.js');
+
+const MAX_IMPORT_ROWS = 5000;
+
+/**
+ * Validates one row of an import and, unless dryRun, stores it
+ * @param {Object} entry - { row, record } or { row, error } from a format's parse()
+ * @param {Object} context
+ * @param {Map<string, number>} context.seen - Book key -> row, for the rows handled so far
+ * @param {boolean} context.dryRun - Only report what would happen
+ * @param {Map<string, string>} [context.nameIndex] - Author name index, shared by every row (not needed for a dry run)
+ * @returns {Object} - { row, isbn, status, errors?, createdAuthors? }
+ */
+const importRow = ({ row, record, error }, { seen, dryRun, nameIndex }) => {
+    if (error) {
+        return { row, isbn: null, status: 'invalid', errors: [{ field: null, message: error }] };
+    }
+    // EDGE CASE: JSON and NDJSON rows that are not objects
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+        return { row, isbn: null, status: 'invalid', errors: [{ field: null, message: "Each book must be an object" }] };
+    }
+
+    const details = Object.fromEntries(Object.entries(record).filter(([field]) => !EXPORT_ONLY_FIELDS.includes(field)));
+    const isbn = ['string', 'number'].includes(typeof record.isbn) ? String(record.isbn).trim() : null;
+    const { errors, value } = validateBook(details, { requireIsbn: true });
+    if (errors.length > 0) {
+        return { row, isbn, status: 'invalid', errors };
+    }
+
+    const existingKey = findBookKey(db.books, value.isbn);
+    const key = existingKey || parseIsbn(value.isbn).key;
+
+    // EDGE CASE: Same book twice in one file, possibly as ISBN-10 and ISBN-13
+    if (seen.has(key)) {
+        return { row, isbn: key, status: 'invalid', errors: [{ field: 'isbn', message: `Same book as row ${seen.get(key)}` }] };
+    }
+    seen.set(key, row);
+
+    const { isbn: _isbn, ...fields } = value;
+    const now = new Date().toISOString();
+    let book;
+    let status;
+    if (existingKey) {
+        const current = db.books.get(existingKey);
+        book = finalizeBook({ ...current, ...fields });
+        status = JSON.stringify(book) === JSON.stringify(current) ? 'unchanged' : 'updated';
+        book.updatedAt = now;
+    } else {
+        book = finalizeBook({ ...fields, reviews: {}, createdAt: now, updatedAt: now });
+        status = 'created';
+    }
+
+    if (dryRun || status === 'unchanged') {
+        return { row, isbn: key, status };
+    }
+    db.books.set(key, book);
+    const createdAuthors = ensureAuthors(book.authors, nameIndex);
+    return { row, isbn: key, status, ...(createdAuthors.length > 0 && { createdAuthors }) };
+};
+
+/**
+ * Imports a catalogue file
+ * @param {string} text - File contents
+ * @param {string} format - Key of FORMATS
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - Validate and report without storing anything
+ * @param {Object} [options.root] - XML root element from detectFormat, so the file is not parsed twice
+ * @returns {Object} - { error } if the file cannot be read, otherwise
+ *          { dryRun, summary: { total, created, updated, unchanged, invalid }, rows }
+ */
+const importCatalogue = (text, format, { dryRun = false, root } = {}) => {
+    const { rows, error } = FORMATS[format].parse(text, { root });
+    if (error) {
+        return { error };
+    }
+    if (rows.length === 0) {
+        return { error: "The file contains no books" };
+    }
+    if (rows.length > MAX_IMPORT_ROWS) {
+        return { error: `At most ${MAX_IMPORT_ROWS} books can be imported at once, the file has ${rows.length}` };
+    }
+
+    const seen = new Map();
+    // One file write and one author name index for the whole import, not one per row
+    const results = dryRun
+        ? rows.map(entry => importRow(entry, { seen, dryRun }))
+        : db.batch(() => {
+            const nameIndex = getNameIndex();
+            return rows.map(entry => importRow(entry, { seen, dryRun, nameIndex }));
+        });
+    const summary = { total: results.length, created: 0, updated: 0, unchanged: 0, invalid: 0 };
+    for (const { status } of results) {
+        summary[status]++;
+    }
+    return { dryRun, summary, rows: results };
+};
+
+/**
+ * Prepares a stored book for export
+ * @param {string} key - Book key
+ * @param {Object} book - Stored book
+ * @returns {Object} - See toExportRecord; reviews are the visible ones
+ */
+const exportRecordOf = (key, book) => toExportRecord({
+    ...book,
+    isbn: key,
+    reviews: Object.fromEntries(listPublicReviews(book.reviews))
+});
+
+/**
+ * Writes a single book in an export format
+ * @param {string} format - Key of FORMATS
+ * @param {string} key - Book key
+ * @param {Object} book - Stored book
+ * @returns {string} - A file holding just that book
+ */
+const exportBook = (format, key, book) => {
+    const { head, record, tail } = FORMATS[format];
+    return head({ exportedAt: new Date().toISOString(), schemaVersion: BOOK_SCHEMA_VERSION })
+        + record(exportRecordOf(key, book), 0, {})
+        + tail();
+};
+
+/**
+ * Produces an export of the whole catalogue, piece by piece
+ * @param {string} format - Key of FORMATS
+ * @returns {Generator<string>} - Chunks of the export, in order
+ */
+function* exportCatalogue(format) {
+    const { head, record, tail } = FORMATS[format];
+    const state = {};
+    yield head({ exportedAt: new Date().toISOString(), schemaVersion: BOOK_SCHEMA_VERSION });
+
+    const keys = db.books.keys().sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+    let index = 0;
+    for (const key of keys) {
+        const book = db.books.get(key);
+        // EDGE CASE: Book deleted while the export runs
+        if (!book) {
+            continue;
+        }
+        yield record(exportRecordOf(key, book), index++, state);
+    }
+
+    yield tail();
+}
+
+module.exports = {
+    MAX_IMPORT_ROWS,
+    importCatalogue,
+    exportBook,
+    exportCatalogue
+};
@@ -0,0 +1,298 @@
+/**
+ * expressBookReviews - Application Configuration
+ *
+ * Every tunable setting lives here. Values are resolved in this order
+ * (later wins):
+ *   1. built-in defaults (below)
+ *   2. optional config file - JSON or YAML, path from CONFIG_FILE, otherwise
+ *      config.json / config.yaml / config.yml next to this file if present
+ *   3. environment variables
+ *
+ * The result is validated once when the module is first required. Invalid
+ * values throw a single error listing every problem, so the server refuses
+ * to start instead of running with a half-broken configuration.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { ALGORITHMS: RATE_LIMIT_ALGORITHMS } = require('./rateLimit/algorithms.js');
+
+/**
+ * Setting definitions
+ * - key:     dotted path in the config object (and in the config file)
+ * - env:     environment variable overriding the value
+ * - type:    string | integer | boolean | enum | secret
+ * - default: value used when neither the file nor the environment sets it
+ * - requiredInProduction: the default is for development only; NODE_ENV=production
+ *            needs the value set explicitly (secrets always do)
+ */
+const SCHEMA = [
+    // Server
+    { key: 'server.host', env: 'HOST', type: 'string', default: 'localhost' },
+    { key: 'server.port', env: 'PORT', type: 'integer', min: 1, max: 65535, default: 5000 },
+    { key: 'server.bindAddress', env: 'BIND_ADDRESS', type: 'string', default: '' },
+
+    // Authentication
+    { key: 'auth.jwtSecret', env: 'JWT_SECRET', type: 'secret', default: 'access' },
+    { key: 'auth.sessionSecret', env: 'SESSION_SECRET', type: 'secret', default: 'fingerprint_customer' },
+    { key: 'auth.accessTokenTtl', env: 'ACCESS_TOKEN_TTL', type: 'integer', min: 60, default: 60 * 60 },
+    { key: 'auth.refreshTokenTtl', env: 'REFRESH_TOKEN_TTL', type: 'integer', min: 60, default: 7 * 24 * 60 * 60 },
+    { key: 'auth.lockout.maxFailures', env: 'LOCKOUT_MAX_FAILURES', type: 'integer', min: 1, default: 5 },
+    { key: 'auth.lockout.failureWindowMs', env: 'LOCKOUT_FAILURE_WINDOW_MS', type: 'integer', min: 1000, default: 15 * 60 * 1000 },
+    { key: 'auth.lockout.baseMs', env: 'LOCKOUT_BASE_MS', type: 'integer', min: 1000, default: 60 * 1000 },
+    { key: 'auth.lockout.maxMs', env: 'LOCKOUT_MAX_MS', type: 'integer', min: 1000, default: 60 * 60 * 1000 },
+    { key: 'auth.audit.maxEntries', env: 'LOGIN_AUDIT_MAX_ENTRIES', type: 'integer', min: 1, default: 10000 },
+    { key: 'auth.passwordResetTtl', env: 'PASSWORD_RESET_TTL', type: 'integer', min: 60, default: 60 * 60 },
+
+    // Storage
+    { key: 'storage.driver', env: 'STORAGE_DRIVER', type: 'enum', values: ['json', 'sqlite', 'memory'], default: 'json' },
+    { key: 'storage.path', env: 'STORAGE_PATH', type: 'string', default: '' },
+
+    // Outgoing mail (password reset messages)
+    // The console transport logs reset tokens, so production has to choose a transport on purpose
+    { key: 'mail.transport', env: 'MAIL_TRANSPORT', type: 'enum', values: ['console', 'file', 'smtp'], default: 'console', requiredInProduction: true },
+    { key: 'mail.from', env: 'MAIL_FROM', type: 'string', default: 'expressBookReviews <no-reply@localhost>' },
+    { key: 'mail.file.directory', env: 'MAIL_FILE_DIRECTORY', type: 'string', default: '' },
+    { key: 'mail.smtp.host', env: 'SMTP_HOST', type: 'string', default: 'localhost' },
+    { key: 'mail.smtp.port', env: 'SMTP_PORT', type: 'integer', min: 1, max: 65535, default: 587 },
+    { key: 'mail.smtp.secure', env: 'SMTP_SECURE', type: 'boolean', default: false },
+    { key: 'mail.smtp.user', env: 'SMTP_USER', type: 'string', default: '' },
+    { key: 'mail.smtp.password', env: 'SMTP_PASSWORD', type: 'string', default: '' },
+
+    // Upstream catalogue used by the /async routes (empty baseUrl: this server)
+    { key: 'upstream.baseUrl', env: 'UPSTREAM_BASE_URL', type: 'string', default: '' },
+    { key: 'upstream.timeoutMs', env: 'UPSTREAM_TIMEOUT_MS', type: 'integer', min: 100, default: 10000 },
+    { key: 'upstream.retries', env: 'UPSTREAM_RETRIES', type: 'integer', min: 0, max: 10, default: 2 },
+    { key: 'upstream.retryBaseDelayMs', env: 'UPSTREAM_RETRY_BASE_DELAY_MS', type: 'integer', min: 0, default: 200 },
+    { key: 'upstream.retryMaxDelayMs', env: 'UPSTREAM_RETRY_MAX_DELAY_MS', type: 'integer', min: 0, default: 5000 },
+    { key: 'upstream.circuitBreaker.failureThreshold', env: 'UPSTREAM_BREAKER_THRESHOLD', type: 'integer', min: 1, default: 5 },
+    { key: 'upstream.circuitBreaker.resetTimeoutMs', env: 'UPSTREAM_BREAKER_RESET_MS', type: 'integer', min: 1000, default: 30000 },
+    { key: 'upstream.cache.ttlMs', env: 'UPSTREAM_CACHE_TTL_MS', type: 'integer', min: 0, default: 5000 },
+    { key: 'upstream.cache.maxEntries', env: 'UPSTREAM_CACHE_MAX_ENTRIES', type: 'integer', min: 0, default: 500 },
+
+    // Rate limits, one policy per group of routes (see rateLimit/index.js)
+    { key: 'rateLimit.async.algorithm', env: 'ASYNC_RATE_LIMIT_ALGORITHM', type: 'enum', values: RATE_LIMIT_ALGORITHMS, default: 'sliding-window' },
+    { key: 'rateLimit.async.limit', env: 'ASYNC_RATE_LIMIT', type: 'integer', min: 1, default: 100 },
+    { key: 'rateLimit.async.windowMs', env: 'ASYNC_RATE_LIMIT_WINDOW_MS', type: 'integer', min: 1000, default: 60 * 1000 },
+    { key: 'rateLimit.login.algorithm', env: 'LOGIN_RATE_LIMIT_ALGORITHM', type: 'enum', values: RATE_LIMIT_ALGORITHMS, default: 'sliding-window' },
+    { key: 'rateLimit.login.limit', env: 'LOGIN_RATE_LIMIT', type: 'integer', min: 1, default: 10 },
+    { key: 'rateLimit.login.windowMs', env: 'LOGIN_RATE_LIMIT_WINDOW_MS', type: 'integer', min: 1000, default: 15 * 60 * 1000 },
+    { key: 'rateLimit.loginIp.algorithm', env: 'LOGIN_IP_RATE_LIMIT_ALGORITHM', type: 'enum', values: RATE_LIMIT_ALGORITHMS, default: 'sliding-window' },
+    { key: 'rateLimit.loginIp.limit', env: 'LOGIN_IP_RATE_LIMIT', type: 'integer', min: 1, default: 30 },
+    { key: 'rateLimit.loginIp.windowMs', env: 'LOGIN_IP_RATE_LIMIT_WINDOW_MS', type: 'integer', min: 1000, default: 15 * 60 * 1000 },
+    { key: 'rateLimit.loginAccount.algorithm', env: 'LOGIN_ACCOUNT_RATE_LIMIT_ALGORITHM', type: 'enum', values: RATE_LIMIT_ALGORITHMS, default: 'sliding-window' },
+    { key: 'rateLimit.loginAccount.limit', env: 'LOGIN_ACCOUNT_RATE_LIMIT', type: 'integer', min: 1, default: 30 },
+    { key: 'rateLimit.loginAccount.windowMs', env: 'LOGIN_ACCOUNT_RATE_LIMIT_WINDOW_MS', type: 'integer', min: 1000, default: 15 * 60 * 1000 },
+    { key: 'rateLimit.passwordChange.algorithm', env: 'PASSWORD_CHANGE_RATE_LIMIT_ALGORITHM', type: 'enum', values: RATE_LIMIT_ALGORITHMS, default: 'sliding-window' },
+    { key: 'rateLimit.passwordChange.limit', env: 'PASSWORD_CHANGE_RATE_LIMIT', type: 'integer', min: 1, default: 10 },
+    { key: 'rateLimit.passwordChange.windowMs', env: 'PASSWORD_CHANGE_RATE_LIMIT_WINDOW_MS', type: 'integer', min: 1000, default: 15 * 60 * 1000 },
+    { key: 'rateLimit.register.algorithm', env: 'REGISTER_RATE_LIMIT_ALGORITHM', type: 'enum', values: RATE_LIMIT_ALGORITHMS, default: 'sliding-window' },
+    { key: 'rateLimit.register.limit', env: 'REGISTER_RATE_LIMIT', type: 'integer', min: 1, default: 5 },
+    { key: 'rateLimit.register.windowMs', env: 'REGISTER_RATE_LIMIT_WINDOW_MS', type: 'integer', min: 1000, default: 60 * 60 * 1000 },
+    { key: 'rateLimit.reviews.algorithm', env: 'REVIEW_RATE_LIMIT_ALGORITHM', type: 'enum', values: RATE_LIMIT_ALGORITHMS, default: 'token-bucket' },
+    { key: 'rateLimit.reviews.limit', env: 'REVIEW_RATE_LIMIT', type: 'integer', min: 1, default: 20 },
+    { key: 'rateLimit.reviews.windowMs', env: 'REVIEW_RATE_LIMIT_WINDOW_MS', type: 'integer', min: 1000, default: 60 * 60 * 1000 },
+    { key: 'rateLimit.search.algorithm', env: 'SEARCH_RATE_LIMIT_ALGORITHM', type: 'enum', values: RATE_LIMIT_ALGORITHMS, default: 'sliding-window' },
+    { key: 'rateLimit.search.limit', env: 'SEARCH_RATE_LIMIT', type: 'integer', min: 1, default: 60 },
+    { key: 'rateLimit.search.windowMs', env: 'SEARCH_RATE_LIMIT_WINDOW_MS', type: 'integer', min: 1000, default: 60 * 1000 },
+    { key: 'rateLimit.export.algorithm', env: 'EXPORT_RATE_LIMIT_ALGORITHM', type: 'enum', values: RATE_LIMIT_ALGORITHMS, default: 'sliding-window' },
+    { key: 'rateLimit.export.limit', env: 'EXPORT_RATE_LIMIT', type: 'integer', min: 1, default: 10 },
+    { key: 'rateLimit.export.windowMs', env: 'EXPORT_RATE_LIMIT_WINDOW_MS', type: 'integer', min: 1000, default: 60 * 60 * 1000 },
+    { key: 'rateLimit.passwordReset.algorithm', env: 'PASSWORD_RESET_RATE_LIMIT_ALGORITHM', type: 'enum', values: RATE_LIMIT_ALGORITHMS, default: 'sliding-window' },
+    { key: 'rateLimit.passwordReset.limit', env: 'PASSWORD_RESET_RATE_LIMIT', type: 'integer', min: 1, default: 5 },
+    { key: 'rateLimit.passwordReset.windowMs', env: 'PASSWORD_RESET_RATE_LIMIT_WINDOW_MS', type: 'integer', min: 1000, default: 60 * 60 * 1000 },
+
+    // Limits
+    { key: 'limits.maxUsers', env: 'MAX_USERS', type: 'integer', min: 1, default: 10000 },
+    { key: 'limits.maxSearchResults', env: 'MAX_SEARCH_RESULTS', type: 'integer', min: 1, default: 1000 },
+    { key: 'limits.importMaxBytes', env: 'IMPORT_MAX_BYTES', type: 'integer', min: 1024, default: 5 * 1024 * 1024 }
+];
+
+const CONFIG_FILE_CANDIDATES = ['config.json', 'config.yaml', 'config.yml'];
+
+/**
+ * Reads a nested value using a dotted path
+ * @param {Object} obj - Object to read from
+ * @param {string} key - Dotted path, e.g. "server.port"
+ * @returns {*} - The value, or undefined
+ */
+const getPath = (obj, key) => key.split('.').reduce((node, part) => (
+    node && typeof node === 'object' ? node[part] : undefined
+), obj);
+
+/**
+ * Writes a nested value using a dotted path, creating intermediate objects
+ * @param {Object} obj - Object to write to
+ * @param {string} key - Dotted path
+ * @param {*} value - Value to set
+ */
+const setPath = (obj, key, value) => {
+    const parts = key.split('.');
+    const last = parts.pop();
+    const parent = parts.reduce((node, part) => (node[part] = node[part] || {}), obj);
+    parent[last] = value;
+};
+
+/**
+ * Lists the dotted paths of every leaf value in an object
+ * @param {Object} obj - Object to walk
+ * @param {string} [prefix] - Path of obj itself
+ * @returns {string[]} - Dotted leaf paths
+ */
+const leafPaths = (obj, prefix = '') => Object.keys(obj).flatMap((name) => {
+    const key = prefix ? `${prefix}.${name}` : name;
+    const value = obj[name];
+    return value && typeof value === 'object' && !Array.isArray(value) ? leafPaths(value, key) : [key];
+});
+
+/**
+ * Locates and parses the optional config file
+ * @param {Object} env - Environment variables
+ * @returns {{ file: string|null, values: Object }} - Path used and parsed contents
+ */
+const readConfigFile = (env) => {
+    const file = env.CONFIG_FILE
+        ? path.resolve(env.CONFIG_FILE)
+        : CONFIG_FILE_CANDIDATES.map(name => path.join(__dirname, name)).find(candidate => fs.existsSync(candidate));
+
+    if (!file) {
+        return { file: null, values: {} };
+    }
+
+    // EDGE CASE: CONFIG_FILE points at a file that is not there
+    if (!fs.existsSync(file)) {
+        throw new Error(`Invalid configuration:\n  - CONFIG_FILE ${file} does not exist`);
+    }
+
+    const raw = fs.readFileSync(file, 'utf8');
+    let values;
+    try {
+        values = /\.ya?ml$/i.test(file) ? require('js-yaml').load(raw) : JSON.parse(raw);
+    } catch (error) {
+        throw new Error(`Invalid configuration:\n  - ${file} could not be parsed: ${error.message}`);
+    }
+
+    // EDGE CASE: Empty YAML file parses to undefined
+    if (values === undefined || values === null) {
+        values = {};
+    }
+    if (typeof values !== 'object' || Array.isArray(values)) {
+        throw new Error(`Invalid configuration:\n  - ${file} must contain an object at the top level`);
+    }
+    return { file, values };
+};
+
+/**
+ * Converts and validates a single raw value against its definition
+ * @param {Object} def - Schema entry
+ * @param {*} raw - Value from the file or environment
+ * @param {string} source - Where the value came from, for error messages
+ * @param {string[]} errors - Collected validation errors
+ * @returns {*} - Converted value
+ */
+const coerce = (def, raw, source, errors) => {
+    switch (def.type) {
+        case 'integer': {
+            const value = typeof raw === 'number' ? raw : (/^\s*-?\d+\s*$/.test(String(raw)) ? Number(raw) : NaN);
+            if (!Number.isInteger(value)) {
+                errors.push(`${def.key} (${source}) must be an integer, got "${raw}"`);
+            } else if (def.min !== undefined && value < def.min) {
+                errors.push(`${def.key} (${source}) must be at least ${def.min}, got ${value}`);
+            } else if (def.max !== undefined && value > def.max) {
+                errors.push(`${def.key} (${source}) must be at most ${def.max}, got ${value}`);
+            }
+            return value;
+        }
+        case 'boolean': {
+            const value = typeof raw === 'boolean' ? raw : { true: true, false: false }[String(raw).trim().toLowerCase()];
+            if (value === undefined) {
+                errors.push(`${def.key} (${source}) must be true or false, got "${raw}"`);
+            }
+            return value;
+        }
+        case 'enum':
+            if (!def.values.includes(raw)) {
+                errors.push(`${def.key} (${source}) must be one of ${def.values.join(', ')}, got "${raw}"`);
+            }
+            return raw;
+        case 'string':
+        case 'secret':
+            if (typeof raw !== 'string') {
+                errors.push(`${def.key} (${source}) must be a string`);
+            }
+            return raw;
+        default:
+            throw new Error(`Unknown config type ${def.type}`);
+    }
+};
+
+/**
+ * Builds the configuration object
+ * @param {Object} [env] - Environment variables (defaults to process.env)
+ * @returns {Object} - Frozen, validated configuration
+ * @throws {Error} - Listing every invalid setting
+ */
+const loadConfig = (env = process.env) => {
+    const { file, values: fileValues } = readConfigFile(env);
+    const errors = [];
+    const config = {};
+    const production = env.NODE_ENV === 'production';
+
+    // EDGE CASE: Typos in the config file would otherwise be silently ignored
+    const knownKeys = new Set(SCHEMA.map(def => def.key));
+    for (const key of leafPaths(fileValues)) {
+        if (!knownKeys.has(key)) {
+            errors.push(`${key} (${file}) is not a known setting`);
+        }
+    }
+
+    for (const def of SCHEMA) {
+        let value = def.default;
+        let source = 'default';
+
+        if (getPath(fileValues, def.key) !== undefined) {
+            source = path.basename(file);
+            value = coerce(def, getPath(fileValues, def.key), source, errors);
+        }
+        if (env[def.env] !== undefined && env[def.env] !== '') {
+            source = def.env;
+            value = coerce(def, env[def.env], source, errors);
+        }
+
+        // Built-in secrets are fine for local development, never for production
+        if ((def.type === 'secret' || def.requiredInProduction) && production) {
+            if (source === 'default') {
+                errors.push(`${def.key} must be set (${def.env}) when NODE_ENV=production`);
+            } else if (def.type === 'secret' && typeof value === 'string' && value.length < 16) {
+                errors.push(`${def.key} (${source}) must be at least 16 characters when NODE_ENV=production`);
+            }
+        }
+
+        setPath(config, def.key, value);
+    }
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid configuration:\n  - ${errors.join('\n  - ')}`);
+    }
+
+    config.env = env.NODE_ENV || 'development';
+    config.file = file;
+    return deepFreeze(config);
+};
+
+/**
+ * Recursively freezes an object so settings cannot be changed at runtime
+ * @param {Object} obj - Object to freeze
+ * @returns {Object} - The same object
+ */
+const deepFreeze = (obj) => {
+    for (const value of Object.values(obj)) {
+        if (value && typeof value === 'object') {
+            deepFreeze(value);
+        }
+    }
+    return Object.freeze(obj);
+};
+
+module.exports = loadConfig();
@@ -1,34 +1,54 @@
+// Load configuration first so invalid settings stop the server before anything else starts
+let config;
+try {
+    config = require('./config.js');
+} catch (error) {
+    console.error(error.message);
+    process.exit(1);
+}
+
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const session = require('express-session')
+const { authenticate } = require('./auth/middleware.js');
+const { sendError, sendServerError } = require('./lib/httpErrors.js');
 const customer_routes = require('./router/auth_users.js').authenticated;
+const admin_routes = require('./router/admin.js').admin;
+const { shelves: shelf_routes, publicShelves: public_shelf_routes } = require('./router/shelves.js');
+const public_author_routes = require('./router/authors.js').publicAuthors;
 const genl_routes = require('./router/general.js').general;
 
 const app = express();
 
-app.use(express.json());
-
-app.use("/customer",session({secret:"fingerprint_customer",resave: true, saveUninitialized: true}))
-
-app.use("/customer/auth/*", function auth(req,res,next){
-    if (req.session.authorization) {
-        const token = req.session.authorization['accessToken'];
-        jwt.verify(token, "access", (err, user) => {
-            if (!err) {
-                req.user = user;
-                next(); // Proceed to the next middleware
-            } else {
-                return res.status(403).json({ message: "User not authenticated" });
-            }
-        });
-    } else {
-        return res.status(403).json({ message: "User not logged in" });
-    }
-});
+// Catalogue imports are read as text by their route (router/admin.js), and only once the user may import
+const IMPORT_PATH = /^\/admin\/books\/import\/?$/i;
+const parseJson = express.json();
+app.use((req, res, next) => (IMPORT_PATH.test(req.path) ? next() : parseJson(req, res, next)));
+
+app.use(["/customer", "/admin"],session({secret:config.auth.sessionSecret,resave: true, saveUninitialized: true}))
+
+// Accepts the session cookie or an "Authorization: Bearer <token>" header
+app.use("/customer/auth/*", authenticate);
+app.use("/admin", authenticate);
  
-const PORT =5000;
+const PORT = config.server.port;
 
+app.use("/customer/auth/shelves", shelf_routes);
 app.use("/customer", customer_routes);
+app.use("/admin", admin_routes);
+app.use("/", public_shelf_routes);
+app.use("/", public_author_routes);
 app.use("/", genl_routes);
 
-app.listen(PORT,()=>console.log("Server is running"));
+// Malformed JSON bodies and uncaught route errors get the same { error, message } shape as the routes
+app.use((err, req, res, next) => {
+    if (err.type === 'entity.parse.failed') {
+        return sendError(res, 400, "Invalid JSON", "Request body is not valid JSON");
+    }
+    if (err.type === 'entity.too.large') {
+        return sendError(res, 413, "Payload too large", `Request body must be at most ${err.limit} bytes`);
+    }
+    console.error('Unhandled error:', err);
+    return sendServerError(res, "An unexpected error occurred. Please try again later.");
+});
+
+app.listen(PORT, config.server.bindAddress || undefined, ()=>console.log(`Server is running on port ${PORT}`));
@@ -0,0 +1,198 @@
+/**
+ * expressBookReviews - Author Records
+ *
+ * Authors live in the `authors` collection, keyed by id:
+ *   { id, name, aliases, birthYear, deathYear, bio, createdAt, updatedAt }
+ *
+ * Books still name their authors as strings (books[isbn].authors). A name
+ * belongs to the author whose name or one of whose aliases it matches,
+ * ignoring case and diacritics, so "H. C. Andersen", "Hans Christian
+ * Andersen" and "hans christian andersen" all lead to the same record.
+ * No name or alias may belong to two authors.
+ */
+
+const { foldText } = require('./search.js');
+const { checkField } = require('./bookSchema.js');
+
+const FIELDS = {
+    name: { type: 'string', maxLength: 200, required: true },
+    aliases: { type: 'list', maxItems: 20, maxLength: 200 },
+    birthYear: { type: 'integer', min: -3000, max: () => new Date().getFullYear() },
+    deathYear: { type: 'integer', min: -3000, max: () => new Date().getFullYear() },
+    bio: { type: 'string', maxLength: 5000 }
+};
+
+/**
+ * Reduces a name to the form names are compared in
+ * @param {string} name - Name as written
+ * @returns {string} - e.g. "H. C. Andersen" -> "h c andersen"
+ */
+const nameKey = (name) => foldText(name).replace(/[^a-z0-9]+/g, ' ').trim();
+
+/**
+ * Derives an id for a new author
+ * @param {string} name - Author name
+ * @param {Function} isTaken - id => boolean
+ * @returns {string} - e.g. "jane-austen", or "jane-austen-2" if that is taken
+ */
+const authorId = (name, isTaken) => {
+    const base = nameKey(name).replace(/ /g, '-').slice(0, 60) || 'author';
+    let id = base;
+    for (let n = 2; isTaken(id); n++) {
+        id = `${base}-${n}`;
+    }
+    return id;
+};
+
+/**
+ * Lists every name an author is known by
+ * @param {Object} author - Author record
+ * @returns {string[]} - Compared forms of the name and aliases
+ */
+const authorNameKeys = (author) => [author.name, ...(author.aliases || [])].map(nameKey).filter(Boolean);
+
+/**
+ * Indexes authors by every name they are known by
+ * @param {Object} authors - Every author record, keyed by id
+ * @returns {Map<string, string>} - Compared name -> author id
+ */
+const buildNameIndex = (authors) => {
+    const index = new Map();
+    for (const author of Object.values(authors)) {
+        for (const key of authorNameKeys(author)) {
+            index.set(key, author.id);
+        }
+    }
+    return index;
+};
+
+/**
+ * Finds the ids of a book's authors
+ * @param {Object} book - Stored book
+ * @param {Map<string, string>} index - From buildNameIndex
+ * @returns {string[]} - Ids of the authors that have a record
+ */
+const bookAuthorIds = (book, index) => (book.authors || [])
+    .map(name => index.get(nameKey(name)))
+    .filter(Boolean);
+
+/**
+ * Finds the authors a searched name refers to
+ * @param {Object} authors - Every author record, keyed by id
+ * @param {string} wanted - Searched name, compared form (nameKey)
+ * @returns {{ exact: Set<string>, partial: Set<string> }} - Ids of the authors known by
+ *          exactly that name, and of those with a name or alias containing it
+ */
+const matchAuthors = (authors, wanted) => {
+    const exact = new Set();
+    const partial = new Set();
+    for (const author of Object.values(authors)) {
+        const names = authorNameKeys(author);
+        if (names.includes(wanted)) {
+            exact.add(author.id);
+        } else if (wanted !== '' && names.some(name => name.includes(wanted))) {
+            partial.add(author.id);
+        }
+    }
+    return { exact, partial };
+};
+
+/**
+ * Creates the record of an author known only from a book
+ * @param {string} id - New id
+ * @param {string} name - Name as written on the book
+ * @param {string} [now] - Timestamp to record
+ * @returns {Object} - Author record
+ */
+const newAuthor = (id, name, now = new Date().toISOString()) => ({
+    id,
+    name,
+    aliases: [],
+    birthYear: null,
+    deathYear: null,
+    bio: null,
+    createdAt: now,
+    updatedAt: now
+});
+
+/**
+ * Validates an author payload
+ * Without partial, optional fields that are left out are reset to empty.
+ * @param {Object} input - Request body
+ * @param {Object} [options]
+ * @param {boolean} [options.partial] - PATCH semantics: only the fields present are checked
+ * @returns {{ errors: Object[], value: Object }} - Field errors and the cleaned values
+ */
+const validateAuthor = (input, { partial = false } = {}) => {
+    const errors = [];
+    const value = {};
+
+    // EDGE CASE: Body missing or not an object
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { errors: [{ field: null, message: "Request body must be a JSON object" }], value };
+    }
+
+    for (const key of Object.keys(input)) {
+        if (!FIELDS[key]) {
+            errors.push({ field: key, message: `Unknown or read-only field "${key}"` });
+        }
+    }
+
+    for (const [field, rules] of Object.entries(FIELDS)) {
+        const raw = input[field];
+        if (raw === undefined) {
+            if (!partial && rules.required) {
+                errors.push({ field, message: `${field} is required` });
+            } else if (!partial) {
+                value[field] = rules.type === 'list' ? [] : null;
+            }
+            continue;
+        }
+        const { error, value: cleaned } = checkField(field, rules, raw);
+        if (error) {
+            errors.push({ field, message: error });
+        } else {
+            value[field] = cleaned;
+        }
+    }
+
+    // EDGE CASE: PATCH with nothing to change
+    if (partial && errors.length === 0 && Object.keys(value).length === 0) {
+        errors.push({ field: null, message: `Provide at least one of: ${Object.keys(FIELDS).join(', ')}` });
+    }
+
+    return { errors, value };
+};
+
+/**
+ * Checks an author record as a whole, after a create or update
+ * @param {Object} author - Author record about to be stored
+ * @param {Object} authors - Every other author record, keyed by id
+ * @returns {Object|null} - { status, error, message } describing the problem, or null if fine
+ */
+const checkAuthorRecord = (author, authors) => {
+    if (Number.isInteger(author.birthYear) && Number.isInteger(author.deathYear) && author.deathYear < author.birthYear) {
+        return { status: 400, error: "Validation failed", message: "deathYear cannot be before birthYear" };
+    }
+
+    const index = buildNameIndex(Object.fromEntries(Object.entries(authors).filter(([id]) => id !== author.id)));
+    const clash = authorNameKeys(author).find(key => index.has(key));
+    if (clash) {
+        const other = authors[index.get(clash)];
+        return { status: 409, error: "Name already in use", message: `"${clash}" already refers to ${other.name} (${other.id})` };
+    }
+    return null;
+};
+
+module.exports = {
+    FIELDS,
+    nameKey,
+    authorId,
+    authorNameKeys,
+    buildNameIndex,
+    bookAuthorIds,
+    matchAuthors,
+    newAuthor,
+    validateAuthor,
+    checkAuthorRecord
+};
@@ -0,0 +1,241 @@
+/**
+ * expressBookReviews - Book Schema
+ *
+ * Validates book data sent to the admin catalogue routes and upgrades
+ * stored books to the current schema version. Reviews are not part of the
+ * writable schema: they are only ever changed through the review endpoints.
+ *
+ * Version 1 books were { author, title, reviews }. Version 2 stores:
+ *   {
+ *     schemaVersion: 2,
+ *     title,
+ *     authors:         names, [] for anonymous and traditional works,
+ *     author:          authors joined with ", " (null when there are none),
+ *                      kept for clients written against version 1,
+ *     genres, subjects: lists of labels,
+ *     publicationYear: integer, negative for BCE, or null,
+ *     language:        ISO 639 code ("en", "fr", "non"), or null,
+ *     publisher, pageCount, description, coverUrl: or null,
+ *     reviews, createdAt, updatedAt
+ *   }
+ */
+
+const { checkIsbnFormat } = require('./isbn.js');
+
+const BOOK_SCHEMA_VERSION = 2;
+
+const FIELDS = {
+    title: { type: 'string', maxLength: 300, required: true },
+    authors: { type: 'list', maxItems: 20, maxLength: 200, required: true },
+    genres: { type: 'list', maxItems: 20, maxLength: 60 },
+    subjects: { type: 'list', maxItems: 50, maxLength: 100 },
+    publicationYear: { type: 'integer', min: -3000, max: () => new Date().getFullYear() + 1 },
+    language: { type: 'language' },
+    publisher: { type: 'string', maxLength: 200 },
+    pageCount: { type: 'integer', min: 1, max: 100000 },
+    description: { type: 'string', maxLength: 5000 },
+    coverUrl: { type: 'url', maxLength: 2000 }
+};
+
+const LANGUAGE_PATTERN = /^[a-z]{2,3}$/;
+
+/**
+ * Builds the single-string author line kept for version 1 clients
+ * @param {string[]} authors - Author names
+ * @returns {string|null} - e.g. "Jane Austen", or null for anonymous works
+ */
+const authorLine = (authors) => (authors && authors.length > 0 ? authors.join(', ') : null);
+
+/**
+ * Validates one field value against its rules
+ * @param {string} field - Field name
+ * @param {Object} rules - Entry of FIELDS
+ * @param {*} raw - Value from the request (not undefined)
+ * @returns {{ error?: string, value?: * }} - The problem, or the cleaned value
+ */
+const checkField = (field, rules, raw) => {
+    // Optional fields are cleared with null
+    if (raw === null) {
+        return rules.required ? { error: `${field} cannot be null` } : { value: rules.type === 'list' ? [] : null };
+    }
+
+    switch (rules.type) {
+        case 'list': {
+            if (!Array.isArray(raw) || raw.some(item => typeof item !== 'string')) {
+                return { error: `${field} must be an array of strings` };
+            }
+            const items = [...new Set(raw.map(item => item.trim()).filter(Boolean))];
+            if (items.length > rules.maxItems) {
+                return { error: `${field} may have at most ${rules.maxItems} entries` };
+            }
+            if (items.some(item => item.length > rules.maxLength)) {
+                return { error: `each entry of ${field} must be at most ${rules.maxLength} characters` };
+            }
+            return { value: items };
+        }
+        case 'integer': {
+            const max = typeof rules.max === 'function' ? rules.max() : rules.max;
+            if (!Number.isInteger(raw) || raw < rules.min || raw > max) {
+                return { error: `${field} must be a whole number from ${rules.min} to ${max}` };
+            }
+            return { value: raw };
+        }
+        case 'language': {
+            if (typeof raw !== 'string' || !LANGUAGE_PATTERN.test(raw.trim().toLowerCase())) {
+                return { error: `${field} must be an ISO 639 language code such as "en" or "fra"` };
+            }
+            return { value: raw.trim().toLowerCase() };
+        }
+        default: {
+            if (typeof raw !== 'string') {
+                return { error: `${field} must be a string` };
+            }
+            const trimmed = raw.trim();
+            if (trimmed === '') {
+                return rules.required ? { error: `${field} cannot be empty or whitespace only` } : { value: null };
+            }
+            if (trimmed.length > rules.maxLength) {
+                return { error: `${field} must be at most ${rules.maxLength} characters` };
+            }
+            if (rules.type === 'url') {
+                let url = null;
+                try {
+                    url = new URL(trimmed);
+                } catch (error) {
+                    // Reported below
+                }
+                if (!url || !['http:', 'https:'].includes(url.protocol)) {
+                    return { error: `${field} must be an http or https URL` };
+                }
+            }
+            return { value: trimmed };
+        }
+    }
+};
+
+/**
+ * Validates a book payload
+ * "author" (a single name) is still accepted in place of "authors". Without
+ * partial, optional fields that are left out are reset to empty.
+ * @param {Object} input - Request body
+ * @param {Object} [options]
+ * @param {boolean} [options.partial] - PATCH semantics: only the fields present are checked
+ * @param {boolean} [options.requireIsbn] - POST semantics: the body must carry the ISBN
+ * @returns {{ errors: Object[], value: Object }} - Field errors and the cleaned values
+ */
+const validateBook = (input, { partial = false, requireIsbn = false } = {}) => {
+    const errors = [];
+    const value = {};
+
+    // EDGE CASE: Body missing or not an object
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { errors: [{ field: null, message: "Request body must be a JSON object" }], value };
+    }
+
+    const allowed = new Set([...Object.keys(FIELDS), 'author', ...(requireIsbn ? ['isbn'] : [])]);
+    for (const key of Object.keys(input)) {
+        if (!allowed.has(key)) {
+            errors.push({ field: key, message: `Unknown or read-only field "${key}"` });
+        }
+    }
+
+    if (requireIsbn) {
+        const isbnError = checkIsbnFormat(input.isbn);
+        if (isbnError) {
+            errors.push({ field: 'isbn', message: isbnError.message });
+        } else {
+            value.isbn = String(input.isbn).trim();
+        }
+    }
+
+    // Version 1 payloads send one author name as a string
+    const fields = { ...input };
+    if (input.author !== undefined) {
+        if (input.authors !== undefined) {
+            errors.push({ field: 'author', message: "Send either author or authors, not both" });
+        } else if (typeof input.author !== 'string' || input.author.trim() === '') {
+            errors.push({ field: 'author', message: "author must be a non-empty string" });
+        } else {
+            fields.authors = [input.author];
+        }
+        delete fields.author;
+    }
+
+    for (const [field, rules] of Object.entries(FIELDS)) {
+        const raw = fields[field];
+
+        if (raw === undefined) {
+            if (!partial && rules.required && !(field === 'authors' && input.author !== undefined)) {
+                errors.push({ field, message: `${field} is required` });
+            } else if (!partial && !rules.required) {
+                value[field] = rules.type === 'list' ? [] : null;
+            }
+            continue;
+        }
+
+        const { error, value: cleaned } = checkField(field, rules, raw);
+        if (error) {
+            errors.push({ field, message: error });
+        } else {
+            value[field] = cleaned;
+        }
+    }
+
+    // EDGE CASE: PATCH with nothing to change
+    if (partial && errors.length === 0 && Object.keys(value).length === 0) {
+        errors.push({ field: null, message: `Provide at least one of: ${Object.keys(FIELDS).join(', ')}` });
+    }
+
+    return { errors, value };
+};
+
+/**
+ * Completes a book before it is stored: schema version and author line
+ * @param {Object} book - Book with authors
+ * @returns {Object} - Book ready to store
+ */
+const finalizeBook = (book) => ({
+    ...book,
+    schemaVersion: BOOK_SCHEMA_VERSION,
+    author: authorLine(book.authors)
+});
+
+/**
+ * Upgrades a stored book to BOOK_SCHEMA_VERSION
+ * A version 1 book that is still one of the original catalogue entries
+ * (same title as its seed entry) takes the seed's metadata; any other book
+ * keeps what it has, with "Unknown" authors becoming an empty author list.
+ * Reviews and timestamps are always kept.
+ * @param {Object} book - Stored book
+ * @param {Object} [seed] - Seed entry stored under the same key, if any
+ * @returns {Object|null} - Upgraded book, or null if it is already current
+ */
+const migrateBook = (book, seed) => {
+    if ((book.schemaVersion || 1) >= BOOK_SCHEMA_VERSION) {
+        return null;
+    }
+
+    const sameAsSeed = seed && typeof book.title === 'string'
+        && book.title.trim().toLowerCase() === String(seed.title).trim().toLowerCase();
+    if (sameAsSeed) {
+        const { reviews: _seedReviews, ...metadata } = seed;
+        return finalizeBook({ ...book, ...metadata });
+    }
+
+    const { author, ...rest } = book;
+    const name = typeof author === 'string' ? author.trim() : '';
+    return finalizeBook({
+        genres: [],
+        subjects: [],
+        publicationYear: null,
+        language: null,
+        publisher: null,
+        pageCount: null,
+        description: null,
+        coverUrl: null,
+        ...rest,
+        authors: name === '' || name.toLowerCase() === 'unknown' ? [] : [name]
+    });
+};
+
+module.exports = { BOOK_SCHEMA_VERSION, FIELDS, authorLine, checkField, validateBook, finalizeBook, migrateBook };
@@ -0,0 +1,312 @@
+/**
+ * expressBookReviews - Catalogue File Formats
+ *
+ * Reads and writes whole catalogues for bulk import and export (see
+ * catalogue/index.js). One entry per format in FORMATS:
+ *   csv    - header row, then one book per row. List fields (authors,
+ *            genres, subjects) are separated with "|"; the reviews column
+ *            holds the reviews as JSON.
+ *   json   - { exportedAt, schemaVersion, books: [...] }; imports also
+ *            accept a bare array of books.
+ *   ndjson - one book per line.
+ * plus the library formats of lib/libraryFormats.js (marcxml, onix, bibtex,
+ * csljson), which carry book metadata only.
+ *
+ * A book is written as { isbn, <book schema fields>, createdAt, updatedAt,
+ * reviews }, so an export can be imported again as it is.
+ *
+ * parse(text, { root }) returns { rows, error }: rows are { row, record }
+ * where row is the line (csv, ndjson) or 1-based position (json) to report
+ * problems against, and error describes a file that cannot be read at all.
+ * The XML formats take the root element from detectFormat instead of
+ * parsing the text a second time.
+ */
+
+const { FIELDS } = require('./bookSchema.js');
+const { parseXml } = require('./xml.js');
+const { LIBRARY_FORMATS } = require('./libraryFormats.js');
+
+const LIST_SEPARATOR = '|';
+const EXPORT_FIELDS = ['isbn', ...Object.keys(FIELDS), 'createdAt', 'updatedAt', 'reviews'];
+// Read-only fields an export carries that an import skips
+const EXPORT_ONLY_FIELDS = ['createdAt', 'updatedAt', 'reviews', 'schemaVersion'];
+
+/**
+ * Splits CSV text into rows of cells (RFC 4180)
+ * @param {string} text - CSV document
+ * @returns {{ rows: Array<{ line: number, cells: string[] }>, error?: string }} - Rows with the line they start on
+ */
+const splitCsv = (text) => {
+    const rows = [];
+    let cells = [];
+    let cell = '';
+    let quoted = false;
+    let line = 1;
+    let rowLine = 1;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                if (char === '\n') {
+                    line++;
+                }
+                cell += char;
+            }
+        } else if (char === '"' && cell === '') {
+            quoted = true;
+        } else if (char === ',') {
+            cells.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            // EDGE CASE: Windows line endings
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            cells.push(cell);
+            rows.push({ line: rowLine, cells });
+            cells = [];
+            cell = '';
+            line++;
+            rowLine = line;
+        } else {
+            cell += char;
+        }
+    }
+
+    if (quoted) {
+        return { rows, error: `Unterminated quoted value starting on line ${rowLine}` };
+    }
+    // EDGE CASE: No line break after the last row
+    if (cell !== '' || cells.length > 0) {
+        cells.push(cell);
+        rows.push({ line: rowLine, cells });
+    }
+    return { rows: rows.filter(({ cells }) => cells.some(value => value.trim() !== '')) };
+};
+
+/**
+ * Converts the text of a CSV cell to the value of its field
+ * Values that do not convert are passed on as text for validation to report.
+ * @param {string} field - Column name
+ * @param {string} text - Cell text
+ * @returns {*} - Value; an empty cell is an empty list, or undefined for other fields
+ */
+const fromCsvCell = (field, text) => {
+    const trimmed = text.trim();
+    const rules = FIELDS[field];
+    if (trimmed === '') {
+        // EDGE CASE: Anonymous works are exported with an empty authors cell
+        return rules && rules.type === 'list' ? [] : undefined;
+    }
+    if (field === 'reviews') {
+        try {
+            return JSON.parse(trimmed);
+        } catch (error) {
+            return trimmed;
+        }
+    }
+    if (rules && rules.type === 'list') {
+        return trimmed.split(LIST_SEPARATOR).map(item => item.trim()).filter(Boolean);
+    }
+    if (rules && rules.type === 'integer' && /^-?\d+$/.test(trimmed)) {
+        return Number(trimmed);
+    }
+    return trimmed;
+};
+
+/**
+ * Quotes a CSV cell when needed
+ * @param {*} value - Field value
+ * @returns {string} - Cell text
+ */
+const toCsvCell = (value) => {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    const text = Array.isArray(value) ? value.join(LIST_SEPARATOR)
+        : typeof value === 'object' ? JSON.stringify(value)
+        : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Parses a CSV catalogue
+ * @param {string} text - File contents
+ * @returns {{ rows: Object[], error?: string }}
+ */
+const parseCsv = (text) => {
+    const { rows, error } = splitCsv(text);
+    if (error) {
+        return { rows: [], error };
+    }
+    if (rows.length === 0) {
+        return { rows: [], error: "The file is empty" };
+    }
+
+    const [header, ...body] = rows;
+    const columns = header.cells.map(name => name.trim());
+    const known = new Set([...EXPORT_FIELDS, 'author']);
+    const unknown = columns.filter(name => !known.has(name));
+    if (unknown.length > 0) {
+        return { rows: [], error: `Unknown column(s): ${unknown.join(', ')}. Available: ${EXPORT_FIELDS.join(', ')}` };
+    }
+    const duplicate = columns.find((name, i) => columns.indexOf(name) !== i);
+    if (duplicate) {
+        return { rows: [], error: `Column ${duplicate} appears more than once` };
+    }
+    if (!columns.includes('isbn')) {
+        return { rows: [], error: "The header row must include an isbn column" };
+    }
+
+    return {
+        rows: body.map(({ line, cells }) => {
+            if (cells.length !== columns.length) {
+                return { row: line, error: `Expected ${columns.length} values, found ${cells.length}` };
+            }
+            const record = {};
+            columns.forEach((name, i) => {
+                const value = fromCsvCell(name, cells[i]);
+                if (value !== undefined) {
+                    record[name] = value;
+                }
+            });
+            return { row: line, record };
+        })
+    };
+};
+
+/**
+ * Parses a JSON catalogue
+ * @param {string} text - File contents
+ * @returns {{ rows: Object[], error?: string }}
+ */
+const parseJson = (text) => {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        return { rows: [], error: `The file is not valid JSON: ${error.message}` };
+    }
+    const books = Array.isArray(data) ? data : data && Array.isArray(data.books) ? data.books : null;
+    if (!books) {
+        return { rows: [], error: "Expected an array of books or an object with a books array" };
+    }
+    return { rows: books.map((record, i) => ({ row: i + 1, record })) };
+};
+
+/**
+ * Parses an NDJSON catalogue
+ * @param {string} text - File contents
+ * @returns {{ rows: Object[], error?: string }}
+ */
+const parseNdjson = (text) => ({
+    rows: text.split(/\r?\n/)
+        .map((line, i) => ({ line: line.trim(), row: i + 1 }))
+        .filter(({ line }) => line !== '')
+        .map(({ line, row }) => {
+            try {
+                return { row, record: JSON.parse(line) };
+            } catch (error) {
+                return { row, error: `Not valid JSON: ${error.message}` };
+            }
+        })
+});
+
+/**
+ * Orders the fields of an exported book
+ * @param {Object} book - { isbn, ...stored book } with public reviews
+ * @returns {Object} - The fields of EXPORT_FIELDS, in that order
+ */
+const toExportRecord = (book) => Object.fromEntries(EXPORT_FIELDS.map(field => [field, book[field] ?? null]));
+
+// head(meta) / record(book, index, state) / tail() produce the text of an export, piece by
+// piece; state is one object per export. Formats without parse cannot be imported.
+const FORMATS = {
+    csv: {
+        contentType: 'text/csv; charset=utf-8',
+        mediaTypes: ['text/csv'],
+        extension: 'csv',
+        parse: parseCsv,
+        head: () => `${EXPORT_FIELDS.join(',')}\r\n`,
+        record: (book) => `${EXPORT_FIELDS.map(field => toCsvCell(book[field])).join(',')}\r\n`,
+        tail: () => ''
+    },
+    json: {
+        contentType: 'application/json; charset=utf-8',
+        mediaTypes: ['application/json'],
+        extension: 'json',
+        parse: parseJson,
+        head: ({ exportedAt, schemaVersion }) => `{"exportedAt":${JSON.stringify(exportedAt)},"schemaVersion":${schemaVersion},"books":[\n`,
+        record: (book, index) => `${index > 0 ? ',\n' : ''}${JSON.stringify(book)}`,
+        tail: () => '\n]}\n'
+    },
+    ndjson: {
+        contentType: 'application/x-ndjson; charset=utf-8',
+        mediaTypes: ['application/x-ndjson', 'application/ndjson'],
+        extension: 'ndjson',
+        parse: parseNdjson,
+        head: () => '',
+        record: (book) => `${JSON.stringify(book)}\n`,
+        tail: () => ''
+    },
+    ...LIBRARY_FORMATS
+};
+
+const IMPORT_FORMATS = Object.keys(FORMATS).filter(name => FORMATS[name].parse);
+
+/**
+ * Tells MARCXML from ONIX by the root element
+ * @param {string} text - File contents
+ * @returns {Object|null} - { format, root }, or null if neither (or not XML)
+ */
+const xmlFormatOf = (text) => {
+    let root;
+    try {
+        root = parseXml(text);
+    } catch (error) {
+        return null;
+    }
+    const match = IMPORT_FORMATS.find(name => (FORMATS[name].xmlRoots || []).includes(root.name));
+    return match ? { format: match, root } : null;
+};
+
+/**
+ * Finds the format of an uploaded file
+ * A specific media type or file extension decides; plain XML (application/xml,
+ * text/xml or .xml) is told apart by its root element.
+ * @param {Object} source
+ * @param {string} [source.contentType] - Content-Type header
+ * @param {string} [source.fileName] - File name
+ * @param {string} text - File contents
+ * @returns {Object|null} - { format, root? } naming an importable format, or null if not
+ *          recognized; root is the parsed XML document when telling XML formats apart needed it
+ */
+const detectFormat = ({ contentType, fileName }, text) => {
+    const mediaType = String(contentType || '').split(';')[0].trim().toLowerCase();
+    const extension = fileName && fileName.includes('.') ? fileName.split('.').pop().toLowerCase() : '';
+
+    const byMediaType = IMPORT_FORMATS.find(name => FORMATS[name].mediaTypes.includes(mediaType));
+    if (byMediaType) {
+        return { format: byMediaType };
+    }
+    if (['application/xml', 'text/xml'].includes(mediaType) || extension === 'xml') {
+        return xmlFormatOf(text);
+    }
+    const byExtension = IMPORT_FORMATS.find(name => FORMATS[name].extension === extension);
+    return byExtension ? { format: byExtension } : null;
+};
+
+module.exports = {
+    FORMATS,
+    IMPORT_FORMATS,
+    EXPORT_FIELDS,
+    EXPORT_ONLY_FIELDS,
+    toExportRecord,
+    detectFormat
+};
@@ -0,0 +1,37 @@
+/**
+ * expressBookReviews - Email Addresses
+ *
+ * Accounts may store an email address, used only to send password reset
+ * messages. Addresses are compared and stored in lower case.
+ */
+
+const EMAIL_MAX_LENGTH = 254;
+
+/**
+ * Normalizes an email address for storage and comparison
+ * @param {string} email - Address as typed
+ * @returns {string} - Trimmed, lower-cased address
+ */
+const normalizeEmail = (email) => String(email).trim().toLowerCase();
+
+/**
+ * Checks an email address
+ * Deliberately loose: one @, something on both sides, a dot in the domain, no spaces.
+ * @param {*} email - Candidate address
+ * @returns {Object|null} - { error, message } describing the problem, or null if valid
+ */
+const checkEmail = (email) => {
+    if (typeof email !== 'string') {
+        return { error: "Invalid data type", message: "email must be a string" };
+    }
+    const normalized = normalizeEmail(email);
+    if (normalized.length > EMAIL_MAX_LENGTH) {
+        return { error: "Invalid email", message: `email must be at most ${EMAIL_MAX_LENGTH} characters long` };
+    }
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(normalized)) {
+        return { error: "Invalid email", message: "email must be a valid address, e.g. reader@example.com" };
+    }
+    return null;
+};
+
+module.exports = { EMAIL_MAX_LENGTH, normalizeEmail, checkEmail };
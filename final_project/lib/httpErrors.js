@@ -0,0 +1,35 @@
+/**
+ * expressBookReviews - Error Responses
+ *
+ * Every error response has the same shape as the public routes in
+ * router/general.js:
+ *   { error: "Short title", message: "What went wrong", ...extra }
+ * Unexpected server errors also carry a requestId to quote in bug reports.
+ */
+
+/**
+ * Sends an error response
+ * @param {Object} res - Express response object
+ * @param {number} status - HTTP status code
+ * @param {string} error - Short error title
+ * @param {string} message - Human readable explanation
+ * @param {Object} [extra] - Additional fields (details, suggestion, ...)
+ * @returns {Object} - The Express response
+ */
+const sendError = (res, status, error, message, extra = {}) => res.status(status).json({
+    error,
+    message,
+    ...extra
+});
+
+/**
+ * Sends a 500 response for an unexpected error
+ * @param {Object} res - Express response object
+ * @param {string} message - Human readable explanation
+ * @returns {Object} - The Express response
+ */
+const sendServerError = (res, message) => sendError(res, 500, "Internal server error", message, {
+    requestId: Date.now().toString(36)
+});
+
+module.exports = { sendError, sendServerError };
@@ -0,0 +1,191 @@
+/**
+ * expressBookReviews - ISBN Helpers
+ *
+ * Validation, normalization and conversion for ISBN-10 and ISBN-13, plus
+ * lookups in the books collection. Shared by the public routes
+ * (validateIsbn in router/general.js) and the admin catalogue routes.
+ *
+ * Three kinds of identifiers are accepted:
+ * - ISBN-13: 13 digits, e.g. 978-0-14-044926-6
+ * - ISBN-10: 9 digits plus a check character (0-9 or X), e.g. 0-14-044926-4
+ * - catalogue ids: the short numeric keys of the original catalogue (1..10),
+ *   kept for backwards compatibility - any digit string that is neither 10
+ *   nor 13 characters long once hyphens are removed
+ *
+ * Real ISBNs are stored under their ISBN-13 form without hyphens, so a book
+ * can be found by either form.
+ */
+
+const MAX_ISBN_LENGTH = 17; // ISBN-13 with dashes can be up to 17 chars
+
+/**
+ * Removes hyphens and spaces and upper-cases a trailing x
+ * @param {*} isbn - Raw ISBN
+ * @returns {string} - Compact form, e.g. "9780140449266" or "014044926X"
+ */
+const normalizeIsbn = (isbn) => String(isbn).trim().replace(/[-\s]/g, '').toUpperCase();
+
+/**
+ * Computes the ISBN-10 check character for the first 9 digits
+ * @param {string} digits - 9 digits
+ * @returns {string} - "0".."9" or "X"
+ */
+const isbn10CheckDigit = (digits) => {
+    let sum = 0;
+    for (let i = 0; i < 9; i++) {
+        sum += Number(digits[i]) * (10 - i);
+    }
+    const check = (11 - (sum % 11)) % 11;
+    return check === 10 ? 'X' : String(check);
+};
+
+/**
+ * Computes the ISBN-13 check digit for the first 12 digits
+ * @param {string} digits - 12 digits
+ * @returns {string} - "0".."9"
+ */
+const isbn13CheckDigit = (digits) => {
+    let sum = 0;
+    for (let i = 0; i < 12; i++) {
+        sum += Number(digits[i]) * (i % 2 === 0 ? 1 : 3);
+    }
+    return String((10 - (sum % 10)) % 10);
+};
+
+/**
+ * Checks an ISBN-10 including its check character
+ * @param {string} isbn - ISBN (hyphens allowed)
+ * @returns {boolean} - True if valid
+ */
+const isValidIsbn10 = (isbn) => {
+    const compact = normalizeIsbn(isbn);
+    return /^\d{9}[\dX]$/.test(compact) && isbn10CheckDigit(compact) === compact[9];
+};
+
+/**
+ * Checks an ISBN-13 including its check digit
+ * @param {string} isbn - ISBN (hyphens allowed)
+ * @returns {boolean} - True if valid
+ */
+const isValidIsbn13 = (isbn) => {
+    const compact = normalizeIsbn(isbn);
+    return /^97[89]\d{10}$/.test(compact) && isbn13CheckDigit(compact) === compact[12];
+};
+
+/**
+ * Converts an ISBN-10 to ISBN-13 (978 prefix)
+ * @param {string} isbn10 - Valid ISBN-10
+ * @returns {string} - Compact ISBN-13
+ */
+const isbn10To13 = (isbn10) => {
+    const core = '978' + normalizeIsbn(isbn10).slice(0, 9);
+    return core + isbn13CheckDigit(core);
+};
+
+/**
+ * Converts an ISBN-13 to ISBN-10
+ * @param {string} isbn13 - Valid ISBN-13
+ * @returns {string|null} - Compact ISBN-10, or null for 979 ISBNs which have no ISBN-10 form
+ */
+const isbn13To10 = (isbn13) => {
+    const compact = normalizeIsbn(isbn13);
+    if (!compact.startsWith('978')) {
+        return null;
+    }
+    const core = compact.slice(3, 12);
+    return core + isbn10CheckDigit(core);
+};
+
+/**
+ * Checks that a value is an ISBN-10, ISBN-13 or catalogue id
+ * @param {*} isbn - Raw value from the URL or request body
+ * @returns {Object|null} - { error, message } describing the problem, or null if valid
+ */
+const checkIsbnFormat = (isbn) => {
+    // EDGE CASE: Check if ISBN is missing
+    if (isbn === undefined || isbn === null) {
+        return { error: "Missing ISBN", message: "ISBN is required" };
+    }
+
+    const isbnStr = String(isbn).trim();
+
+    // EDGE CASE: Check for empty string after trimming
+    if (isbnStr === '') {
+        return { error: "Empty ISBN", message: "ISBN cannot be empty or whitespace only" };
+    }
+
+    // EDGE CASE: Check for reasonable ISBN length
+    if (isbnStr.length > MAX_ISBN_LENGTH) {
+        return { error: "Invalid ISBN length", message: "ISBN is too long" };
+    }
+
+    // Digits separated by hyphens or spaces; only an ISBN-10 may end in X
+    if (!/^[0-9][0-9\- ]*[0-9Xx]?$/.test(isbnStr)) {
+        return { error: "Invalid ISBN format", message: "ISBN must contain only digits and hyphens (ISBN-10 may end in X)" };
+    }
+
+    const compact = normalizeIsbn(isbnStr);
+
+    if (compact.length === 10 && !isValidIsbn10(compact)) {
+        return { error: "Invalid ISBN checksum", message: `${isbnStr} is not a valid ISBN-10 (check digit mismatch)` };
+    }
+    if (compact.length === 13 && !isValidIsbn13(compact)) {
+        return { error: "Invalid ISBN checksum", message: `${isbnStr} is not a valid ISBN-13 (check digit mismatch)` };
+    }
+
+    // EDGE CASE: X is only meaningful as the ISBN-10 check character
+    if (compact.endsWith('X') && compact.length !== 10) {
+        return { error: "Invalid ISBN format", message: "Only an ISBN-10 may end in X" };
+    }
+
+    return null;
+};
+
+/**
+ * Describes an identifier that passed checkIsbnFormat
+ * @param {string} isbn - Valid ISBN or catalogue id
+ * @returns {Object} - { type, key, isbn10, isbn13 } where key is the canonical storage key
+ */
+const parseIsbn = (isbn) => {
+    const compact = normalizeIsbn(isbn);
+
+    if (compact.length === 13) {
+        return { type: 'isbn13', key: compact, isbn10: isbn13To10(compact), isbn13: compact };
+    }
+    if (compact.length === 10) {
+        const isbn13 = isbn10To13(compact);
+        return { type: 'isbn10', key: isbn13, isbn10: compact, isbn13: isbn13 };
+    }
+    return { type: 'catalogueId', key: compact, isbn10: null, isbn13: null };
+};
+
+/**
+ * Finds the stored key of a book by any accepted form of its identifier
+ * Tries the value as given, then the compact, ISBN-13 and ISBN-10 forms.
+ * @param {Object} books - Books collection from the storage layer
+ * @param {string} isbn - Identifier from the request
+ * @returns {string|null} - Key in the books collection, or null if absent
+ */
+const findBookKey = (books, isbn) => {
+    const raw = String(isbn).trim();
+    const candidates = [raw, normalizeIsbn(raw)];
+
+    if (!checkIsbnFormat(raw)) {
+        const { isbn10, isbn13 } = parseIsbn(raw);
+        candidates.push(isbn13, isbn10);
+    }
+
+    return candidates.find(key => key && books.has(key)) || null;
+};
+
+module.exports = {
+    MAX_ISBN_LENGTH,
+    normalizeIsbn,
+    isValidIsbn10,
+    isValidIsbn13,
+    isbn10To13,
+    isbn13To10,
+    checkIsbnFormat,
+    parseIsbn,
+    findBookKey
+};
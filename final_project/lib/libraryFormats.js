@@ -0,0 +1,680 @@
+/**
+ * expressBookReviews - Library Metadata Formats
+ *
+ * Book records for library and publisher systems, served alongside the
+ * catalogue formats of lib/catalogueFormats.js:
+ *   marcxml - MARC 21 bibliographic records as MARCXML (import and export)
+ *   onix    - ONIX for Books 3.0 with reference tags (import and export)
+ *   bibtex  - @book citations (export only)
+ *   csljson - CSL-JSON citation items (export only)
+ *
+ * These formats describe books, not what readers think of them: reviews
+ * and ratings are left out, and imports only fill the book schema fields.
+ *
+ *   Book field       MARC 21                 ONIX 3.0
+ *   isbn             020 $a                  ProductIdentifier (15, 03 or 02)
+ *   (catalogue id)   024 $a, $2 as below     ProductIdentifier (01), IDTypeName as below
+ *   title            245 $a $b               TitleDetail (01) TitleText, Subtitle
+ *   authors          100 $a, 700 $a          Contributor (A01)
+ *   publisher        264 $b (or 260 $b)      Publisher (01) PublisherName
+ *   publicationYear  264 $c, 260 $c or 008   PublishingDate (01)
+ *   language         008/35-37 or 041 $a     Language (01)
+ *   pageCount        300 $a ("432 p.")       Extent (00 or 11, in pages)
+ *   description      520 $a                  TextContent (03, else 02)
+ *   subjects         650 $a                  Subject (keywords and other schemes)
+ *   genres           655 $a                  Subject (24, SubjectSchemeName "Genre")
+ *   coverUrl         856 $u with $3 "Cover"  SupportingResource (01)
+ *
+ * Books with a catalogue id instead of an ISBN carry it as an identifier
+ * whose source is ID_SOURCE, so exports can be imported again.
+ * Names are written in direct order ("Jane Austen", first indicator 0);
+ * inverted MARC headings ("Austen, Jane,") are turned around on import.
+ * Language codes are ISO 639-1 in the catalogue and MARC codes (ISO 639-2/B)
+ * in MARC and ONIX. Years before the common era are written as text
+ * ("1200 BCE") in MARC 264 $c and as an ONIX text date (dateformat 12); the
+ * MARC 008 field cannot hold them.
+ */
+
+const { escapeXml, parseXml, childrenNamed, childText, allText } = require('./xml.js');
+const { parseIsbn } = require('./isbn.js');
+const { foldText } = require('./search.js');
+
+// Catalogue (ISO 639-1) codes -> MARC codes, for the languages that have both
+const MARC_LANGUAGES = {
+    ar: 'ara', da: 'dan', de: 'ger', el: 'gre', en: 'eng', es: 'spa', fi: 'fin', fr: 'fre',
+    he: 'heb', hi: 'hin', ig: 'ibo', it: 'ita', ja: 'jpn', ko: 'kor', la: 'lat', nl: 'dut',
+    no: 'nor', pl: 'pol', pt: 'por', ru: 'rus', sv: 'swe', tr: 'tur', zh: 'chi'
+};
+// ISO 639-2/T codes that differ from the MARC (/B) code of the same language
+const TERMINOLOGY_CODES = { deu: 'ger', ell: 'gre', fra: 'fre', nld: 'dut', zho: 'chi' };
+// MARC codes that name no single language
+const NO_LANGUAGE = ['und', 'mul', 'zxx', 'mis'];
+// Source named on catalogue ids (MARC 024 $2, ONIX IDTypeName)
+const ID_SOURCE = 'expressBookReviews';
+
+/** ===== SHARED HELPERS ===== */
+
+/**
+ * Converts a catalogue language code to a MARC code
+ * @param {string|null} code - books[isbn].language
+ * @returns {string} - MARC code, "und" when unknown
+ */
+const toMarcLanguage = (code) => {
+    if (!code) {
+        return 'und';
+    }
+    return MARC_LANGUAGES[code] || (code.length === 3 ? code : 'und');
+};
+
+/**
+ * Converts a MARC or ISO 639-2 code to a catalogue language code
+ * @param {string|null} code - Code from the record
+ * @returns {string|null} - ISO 639-1 code where there is one, else the three-letter code
+ */
+const fromMarcLanguage = (code) => {
+    const cleaned = String(code || '').trim().toLowerCase();
+    if (!/^[a-z]{3}$/.test(cleaned) || NO_LANGUAGE.includes(cleaned)) {
+        return null;
+    }
+    const marc = TERMINOLOGY_CODES[cleaned] || cleaned;
+    return Object.keys(MARC_LANGUAGES).find(key => MARC_LANGUAGES[key] === marc) || marc;
+};
+
+/**
+ * Finds the ISBN-13 of a stored book
+ * @param {string} key - Book key
+ * @returns {string|null} - ISBN-13, or null for catalogue ids
+ */
+const isbn13Of = (key) => parseIsbn(key).isbn13;
+
+/**
+ * Drops the fields a record did not fill
+ * Lists stay even when empty: no authors means an anonymous work.
+ * @param {Object} record - Fields, some null or empty
+ * @returns {Object} - Fields with a value
+ */
+const compact = (record) => Object.fromEntries(Object.entries(record)
+    .filter(([, value]) => value !== null && value !== undefined && value !== ''));
+
+/**
+ * Keeps the first occurrence of each value
+ * @param {string[]} values - Values, possibly repeated or empty
+ * @returns {string[]} - Distinct non-empty values
+ */
+const distinct = (values) => [...new Set(values.filter(Boolean))];
+
+/**
+ * Reads a year from a date as libraries write it ("1813", "c1813.", "[1958?]", "20230115", "1200 BCE")
+ * @param {string|null} text - Date text
+ * @returns {number|null} - Year, negative before the common era, or null if there is none
+ */
+const yearFrom = (text) => {
+    const match = /(\d{1,4})(\s*(?:BCE|B\.\s?C\.?))?/i.exec(text || '');
+    if (!match) {
+        return null;
+    }
+    return match[2] ? -Number(match[1]) : Number(match[1]);
+};
+
+/**
+ * Describes a year for the text of a record
+ * @param {number|null} year - publicationYear
+ * @returns {string|null} - "1813", "1200 BCE", or null
+ */
+const yearText = (year) => {
+    if (!Number.isInteger(year)) {
+        return null;
+    }
+    return year > 0 ? String(year) : `${-year} BCE`;
+};
+
+/**
+ * Parses a file that must be XML
+ * @param {string} text - File contents
+ * @param {Object} [root] - Root element, when the file has been parsed already (see detectFormat)
+ * @returns {{ root?: Object, error?: string }}
+ */
+const readXml = (text, root) => {
+    if (root) {
+        return { root };
+    }
+    try {
+        return { root: parseXml(text) };
+    } catch (error) {
+        return { error: `The file is not valid XML: ${error.message}` };
+    }
+};
+
+/** ===== MARCXML ===== */
+
+const MARC_NAMESPACE = 'http://www.loc.gov/MARC21/slim';
+
+/**
+ * Removes the ISBD punctuation that ends MARC subfields ("Pride and prejudice /", "Austen, Jane,")
+ * @param {string|null} text - Subfield value
+ * @returns {string|null} - Cleaned value
+ */
+const cleanIsbd = (text) => {
+    if (!text) {
+        return null;
+    }
+    // A final full stop goes, unless it ends an initial ("H. C.")
+    const cleaned = text.trim().replace(/\s*[/:;,=]\s*$/, '').replace(/(\w{2,})\.$/, '$1').trim();
+    return cleaned === '' ? null : cleaned;
+};
+
+/**
+ * Writes a MARCXML data field
+ * @param {string} tag - Field tag
+ * @param {string} indicators - Both indicators, e.g. "10"
+ * @param {Array<[string, *]>} subfields - [code, value] pairs; empty values are skipped
+ * @returns {string} - XML, or '' if no subfield has a value
+ */
+const marcField = (tag, indicators, subfields) => {
+    const filled = subfields.filter(([, value]) => value !== null && value !== undefined && value !== '');
+    if (filled.length === 0) {
+        return '';
+    }
+    return `    <datafield tag="${tag}" ind1="${indicators[0]}" ind2="${indicators[1]}">\n`
+        + filled.map(([code, value]) => `      <subfield code="${code}">${escapeXml(value)}</subfield>\n`).join('')
+        + '    </datafield>\n';
+};
+
+/**
+ * Builds the fixed-length 008 field (books)
+ * @param {Object} book - Exported book
+ * @returns {string} - 40 characters
+ */
+const marc008 = (book) => {
+    const entered = (book.createdAt || new Date().toISOString()).slice(2, 10).replace(/-/g, '');
+    const hasYear = Number.isInteger(book.publicationYear) && book.publicationYear > 0;
+    const dates = hasYear ? `s${String(book.publicationYear).padStart(4, '0')}` : 'nuuuu';
+    return `${entered}${dates}    xx ${' '.repeat(17)}${toMarcLanguage(book.language)} d`;
+};
+
+/**
+ * Writes a book as a MARCXML record
+ * @param {Object} book - Exported book (see toExportRecord)
+ * @returns {string} - <record> element
+ */
+const toMarcRecord = (book) => {
+    const [mainAuthor, ...otherAuthors] = book.authors || [];
+    const updated = (book.updatedAt || book.createdAt || '').replace(/\D/g, '').slice(0, 14);
+
+    return '  <record>\n'
+        + '    <leader>00000nam a2200000 i 4500</leader>\n'
+        + `    <controlfield tag="001">${escapeXml(book.isbn)}</controlfield>\n`
+        + (updated.length === 14 ? `    <controlfield tag="005">${updated}.0</controlfield>\n` : '')
+        + `    <controlfield tag="008">${marc008(book)}</controlfield>\n`
+        + (isbn13Of(book.isbn)
+            ? marcField('020', '  ', [['a', isbn13Of(book.isbn)]])
+            : marcField('024', '7 ', [['a', book.isbn], ['2', ID_SOURCE]]))
+        + marcField('100', '0 ', [['a', mainAuthor], ['e', mainAuthor && 'author']])
+        + marcField('245', `${mainAuthor ? 1 : 0}0`, [['a', book.title]])
+        + marcField('264', ' 1', [['b', book.publisher], ['c', yearText(book.publicationYear)]])
+        + marcField('300', '  ', [['a', book.pageCount && `${book.pageCount} pages`]])
+        + marcField('520', '  ', [['a', book.description]])
+        + (book.subjects || []).map(subject => marcField('650', ' 4', [['a', subject]])).join('')
+        + (book.genres || []).map(genre => marcField('655', ' 4', [['a', genre]])).join('')
+        + otherAuthors.map(author => marcField('700', '0 ', [['a', author], ['e', 'author']])).join('')
+        + marcField('856', '42', [['3', book.coverUrl && 'Cover image'], ['u', book.coverUrl]])
+        + '  </record>\n';
+};
+
+/**
+ * Reads a personal name heading, turning inverted names around
+ * @param {Object} field - Parsed 100 or 700 field
+ * @returns {string|null} - "Jane Austen" for "Austen, Jane,"
+ */
+const marcName = (field) => {
+    const name = cleanIsbd(field.subfields.a[0]);
+    if (!name) {
+        return null;
+    }
+    const comma = name.indexOf(', ');
+    return field.ind1 === '1' && comma > 0 ? `${name.slice(comma + 2)} ${name.slice(0, comma)}` : name;
+};
+
+/**
+ * Maps a MARCXML record to book fields
+ * @param {Object} record - Parsed <record> element
+ * @returns {Object} - { record } with the book fields, or { error }
+ */
+const fromMarcRecord = (record) => {
+    const leader = childText(record, 'leader') || '';
+    // EDGE CASE: Authority, holdings or music records in a mixed file
+    if (leader.length >= 7 && !['a', 't'].includes(leader[6])) {
+        return { error: `Not a bibliographic record for text (leader type "${leader[6]}")` };
+    }
+
+    const control = Object.fromEntries(childrenNamed(record, 'controlfield').map(field => [field.attributes.tag, allText(field)]));
+    const fields = childrenNamed(record, 'datafield').map((field) => {
+        // Codes come from the file; "constructor" must not find Object.prototype.constructor
+        const subfields = Object.create(null);
+        for (const subfield of childrenNamed(field, 'subfield')) {
+            const code = subfield.attributes.code;
+            subfields[code] = [...(subfields[code] || []), allText(subfield).trim()];
+        }
+        return { tag: field.attributes.tag, ind1: field.attributes.ind1 || ' ', ind2: field.attributes.ind2 || ' ', subfields };
+    });
+    const tagged = (tag) => fields.filter(field => field.tag === tag);
+    const first = (tag, code) => tagged(tag).map(field => (field.subfields[code] || [])[0]).find(Boolean) || null;
+
+    // "0-14-143951-8 (pbk.)" -> the number alone
+    const isbn = tagged('020').map(field => (/^[0-9Xx-]+/.exec((field.subfields.a || [])[0] || '') || [])[0]).find(Boolean)
+        || tagged('024').filter(field => (field.subfields['2'] || []).includes(ID_SOURCE)).map(field => (field.subfields.a || [])[0]).find(Boolean);
+    const title = [cleanIsbd(first('245', 'a')), cleanIsbd(first('245', 'b'))].filter(Boolean).join(': ');
+    const authorFields = [...tagged('100'), ...tagged('700').filter((field) => {
+        // Added entries may be editors or translators; keep authors and entries that say nothing
+        const roles = [...(field.subfields.e || []), ...(field.subfields['4'] || [])];
+        return roles.length === 0 || roles.some(role => /^(author|aut)\b/i.test(role));
+    })];
+    const publication = [...tagged('264').filter(field => field.ind2 === '1'), ...tagged('260')];
+    const fixed = control['008'] || '';
+    const pages = /(\d+)\s*(?:p\b|pages?\b)/i.exec(first('300', 'a') || '');
+    const cover = fields.find(field => field.tag === '856' && (field.subfields['3'] || []).some(note => /cover/i.test(note)));
+
+    return {
+        record: compact({
+            isbn,
+            title,
+            authors: distinct(authorFields.filter(field => field.subfields.a).map(marcName)),
+            genres: distinct(tagged('655').map(field => cleanIsbd((field.subfields.a || [])[0]))),
+            subjects: distinct(tagged('650').map(field => cleanIsbd((field.subfields.a || [])[0]))),
+            publicationYear: yearFrom(publication.map(field => (field.subfields.c || [])[0]).find(Boolean))
+                ?? (/^\d{4}$/.test(fixed.slice(7, 11)) ? Number(fixed.slice(7, 11)) : null),
+            language: fromMarcLanguage(fixed.slice(35, 38)) || fromMarcLanguage(first('041', 'a')),
+            publisher: cleanIsbd(publication.map(field => (field.subfields.b || [])[0]).find(Boolean)),
+            pageCount: pages ? Number(pages[1]) : null,
+            description: first('520', 'a'),
+            coverUrl: cover ? (cover.subfields.u || [])[0] : null
+        })
+    };
+};
+
+/**
+ * Parses a MARCXML file: a <collection> of records or a single <record>
+ * @param {string} text - File contents
+ * @param {Object} [options]
+ * @param {Object} [options.root] - Root element, when the file has been parsed already
+ * @returns {{ rows: Object[], error?: string }} - row is the record's position in the file
+ */
+const parseMarcXml = (text, { root: parsed } = {}) => {
+    const { root, error } = readXml(text, parsed);
+    if (error) {
+        return { rows: [], error };
+    }
+    const records = root.name === 'record' ? [root] : root.name === 'collection' ? childrenNamed(root, 'record') : null;
+    if (!records) {
+        return { rows: [], error: `Expected a MARCXML <collection> or <record>, found <${root.name}>` };
+    }
+    return { rows: records.map((record, i) => ({ row: i + 1, ...fromMarcRecord(record) })) };
+};
+
+/** ===== ONIX 3.0 ===== */
+
+const ONIX_NAMESPACE = 'http://ns.editeur.org/onix/3.0/reference';
+
+/**
+ * Writes an ONIX element, or nothing for an empty value
+ * @param {string} name - Element name
+ * @param {*} value - Text
+ * @param {string} [indent] - Leading spaces
+ * @returns {string} - XML
+ */
+const onixElement = (name, value, indent = '') => (value === null || value === undefined || value === ''
+    ? ''
+    : `${indent}<${name}>${escapeXml(value)}</${name}>\n`);
+
+/**
+ * Writes a book as an ONIX 3.0 <Product>
+ * @param {Object} book - Exported book (see toExportRecord)
+ * @returns {string} - <Product> element
+ */
+const toOnixProduct = (book) => {
+    const isbn13 = isbn13Of(book.isbn);
+    const identifier = isbn13
+        ? '    <ProductIdentifier>\n      <ProductIDType>15</ProductIDType>\n'
+            + `      <IDValue>${isbn13}</IDValue>\n    </ProductIdentifier>\n`
+        // Catalogue ids are the only identifier some books have
+        : `    <ProductIdentifier>\n      <ProductIDType>01</ProductIDType>\n      <IDTypeName>${ID_SOURCE}</IDTypeName>\n`
+            + `      <IDValue>${escapeXml(book.isbn)}</IDValue>\n    </ProductIdentifier>\n`;
+
+    const contributors = (book.authors || []).length > 0
+        ? book.authors.map((author, i) => '      <Contributor>\n'
+            + `        <SequenceNumber>${i + 1}</SequenceNumber>\n`
+            + '        <ContributorRole>A01</ContributorRole>\n'
+            + onixElement('PersonName', author, '        ')
+            + '      </Contributor>\n').join('')
+        : '      <NoContributor/>\n';
+
+    const subjects = [
+        ...(book.genres || []).map(genre => '      <Subject>\n        <SubjectSchemeIdentifier>24</SubjectSchemeIdentifier>\n'
+            + '        <SubjectSchemeName>Genre</SubjectSchemeName>\n'
+            + onixElement('SubjectHeadingText', genre, '        ') + '      </Subject>\n'),
+        ...((book.subjects || []).length > 0
+            ? ['      <Subject>\n        <SubjectSchemeIdentifier>20</SubjectSchemeIdentifier>\n'
+                + onixElement('SubjectHeadingText', book.subjects.join('; '), '        ') + '      </Subject>\n']
+            : [])
+    ].join('');
+
+    const collateral = (book.description
+        ? '      <TextContent>\n        <TextType>03</TextType>\n        <ContentAudience>00</ContentAudience>\n'
+            + onixElement('Text', book.description, '        ') + '      </TextContent>\n'
+        : '')
+        + (book.coverUrl
+            ? '      <SupportingResource>\n        <ResourceContentType>01</ResourceContentType>\n'
+                + '        <ContentAudience>00</ContentAudience>\n        <ResourceMode>03</ResourceMode>\n'
+                + '        <ResourceVersion>\n          <ResourceForm>02</ResourceForm>\n'
+                + onixElement('ResourceLink', book.coverUrl, '          ')
+                + '        </ResourceVersion>\n      </SupportingResource>\n'
+            : '');
+
+    const publishing = (book.publisher
+        ? '      <Publisher>\n        <PublishingRole>01</PublishingRole>\n'
+            + onixElement('PublisherName', book.publisher, '        ') + '      </Publisher>\n'
+        : '')
+        + (Number.isInteger(book.publicationYear)
+            ? '      <PublishingDate>\n        <PublishingDateRole>01</PublishingDateRole>\n'
+                + (book.publicationYear > 0
+                    ? `        <Date dateformat="05">${String(book.publicationYear).padStart(4, '0')}</Date>\n`
+                    : `        <Date dateformat="12">${yearText(book.publicationYear)}</Date>\n`)
+                + '      </PublishingDate>\n'
+            : '');
+
+    return '  <Product>\n'
+        + `    <RecordReference>expressbookreviews-${escapeXml(book.isbn)}</RecordReference>\n`
+        + '    <NotificationType>03</NotificationType>\n'
+        + identifier
+        + '    <DescriptiveDetail>\n'
+        + '      <ProductComposition>00</ProductComposition>\n'
+        + '      <ProductForm>BA</ProductForm>\n'
+        + '      <TitleDetail>\n        <TitleType>01</TitleType>\n        <TitleElement>\n'
+        + '          <TitleElementLevel>01</TitleElementLevel>\n'
+        + onixElement('TitleText', book.title, '          ')
+        + '        </TitleElement>\n      </TitleDetail>\n'
+        + contributors
+        + (book.language
+            ? `      <Language>\n        <LanguageRole>01</LanguageRole>\n        <LanguageCode>${toMarcLanguage(book.language)}</LanguageCode>\n      </Language>\n`
+            : '')
+        + (book.pageCount
+            ? `      <Extent>\n        <ExtentType>00</ExtentType>\n        <ExtentValue>${book.pageCount}</ExtentValue>\n        <ExtentUnit>03</ExtentUnit>\n      </Extent>\n`
+            : '')
+        + subjects
+        + '    </DescriptiveDetail>\n'
+        + (collateral ? `    <CollateralDetail>\n${collateral}    </CollateralDetail>\n` : '')
+        + (publishing ? `    <PublishingDetail>\n${publishing}    </PublishingDetail>\n` : '')
+        + '  </Product>\n';
+};
+
+/**
+ * Picks the composite with a given code, or else the first one
+ * @param {Object[]} composites - Parsed elements
+ * @param {string} codeElement - Name of the element holding the code
+ * @param {string[]} codes - Wanted codes, best first
+ * @returns {Object|undefined} - Chosen element
+ */
+const preferCode = (composites, codeElement, codes) => {
+    for (const code of codes) {
+        const match = composites.find(composite => childText(composite, codeElement) === code);
+        if (match) {
+            return match;
+        }
+    }
+    return composites[0];
+};
+
+/**
+ * Maps an ONIX 3.0 <Product> to book fields
+ * @param {Object} product - Parsed <Product> element
+ * @returns {Object} - { record } with the book fields, or { error }
+ */
+const fromOnixProduct = (product) => {
+    // EDGE CASE: Deletion notices say a product is withdrawn, not what it is
+    if (childText(product, 'NotificationType') === '05') {
+        return { error: "Deletion notices (NotificationType 05) are not imported" };
+    }
+
+    const identifiers = childrenNamed(product, 'ProductIdentifier').map(identifier => ({
+        type: childText(identifier, 'ProductIDType'),
+        typeName: childText(identifier, 'IDTypeName'),
+        value: childText(identifier, 'IDValue')
+    }));
+    const isbn = identifiers.find(({ type }) => type === '15')
+        || identifiers.find(({ type, value }) => type === '03' && /^97[89]/.test(value || ''))
+        || identifiers.find(({ type }) => type === '02')
+        || identifiers.find(({ type, typeName }) => type === '01' && typeName === ID_SOURCE);
+
+    const [descriptive] = childrenNamed(product, 'DescriptiveDetail');
+    const titleDetail = preferCode(childrenNamed(descriptive, 'TitleDetail'), 'TitleType', ['01']);
+    const titleElement = preferCode(childrenNamed(titleDetail, 'TitleElement'), 'TitleElementLevel', ['01']);
+    const mainTitle = childText(titleElement, 'TitleText')
+        || [childText(titleElement, 'TitlePrefix'), childText(titleElement, 'TitleWithoutPrefix')].filter(Boolean).join(' ');
+    const subtitle = childText(titleElement, 'Subtitle');
+
+    const authors = childrenNamed(descriptive, 'Contributor')
+        .filter(contributor => childrenNamed(contributor, 'ContributorRole').some(role => allText(role).trim() === 'A01'))
+        .sort((a, b) => Number(childText(a, 'SequenceNumber') || 0) - Number(childText(b, 'SequenceNumber') || 0))
+        .map(contributor => childText(contributor, 'PersonName')
+            || [childText(contributor, 'NamesBeforeKey'), childText(contributor, 'KeyNames')].filter(Boolean).join(' ')
+            || childText(contributor, 'CorporateName'));
+
+    const genres = [];
+    const subjects = [];
+    for (const subject of childrenNamed(descriptive, 'Subject')) {
+        const heading = childText(subject, 'SubjectHeadingText');
+        if (!heading) {
+            continue;
+        }
+        const scheme = childText(subject, 'SubjectSchemeIdentifier');
+        if (scheme === '24' && /^genre$/i.test(childText(subject, 'SubjectSchemeName') || '')) {
+            genres.push(heading);
+        } else if (scheme === '20') {
+            // Keywords come as one list separated by semicolons
+            subjects.push(...heading.split(';').map(keyword => keyword.trim()));
+        } else {
+            subjects.push(heading);
+        }
+    }
+
+    const language = childrenNamed(descriptive, 'Language').find(entry => childText(entry, 'LanguageRole') === '01');
+    const extent = childrenNamed(descriptive, 'Extent')
+        .find(entry => ['00', '11'].includes(childText(entry, 'ExtentType')) && childText(entry, 'ExtentUnit') === '03');
+
+    const [collateral] = childrenNamed(product, 'CollateralDetail');
+    const texts = childrenNamed(collateral, 'TextContent');
+    const descriptionText = texts.find(entry => childText(entry, 'TextType') === '03') || texts.find(entry => childText(entry, 'TextType') === '02');
+    // XHTML arrives as elements, escaped HTML as text with tags in it
+    const description = descriptionText
+        ? (childText(descriptionText, 'Text') || '').replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim()
+        : null;
+    const cover = childrenNamed(collateral, 'SupportingResource').find(entry => childText(entry, 'ResourceContentType') === '01');
+
+    const [publishing] = childrenNamed(product, 'PublishingDetail');
+    const publisher = preferCode(childrenNamed(publishing, 'Publisher'), 'PublishingRole', ['01']);
+    const date = preferCode(childrenNamed(publishing, 'PublishingDate'), 'PublishingDateRole', ['01', '11', '19']);
+
+    return {
+        record: compact({
+            isbn: isbn ? isbn.value : null,
+            title: [mainTitle, subtitle].filter(Boolean).join(': '),
+            authors: distinct(authors),
+            genres: distinct(genres),
+            subjects: distinct(subjects),
+            publicationYear: yearFrom(childText(date, 'Date')),
+            language: language ? fromMarcLanguage(childText(language, 'LanguageCode')) : null,
+            publisher: childText(publisher, 'PublisherName'),
+            pageCount: extent && /^\d+$/.test(childText(extent, 'ExtentValue') || '') ? Number(childText(extent, 'ExtentValue')) : null,
+            description,
+            coverUrl: cover ? childText(childrenNamed(cover, 'ResourceVersion')[0], 'ResourceLink') : null
+        })
+    };
+};
+
+/**
+ * Parses an ONIX 3.0 message
+ * @param {string} text - File contents
+ * @param {Object} [options]
+ * @param {Object} [options.root] - Root element, when the file has been parsed already
+ * @returns {{ rows: Object[], error?: string }} - row is the product's position in the message
+ */
+const parseOnix = (text, { root: parsed } = {}) => {
+    const { root, error } = readXml(text, parsed);
+    if (error) {
+        return { rows: [], error };
+    }
+    // EDGE CASE: Short-tag messages use <ONIXmessage> and abbreviated names throughout
+    if (root.name === 'ONIXmessage') {
+        return { rows: [], error: "Short-tag ONIX is not supported; send the reference-tag version" };
+    }
+    if (root.name !== 'ONIXMessage') {
+        return { rows: [], error: `Expected an <ONIXMessage>, found <${root.name}>` };
+    }
+    if (root.attributes.release && !root.attributes.release.startsWith('3.')) {
+        return { rows: [], error: `Only ONIX 3.0 is supported, the message is release ${root.attributes.release}` };
+    }
+    return { rows: childrenNamed(root, 'Product').map((product, i) => ({ row: i + 1, ...fromOnixProduct(product) })) };
+};
+
+/**
+ * Formats a timestamp as ONIX wants it
+ * @param {string} iso - ISO 8601 timestamp
+ * @returns {string} - e.g. 20240105T143000Z
+ */
+const onixDateTime = (iso) => `${iso.slice(0, 19).replace(/[-:]/g, '')}Z`;
+
+/** ===== CITATIONS ===== */
+
+const BIBTEX_SPECIAL = { '\\': '\\textbackslash{}', '{': '\\{', '}': '\\}', '%': '\\%', '&': '\\&', '$': '\\$', '#': '\\#', '_': '\\_', '~': '\\textasciitilde{}', '^': '\\textasciicircum{}' };
+
+/**
+ * Escapes text for a BibTeX field
+ * @param {*} value - Text
+ * @returns {string} - Escaped text
+ */
+const escapeBibtex = (value) => String(value).replace(/[\\{}%&$#_~^]/g, char => BIBTEX_SPECIAL[char]);
+
+/**
+ * Derives a citation key: first author's surname, year and first title word
+ * @param {Object} book - Exported book
+ * @param {Set<string>} used - Keys given out so far in this export
+ * @returns {string} - e.g. "austen1813pride", "austen1813pridea" when taken
+ */
+const citationKey = (book, used) => {
+    const word = (text) => foldText(text || '').replace(/[^a-z0-9 ]/g, '').split(' ').filter(Boolean);
+    const titleWord = word(book.title).find(part => !['a', 'an', 'the', 'le', 'la', 'les', 'de'].includes(part)) || '';
+    const surname = word((book.authors || [])[0]).pop() || '';
+    const base = `${surname}${Number.isInteger(book.publicationYear) && book.publicationYear > 0 ? book.publicationYear : ''}${titleWord}` || 'book';
+
+    let key = base;
+    for (let n = 0; used.has(key); n++) {
+        key = `${base}${n < 26 ? String.fromCharCode(97 + n) : n}`;
+    }
+    used.add(key);
+    return key;
+};
+
+/**
+ * Writes a book as a BibTeX @book entry
+ * @param {Object} book - Exported book (see toExportRecord)
+ * @param {Object} state - Per-export state (keeps citation keys unique)
+ * @returns {string} - Entry
+ */
+const toBibtex = (book, state) => {
+    state.citationKeys = state.citationKeys || new Set();
+    const keywords = [...(book.genres || []), ...(book.subjects || [])];
+    const fields = [
+        ['author', (book.authors || []).length > 0 ? book.authors.map(escapeBibtex).join(' and ') : null],
+        // Double braces keep the capitalization
+        ['title', book.title && `{${escapeBibtex(book.title)}}`],
+        ['publisher', book.publisher && escapeBibtex(book.publisher)],
+        ['year', yearText(book.publicationYear)],
+        ['isbn', isbn13Of(book.isbn)],
+        ['language', book.language],
+        ['pagetotal', book.pageCount],
+        ['abstract', book.description && escapeBibtex(book.description)],
+        ['keywords', keywords.length > 0 ? escapeBibtex(keywords.join(', ')) : null]
+    ].filter(([, value]) => value !== null && value !== undefined && value !== '');
+
+    return `@book{${citationKey(book, state.citationKeys)},\n`
+        + fields.map(([name, value]) => `  ${name} = {${value}}`).join(',\n')
+        + '\n}\n\n';
+};
+
+/**
+ * Writes a book as a CSL-JSON item
+ * @param {Object} book - Exported book (see toExportRecord)
+ * @returns {Object} - Item
+ */
+const toCslItem = (book) => {
+    const keywords = [...(book.genres || []), ...(book.subjects || [])];
+    return compact({
+        id: book.isbn,
+        type: 'book',
+        title: book.title,
+        // "Honoré de Balzac" -> given "Honoré de", family "Balzac"; single names stay whole
+        author: (book.authors || []).length > 0
+            ? book.authors.map((name) => {
+                const space = name.lastIndexOf(' ');
+                return space > 0 ? { family: name.slice(space + 1), given: name.slice(0, space) } : { literal: name };
+            })
+            : null,
+        issued: Number.isInteger(book.publicationYear) ? { 'date-parts': [[book.publicationYear]] } : null,
+        publisher: book.publisher,
+        ISBN: isbn13Of(book.isbn),
+        language: book.language,
+        'number-of-pages': book.pageCount,
+        abstract: book.description,
+        keyword: keywords.join(', ')
+    });
+};
+
+/** ===== FORMAT TABLE ===== */
+
+// Same shape as the entries of FORMATS in lib/catalogueFormats.js; no parse means export only
+const LIBRARY_FORMATS = {
+    marcxml: {
+        contentType: 'application/marcxml+xml; charset=utf-8',
+        mediaTypes: ['application/marcxml+xml'],
+        extension: 'xml',
+        xmlRoots: ['collection', 'record'],
+        parse: parseMarcXml,
+        head: () => `<?xml version="1.0" encoding="UTF-8"?>\n<collection xmlns="${MARC_NAMESPACE}">\n`,
+        record: (book) => toMarcRecord(book),
+        tail: () => '</collection>\n'
+    },
+    onix: {
+        contentType: 'application/xml; charset=utf-8',
+        mediaTypes: [],
+        extension: 'xml',
+        xmlRoots: ['ONIXMessage', 'ONIXmessage'],
+        parse: parseOnix,
+        head: ({ exportedAt }) => `<?xml version="1.0" encoding="UTF-8"?>\n<ONIXMessage release="3.0" xmlns="${ONIX_NAMESPACE}">\n`
+            + '  <Header>\n    <Sender>\n      <SenderName>expressBookReviews</SenderName>\n    </Sender>\n'
+            + `    <SentDateTime>${onixDateTime(exportedAt)}</SentDateTime>\n  </Header>\n`,
+        record: (book) => toOnixProduct(book),
+        tail: () => '</ONIXMessage>\n'
+    },
+    bibtex: {
+        contentType: 'application/x-bibtex; charset=utf-8',
+        mediaTypes: [],
+        extension: 'bib',
+        head: () => '',
+        record: (book, index, state) => toBibtex(book, state),
+        tail: () => ''
+    },
+    csljson: {
+        contentType: 'application/vnd.citationstyles.csl+json; charset=utf-8',
+        mediaTypes: [],
+        extension: 'json',
+        head: () => '[\n',
+        record: (book, index) => `${index > 0 ? ',\n' : ''}${JSON.stringify(toCslItem(book))}`,
+        tail: () => '\n]\n'
+    }
+};
+
+module.exports = {
+    LIBRARY_FORMATS,
+    toMarcLanguage,
+    fromMarcLanguage
+};
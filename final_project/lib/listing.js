@@ -0,0 +1,442 @@
+/**
+ * expressBookReviews - Pagination, Sorting and Field Selection
+ *
+ * Shared by every endpoint that returns a list of books. Supported query
+ * parameters:
+ *   page   - 1-based page number (default 1)
+ *   limit  - items per page, 1..MAX_LIMIT (default DEFAULT_LIMIT)
+ *   sort   - title | author | year | rating | reviews, prefix with "-" for descending
+ *            (e.g. sort=-rating); without it the endpoint's natural order is kept
+ *   fields - comma-separated fields to return (isbn is always included)
+ *
+ * and these filters, combined with AND (see lib/bookSchema.js for the fields):
+ *   genre, subject, language - comma-separated, a book matches any of them
+ *                              (genre and subject ignore case and diacritics)
+ *   title, publisher         - part of the title / publisher's name
+ *   year, year_from, year_to - publication year (negative for BCE)
+ *   min_pages, max_pages     - page count
+ *   (yearFrom, yearTo, minPages and maxPages are accepted as aliases)
+ *   min_rating               - average rating, 1 to 5
+ *   has_reviews              - true or false
+ * Books without the value a filter looks at never match it.
+ *
+ * List responses carry { total, page, limit, totalPages } and a Link header
+ * (RFC 8288) with first/prev/next/last relations.
+ */
+
+const { foldText } = require('./search.js');
+
+const DEFAULT_LIMIT = 25;
+const MAX_LIMIT = 100;
+
+const SORT_FIELDS = {
+    title: (book) => book.title || '',
+    // Anonymous works have no author line and go last
+    author: (book) => book.author || null,
+    year: (book) => (Number.isInteger(book.publicationYear) ? book.publicationYear : null),
+    rating: (book) => book.averageRating,
+    reviews: (book) => book.reviewCount || 0
+};
+
+const SELECTABLE_FIELDS = [
+    'isbn', 'title', 'author', 'authors', 'genres', 'subjects', 'publicationYear', 'language',
+    'publisher', 'pageCount', 'description', 'coverUrl', 'reviews', 'averageRating', 'ratingCount',
+    'reviewCount', 'matchType', 'relevance', 'createdAt', 'updatedAt', 'score', 'matchedFields', 'highlights'
+];
+
+const SEARCH_TERM_MIN_LENGTH = 2;
+const SEARCH_TERM_MAX_LENGTH = 100;
+const MALICIOUS_PATTERNS = ['<script>', 'javascript:', 'onload=', 'onerror='];
+
+/**
+ * Checks a free-text search term (route parameter or text filter)
+ * @param {string} name - Parameter name, for the messages
+ * @param {*} value - Value from the request
+ * @returns {Object|null} - { error, message } describing the problem, or null if acceptable
+ */
+const checkSearchTerm = (name, value) => {
+    // EDGE CASE: Repeated query parameter (?q=a&q=b) arrives as an array
+    if (typeof value !== 'string') {
+        return { error: "Invalid search parameter", message: `${name} may only be given once` };
+    }
+    const term = value.trim();
+    if (term === '') {
+        return { error: "Empty search term", message: `${name} cannot be empty or whitespace only` };
+    }
+    if (term.length < SEARCH_TERM_MIN_LENGTH) {
+        return { error: "Search term too short", message: `${name} must be at least ${SEARCH_TERM_MIN_LENGTH} characters long` };
+    }
+    // Prevent extremely long search terms (DoS protection)
+    if (term.length > SEARCH_TERM_MAX_LENGTH) {
+        return { error: "Search term too long", message: `${name} must be less than ${SEARCH_TERM_MAX_LENGTH} characters` };
+    }
+    // EDGE CASE: Check for potentially malicious patterns
+    if (MALICIOUS_PATTERNS.some(pattern => term.toLowerCase().includes(pattern))) {
+        return { error: "Invalid search term", message: "Search term contains potentially harmful content" };
+    }
+    return null;
+};
+
+/**
+ * Parses a comma-separated filter value
+ * @param {string} raw - Query value
+ * @returns {string[]|null} - Folded, non-empty values, or null if there are none
+ */
+const parseList = (raw) => {
+    const values = raw.split(',').map(value => foldText(value.trim())).filter(Boolean);
+    return values.length > 0 ? values : null;
+};
+
+/**
+ * Parses a (possibly negative) whole number filter value
+ * @param {string} raw - Query value
+ * @returns {number|null} - The number, or null if invalid
+ */
+const parseWholeNumber = (raw) => (/^-?\d{1,6}$/.test(raw.trim()) ? Number(raw.trim()) : null);
+
+/**
+ * Parses a rating filter value
+ * @param {string} raw - Query value
+ * @returns {number|null} - 1 to 5, decimals allowed, or null if invalid
+ */
+const parseRating = (raw) => {
+    const rating = /^\d(\.\d{1,2})?$/.test(raw.trim()) ? Number(raw.trim()) : NaN;
+    return rating >= 1 && rating <= 5 ? rating : null;
+};
+
+/**
+ * Parses a true/false filter value
+ * @param {string} raw - Query value
+ * @returns {boolean|null} - The flag, or null if invalid
+ */
+const parseFlag = (raw) => ({ true: true, false: false }[raw.trim().toLowerCase()] ?? null);
+
+const hasLabel = (labels, wanted) => (labels || []).some(label => wanted.includes(foldText(label)));
+const contains = (text, wanted) => Boolean(text) && foldText(text).includes(wanted);
+
+// text: free-text filters, checked like the search route parameters
+// alias: earlier name of the parameter, still accepted
+const FILTERS = {
+    title: { text: true, parse: (raw) => foldText(raw.trim()), test: (book, wanted) => contains(book.title, wanted) },
+    genre: { text: true, parse: parseList, test: (book, wanted) => hasLabel(book.genres, wanted), expects: "a comma-separated list" },
+    subject: { text: true, parse: parseList, test: (book, wanted) => hasLabel(book.subjects, wanted), expects: "a comma-separated list" },
+    language: { parse: parseList, test: (book, wanted) => Boolean(book.language) && wanted.includes(book.language), expects: "a comma-separated list of language codes" },
+    publisher: { text: true, parse: (raw) => foldText(raw.trim()), test: (book, wanted) => contains(book.publisher, wanted) },
+    year: { parse: parseWholeNumber, test: (book, year) => book.publicationYear === year, expects: "a whole number" },
+    year_from: { alias: 'yearFrom', parse: parseWholeNumber, test: (book, year) => Number.isInteger(book.publicationYear) && book.publicationYear >= year, expects: "a whole number" },
+    year_to: { alias: 'yearTo', parse: parseWholeNumber, test: (book, year) => Number.isInteger(book.publicationYear) && book.publicationYear <= year, expects: "a whole number" },
+    min_pages: { alias: 'minPages', parse: parseWholeNumber, test: (book, pages) => Number.isInteger(book.pageCount) && book.pageCount >= pages, expects: "a whole number" },
+    max_pages: { alias: 'maxPages', parse: parseWholeNumber, test: (book, pages) => Number.isInteger(book.pageCount) && book.pageCount <= pages, expects: "a whole number" },
+    min_rating: { parse: parseRating, test: (book, rating) => book.averageRating !== null && book.averageRating >= rating, expects: "a number from 1 to 5" },
+    has_reviews: { parse: parseFlag, test: (book, flag) => ((book.reviewCount || 0) > 0) === flag, expects: "true or false" }
+};
+
+/**
+ * Parses the metadata filters of a listing request
+ * @param {Object} query - req.query
+ * @param {Object[]} errors - Problems are appended here
+ * @returns {Object} - { <filter>: parsed value } for the filters that were given
+ */
+const parseFilters = (query, errors) => {
+    const filters = {};
+    for (const [name, filter] of Object.entries(FILTERS)) {
+        // EDGE CASE: Both names given (?year_from=1900&yearFrom=1950)
+        if (filter.alias && query[name] !== undefined && query[filter.alias] !== undefined) {
+            errors.push({ parameter: name, message: `Give either ${name} or ${filter.alias}, not both` });
+            continue;
+        }
+        const given = filter.alias && query[name] === undefined ? filter.alias : name;
+        const raw = query[given];
+        if (raw === undefined || raw === '') {
+            continue;
+        }
+        if (typeof raw !== 'string') {
+            errors.push({ parameter: given, message: `${given} may only be given once` });
+            continue;
+        }
+        const termError = filter.text ? checkSearchTerm(given, raw) : null;
+        if (termError) {
+            errors.push({ parameter: given, message: termError.message });
+            continue;
+        }
+        const parsed = filter.parse(raw);
+        if (parsed === null) {
+            errors.push({ parameter: given, message: `${given} must be ${filter.expects}` });
+        } else {
+            filters[name] = parsed;
+        }
+    }
+    if (filters.year_from !== undefined && filters.year_to !== undefined && filters.year_from > filters.year_to) {
+        errors.push({ parameter: 'year_from', message: "year_from cannot be after year_to" });
+    }
+    if (filters.min_pages !== undefined && filters.max_pages !== undefined && filters.min_pages > filters.max_pages) {
+        errors.push({ parameter: 'min_pages', message: "min_pages cannot be more than max_pages" });
+    }
+    return filters;
+};
+
+/**
+ * Keeps the books that pass every filter
+ * @param {Object[]} books - Books as listed by the endpoint
+ * @param {Object} [filters] - Parsed filters from parseFilters
+ * @returns {Object[]} - Matching books
+ */
+const filterBooks = (books, filters = {}) => {
+    const active = Object.entries(filters);
+    if (active.length === 0) {
+        return books;
+    }
+    return books.filter(book => active.every(([name, value]) => FILTERS[name].test(book, value)));
+};
+
+/**
+ * Parses a positive integer query parameter
+ * @param {*} raw - Query value
+ * @param {number} fallback - Value when the parameter is absent
+ * @returns {number} - Parsed value, or NaN if invalid
+ */
+const parsePositiveInt = (raw, fallback) => {
+    if (raw === undefined || raw === '') {
+        return fallback;
+    }
+    return /^\d+$/.test(String(raw)) ? Number(raw) : NaN;
+};
+
+/**
+ * Parses the page and limit query parameters
+ * Repeated parameters (?page=1&page=2) are rejected like any other invalid value.
+ * @param {Object} query - req.query
+ * @param {Object[]} errors - Problems are appended as { parameter, message }
+ * @returns {{ page: number, limit: number }} - Parsed values, NaN where invalid
+ */
+const parsePageParams = (query, errors) => {
+    const page = typeof query.page === 'object' ? NaN : parsePositiveInt(query.page, 1);
+    if (!Number.isInteger(page) || page < 1) {
+        errors.push({ parameter: 'page', message: "page must be a whole number of at least 1" });
+    }
+    const limit = typeof query.limit === 'object' ? NaN : parsePositiveInt(query.limit, DEFAULT_LIMIT);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+        errors.push({ parameter: 'limit', message: `limit must be a whole number from 1 to ${MAX_LIMIT}` });
+    }
+    return { page, limit };
+};
+
+/**
+ * Validates page, limit, sort and fields query parameters
+ * Attaches the parsed values as req.listQuery.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const validateListQuery = (req, res, next) => {
+    try {
+        const errors = [];
+        const { page: rawPage, limit: rawLimit, sort: rawSort, fields: rawFields } = req.query;
+
+        // EDGE CASE: Repeated parameters (?page=1&page=2) arrive as arrays
+        for (const [name, value] of Object.entries({ page: rawPage, limit: rawLimit, sort: rawSort, fields: rawFields })) {
+            if (Array.isArray(value) || (value !== undefined && typeof value !== 'string')) {
+                errors.push({ parameter: name, message: `${name} may only be given once` });
+            }
+        }
+        if (errors.length > 0) {
+            return res.status(400).json({ error: "Invalid query parameter", message: errors[0].message, details: errors });
+        }
+
+        const { page, limit } = parsePageParams(req.query, errors);
+
+        let sort = null;
+        if (rawSort !== undefined && rawSort !== '') {
+            const descending = rawSort.startsWith('-');
+            const field = descending ? rawSort.slice(1) : rawSort;
+            if (!Object.hasOwn(SORT_FIELDS, field)) {
+                errors.push({ parameter: 'sort', message: `sort must be one of: ${Object.keys(SORT_FIELDS).join(', ')} (prefix with - for descending)` });
+            } else {
+                sort = { field, descending };
+            }
+        }
+
+        let fields = null;
+        if (rawFields !== undefined && rawFields !== '') {
+            fields = rawFields.split(',').map(field => field.trim()).filter(Boolean);
+            const unknown = fields.filter(field => !SELECTABLE_FIELDS.includes(field));
+            if (unknown.length > 0) {
+                errors.push({ parameter: 'fields', message: `Unknown field(s): ${unknown.join(', ')}. Available: ${SELECTABLE_FIELDS.join(', ')}` });
+            }
+        }
+
+        const filters = parseFilters(req.query, errors);
+
+        if (errors.length > 0) {
+            return res.status(400).json({
+                error: "Invalid query parameter",
+                message: errors.map(e => e.message).join('; '),
+                details: errors
+            });
+        }
+
+        req.listQuery = { page, limit, sort, fields, filters };
+        next();
+    } catch (error) {
+        console.error('List query validation error:', error);
+        res.status(500).json({
+            error: "Validation error",
+            message: "An error occurred during query parameter validation"
+        });
+    }
+};
+
+/**
+ * Validates only the page and limit query parameters
+ * For lists that are not lists of books and bring their own sort options.
+ * Attaches { page, limit, sort: null, fields: null, filters: {} } as req.listQuery.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const validatePageQuery = (req, res, next) => {
+    const errors = [];
+    const { page, limit } = parsePageParams(req.query, errors);
+
+    if (errors.length > 0) {
+        return res.status(400).json({
+            error: "Invalid query parameter",
+            message: errors.map(e => e.message).join('; '),
+            details: errors
+        });
+    }
+
+    req.listQuery = { page, limit, sort: null, fields: null, filters: {} };
+    next();
+};
+
+/**
+ * Sorts books by one of SORT_FIELDS
+ * Books without a value (e.g. no ratings yet) always go last; ties keep their current order.
+ * @param {Object[]} books - Books with averageRating/reviewCount already attached
+ * @param {Object|null} sort - { field, descending } or null to keep the order
+ * @returns {Object[]} - Sorted copy
+ */
+const sortBooks = (books, sort) => {
+    if (!sort) {
+        return books;
+    }
+    const getValue = SORT_FIELDS[sort.field];
+    const direction = sort.descending ? -1 : 1;
+
+    return books
+        .map((book, index) => ({ book, index, value: getValue(book) }))
+        .sort((a, b) => {
+            const aMissing = a.value === null || a.value === undefined;
+            const bMissing = b.value === null || b.value === undefined;
+            if (aMissing || bMissing) {
+                return aMissing === bMissing ? a.index - b.index : (aMissing ? 1 : -1);
+            }
+            const diff = typeof a.value === 'string'
+                ? a.value.localeCompare(b.value, undefined, { sensitivity: 'base' })
+                : a.value - b.value;
+            return diff !== 0 ? diff * direction : a.index - b.index;
+        })
+        .map(entry => entry.book);
+};
+
+/**
+ * Keeps only the requested fields of a book (isbn is always kept)
+ * @param {Object} book - Book as returned by the endpoint
+ * @param {string[]|null} fields - Fields to keep, or null for all
+ * @returns {Object} - Projected book
+ */
+const selectFields = (book, fields) => {
+    if (!fields) {
+        return book;
+    }
+    const selected = { isbn: book.isbn };
+    for (const field of fields) {
+        if (book[field] !== undefined) {
+            selected[field] = book[field];
+        }
+    }
+    return selected;
+};
+
+/**
+ * Filters, sorts, paginates and projects a list of books
+ * @param {Object[]} books - Complete result list
+ * @param {Object} listQuery - req.listQuery from validateListQuery
+ * @returns {{ books: Object[], pagination: Object }} - The requested page and its metadata
+ */
+const applyListQuery = (books, listQuery) => {
+    const { page, limit, sort, fields, filters } = listQuery;
+    const matching = filterBooks(books, filters);
+    const total = matching.length;
+    const totalPages = Math.max(1, Math.ceil(total / limit));
+    const start = (page - 1) * limit;
+
+    return {
+        books: sortBooks(matching, sort).slice(start, start + limit).map(book => selectFields(book, fields)),
+        pagination: { total, page, limit, totalPages }
+    };
+};
+
+/**
+ * Builds the Link header for a paginated response
+ * @param {Object} req - Express request object (its path and query are reused)
+ * @param {Object} pagination - { page, totalPages } from applyListQuery
+ * @returns {string} - Header value, e.g. </?page=2&limit=25>; rel="next", ...
+ */
+const buildLinkHeader = (req, pagination) => {
+    const { page, totalPages } = pagination;
+    const basePath = req.baseUrl + req.path;
+
+    const linkTo = (targetPage, rel) => {
+        const params = new URLSearchParams();
+        for (const [key, value] of Object.entries(req.query)) {
+            if (key !== 'page' && typeof value === 'string') {
+                params.set(key, value);
+            }
+        }
+        params.set('page', String(targetPage));
+        return `<${basePath}?${params.toString()}>; rel="${rel}"`;
+    };
+
+    const links = [linkTo(1, 'first')];
+    if (page > 1) {
+        links.push(linkTo(Math.min(page - 1, totalPages), 'prev'));
+    }
+    if (page < totalPages) {
+        links.push(linkTo(page + 1, 'next'));
+    }
+    links.push(linkTo(totalPages, 'last'));
+    return links.join(', ');
+};
+
+/**
+ * Sets the Link and X-Total-Count headers of a paginated response
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} pagination - Pagination metadata from applyListQuery
+ */
+const setPaginationHeaders = (req, res, pagination) => {
+    res.set({
+        'Link': buildLinkHeader(req, pagination),
+        'X-Total-Count': String(pagination.total)
+    });
+};
+
+module.exports = {
+    DEFAULT_LIMIT,
+    MAX_LIMIT,
+    SORT_FIELDS,
+    SELECTABLE_FIELDS,
+    FILTERS,
+    checkSearchTerm,
+    validateListQuery,
+    validatePageQuery,
+    parseFilters,
+    filterBooks,
+    sortBooks,
+    selectFields,
+    applyListQuery,
+    buildLinkHeader,
+    setPaginationHeaders
+};
@@ -0,0 +1,299 @@
+/**
+ * expressBookReviews - Review Records and Rating Aggregates
+ *
+ * Reviews stay keyed by username inside books[isbn].reviews. Each entry is:
+ *   {
+ *     review:    text,
+ *     rating:    1..5 stars,
+ *     title:     optional headline,
+ *     createdAt: ISO timestamp of the first version,
+ *     updatedAt: ISO timestamp of the latest edit,
+ *     history:   previous versions, oldest first ({ review, rating, title, editedAt }),
+ *     votes:     optional { <voter>: "up" | "down" } "was this helpful?" votes,
+ *     moderation: optional { status: "hidden", hiddenAt, hiddenBy, reason }
+ *   }
+ *
+ * Reviews written before ratings existed only have { review }. They are
+ * still listed, but do not count towards the average rating. Hidden
+ * reviews are left out of every public listing and of the rating figures.
+ * Voter names are never published, only the vote counts.
+ */
+
+const MIN_RATING = 1;
+const MAX_RATING = 5;
+const VOTE_VALUES = ['up', 'down'];
+
+const REVIEW_SORT_FIELDS = {
+    helpful: (entry) => helpfulness(countVotes(entry)),
+    rating: (entry) => (isValidRating(entry.rating) ? entry.rating : null),
+    date: (entry) => entry.createdAt || entry.updatedAt || null
+};
+
+/**
+ * Checks a star rating
+ * @param {*} rating - Value to check
+ * @returns {boolean} - True for the integers 1 to 5
+ */
+const isValidRating = (rating) => Number.isInteger(rating) && rating >= MIN_RATING && rating <= MAX_RATING;
+
+/**
+ * Creates a new review or a new version of an existing one
+ * The previous version is appended to the history unless nothing changed.
+ * @param {Object|undefined} existing - Current review by this user, if any
+ * @param {Object} input - { review, rating, title }; omitted fields keep their current value
+ * @param {string} [now] - Timestamp to record
+ * @returns {Object} - Review record to store
+ */
+const buildReview = (existing, input, now = new Date().toISOString()) => {
+    if (!existing) {
+        return {
+            review: input.review,
+            rating: input.rating,
+            ...(input.title !== undefined && { title: input.title }),
+            createdAt: now,
+            updatedAt: now,
+            history: []
+        };
+    }
+
+    const next = {
+        review: input.review !== undefined ? input.review : existing.review,
+        rating: input.rating !== undefined ? input.rating : existing.rating,
+        title: input.title !== undefined ? input.title : existing.title
+    };
+
+    const unchanged = next.review === existing.review
+        && next.rating === existing.rating
+        && next.title === existing.title;
+    if (unchanged) {
+        return existing;
+    }
+
+    return {
+        ...existing,
+        ...next,
+        // EDGE CASE: Legacy review without timestamps
+        createdAt: existing.createdAt || existing.updatedAt || now,
+        updatedAt: now,
+        history: [
+            ...(existing.history || []),
+            {
+                review: existing.review,
+                rating: existing.rating,
+                title: existing.title,
+                editedAt: now
+            }
+        ]
+    };
+};
+
+/**
+ * Reads the entry for a username from reviews or votes
+ * Usernames such as "constructor" must not resolve to Object.prototype members.
+ * @param {Object} entries - books[isbn].reviews or a review's votes
+ * @param {string} username - Reviewer or voter
+ * @returns {*} - The entry, or undefined if there is none
+ */
+const entryOf = (entries, username) => (entries && Object.hasOwn(entries, username) ? entries[username] : undefined);
+
+/**
+ * Tells whether a moderator has hidden a review
+ * @param {Object} entry - Review record
+ * @returns {boolean} - True if hidden
+ */
+const isHidden = (entry) => entry?.moderation?.status === 'hidden';
+
+/**
+ * Keeps the reviews that may be shown publicly
+ * @param {Object} reviews - books[isbn].reviews
+ * @returns {Object} - Reviews that are not hidden, keyed by username
+ */
+const visibleReviews = (reviews) => Object.fromEntries(
+    Object.entries(reviews || {}).filter(([, entry]) => entry && !isHidden(entry))
+);
+
+/**
+ * Counts the helpfulness votes of a review
+ * @param {Object} entry - Review record
+ * @returns {{ up: number, down: number }} - Vote counts
+ */
+const countVotes = (entry) => {
+    const counts = { up: 0, down: 0 };
+    for (const vote of Object.values(entry?.votes || {})) {
+        if (VOTE_VALUES.includes(vote)) {
+            counts[vote]++;
+        }
+    }
+    return counts;
+};
+
+/**
+ * Scores how helpful readers found a review
+ * Lower bound of the Wilson score interval (95%): one lone "up" vote ranks
+ * below 40 up and 2 down, which a plain up/down ratio would not do.
+ * @param {{ up: number, down: number }} votes - Vote counts
+ * @returns {number} - 0 (no or only negative votes) to 1
+ */
+const helpfulness = ({ up, down }) => {
+    const n = up + down;
+    if (n === 0) {
+        return 0;
+    }
+    const z = 1.96;
+    const p = up / n;
+    return (p + z * z / (2 * n) - z * Math.sqrt((p * (1 - p) + z * z / (4 * n)) / n)) / (1 + z * z / n);
+};
+
+/**
+ * Shapes a review for public output: voter names and moderation details are dropped
+ * @param {Object} entry - Review record
+ * @returns {Object} - Review with helpfulVotes and unhelpfulVotes counts
+ */
+const toPublicReview = (entry) => {
+    const { votes: _votes, moderation: _moderation, ...review } = entry;
+    const { up, down } = countVotes(entry);
+    return { ...review, helpfulVotes: up, unhelpfulVotes: down };
+};
+
+/**
+ * Parses the sort parameter of a review listing
+ * Same convention as book listings: a field name, prefixed with "-" for descending.
+ * @param {*} raw - Query value
+ * @returns {Object|null|undefined} - { field, descending }, null when absent, undefined if invalid
+ */
+const parseReviewSort = (raw) => {
+    if (raw === undefined || raw === '') {
+        return null;
+    }
+    if (typeof raw !== 'string') {
+        return undefined;
+    }
+    const descending = raw.startsWith('-');
+    const field = descending ? raw.slice(1) : raw;
+    return Object.hasOwn(REVIEW_SORT_FIELDS, field) ? { field, descending } : undefined;
+};
+
+/**
+ * Sorts reviews by one of REVIEW_SORT_FIELDS
+ * Reviews without a value for the sort field (e.g. no rating) go last; ties
+ * keep the current order, except that more votes win a helpfulness tie.
+ * @param {Object[]} items - Objects carrying the review record as .entry
+ * @param {Object|null} sort - { field, descending } from parseReviewSort, or null to keep the order
+ * @returns {Object[]} - Sorted copy
+ */
+const sortReviews = (items, sort) => {
+    if (!sort) {
+        return items;
+    }
+    const getValue = REVIEW_SORT_FIELDS[sort.field];
+    const direction = sort.descending ? -1 : 1;
+    const votes = (entry) => { const { up, down } = countVotes(entry); return up + down; };
+
+    return items
+        .map((item, index) => ({ item, index, value: getValue(item.entry) }))
+        .sort((a, b) => {
+            if (a.value === null || b.value === null) {
+                return a.value === b.value ? a.index - b.index : (a.value === null ? 1 : -1);
+            }
+            if (a.value !== b.value) {
+                return (a.value < b.value ? -1 : 1) * direction;
+            }
+            if (sort.field === 'helpful' && votes(a.item.entry) !== votes(b.item.entry)) {
+                return votes(b.item.entry) - votes(a.item.entry);
+            }
+            return a.index - b.index;
+        })
+        .map(({ item }) => item);
+};
+
+/**
+ * Lists the visible reviews of a book for public output
+ * @param {Object} reviews - books[isbn].reviews
+ * @param {Object|null} [sort] - { field, descending } from parseReviewSort
+ * @returns {Array<[string, Object]>} - [username, public review] pairs in order
+ */
+const listPublicReviews = (reviews, sort = null) => {
+    const items = Object.entries(visibleReviews(reviews)).map(([username, entry]) => ({ username, entry }));
+    return sortReviews(items, sort).map(({ username, entry }) => [username, toPublicReview(entry)]);
+};
+
+/**
+ * Gathers visible reviews from across the catalogue
+ * @param {Object} books - Every stored book, keyed by book key
+ * @param {Function} [include] - (username, entry) => boolean; all reviews when omitted
+ * @returns {Object[]} - [{ isbn, bookTitle, username, entry }] in catalogue order
+ */
+const collectReviews = (books, include = () => true) => {
+    const items = [];
+    for (const [isbn, book] of Object.entries(books)) {
+        for (const [username, entry] of Object.entries(visibleReviews(book.reviews))) {
+            if (include(username, entry)) {
+                items.push({ isbn, bookTitle: book.title || null, username, entry });
+            }
+        }
+    }
+    return items;
+};
+
+/**
+ * Computes the rating statistics of a book (hidden reviews do not count)
+ * @param {Object} reviews - books[isbn].reviews
+ * @returns {Object} - { averageRating, ratingCount, ratingDistribution }; averageRating is null without ratings
+ */
+const summarizeRatings = (reviews) => {
+    const ratingDistribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+    let ratingCount = 0;
+    let total = 0;
+
+    for (const entry of Object.values(visibleReviews(reviews))) {
+        if (isValidRating(entry.rating)) {
+            ratingDistribution[entry.rating]++;
+            ratingCount++;
+            total += entry.rating;
+        }
+    }
+
+    return {
+        averageRating: ratingCount > 0 ? Math.round((total / ratingCount) * 100) / 100 : null,
+        ratingCount,
+        ratingDistribution
+    };
+};
+
+/**
+ * Adds the aggregate rating to a book for the listing endpoints
+ * @param {Object} book - Stored book
+ * @returns {Object} - Copy of the book with its public reviews, averageRating, ratingCount and reviewCount
+ */
+const withRatingSummary = (book) => {
+    const { averageRating, ratingCount } = summarizeRatings(book.reviews);
+    const reviews = Object.fromEntries(listPublicReviews(book.reviews));
+    return {
+        ...book,
+        reviews,
+        averageRating,
+        ratingCount,
+        reviewCount: Object.keys(reviews).length
+    };
+};
+
+module.exports = {
+    MIN_RATING,
+    MAX_RATING,
+    VOTE_VALUES,
+    REVIEW_SORT_FIELDS,
+    isValidRating,
+    buildReview,
+    entryOf,
+    isHidden,
+    visibleReviews,
+    countVotes,
+    helpfulness,
+    toPublicReview,
+    parseReviewSort,
+    sortReviews,
+    listPublicReviews,
+    collectReviews,
+    summarizeRatings,
+    withRatingSummary
+};
@@ -0,0 +1,285 @@
+/**
+ * expressBookReviews - Full-Text Search
+ *
+ * In-process inverted index over book titles, authors and review text
+ * (reviews hidden by moderators are left out).
+ *
+ * - Matching ignores case and diacritics ("Njal" finds "Njál's Saga").
+ * - Query terms also match index terms with small typos (edit distance 1
+ *   for terms of 4-7 characters, 2 for longer terms) and, from 3
+ *   characters on, terms they are a prefix of.
+ * - Scores add up, per query term, field weight x match quality x term
+ *   rarity (idf); books matching more of the query terms rank higher.
+ * - Results carry highlighted snippets with matches wrapped in <mark>; the
+ *   surrounding text is HTML-escaped so snippets are safe to render.
+ *
+ * The index is rebuilt only when the books collection's version changes
+ * (see storage/memoryStore.js).
+ */
+
+const { visibleReviews } = require('./reviews.js');
+
+const FIELD_WEIGHTS = { title: 3, author: 2, review: 1 };
+const MATCH_QUALITY = { exact: 1, prefix: 0.7, fuzzy: 0.6 };
+const STOP_WORDS = new Set(['a', 'an', 'and', 'the', 'of', 'in', 'on', 'to', 'for', 'by', 's']);
+const SNIPPET_RADIUS = 60;
+
+/**
+ * Lower-cases and strips diacritics
+ * @param {string} text - Text to fold
+ * @returns {string} - e.g. "Père" -> "pere"
+ */
+const foldText = (text) => String(text).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
+/**
+ * Splits text into folded terms, keeping each term's position in the original text
+ * @param {string} text - Original text
+ * @returns {Object[]} - [{ term, start, end }]
+ */
+const tokenize = (text) => {
+    const tokens = [];
+    for (const match of String(text).matchAll(/[\p{L}\p{N}]+/gu)) {
+        tokens.push({ term: foldText(match[0]), start: match.index, end: match.index + match[0].length });
+    }
+    return tokens;
+};
+
+/**
+ * Restricted Damerau-Levenshtein distance, giving up once it exceeds max
+ * @param {string} a - First term
+ * @param {string} b - Second term
+ * @param {number} max - Largest distance of interest
+ * @returns {number} - Distance, or max + 1 if larger than max
+ */
+const editDistance = (a, b, max) => {
+    if (Math.abs(a.length - b.length) > max) {
+        return max + 1;
+    }
+    let prevPrev = null;
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            let value = Math.min(prev[j] + 1, current[j - 1] + 1, prev[j - 1] + cost);
+            if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                value = Math.min(value, prevPrev[j - 2] + 1);
+            }
+            current.push(value);
+            rowMin = Math.min(rowMin, value);
+        }
+        if (rowMin > max) {
+            return max + 1;
+        }
+        prevPrev = prev;
+        prev = current;
+    }
+    return prev[b.length];
+};
+
+/**
+ * Number of typos tolerated for a query term
+ * @param {string} term - Folded query term
+ * @returns {number} - 0, 1 or 2
+ */
+const allowedTypos = (term) => (term.length >= 8 ? 2 : term.length >= 4 ? 1 : 0);
+
+/**
+ * Builds the inverted index
+ * @param {Object} books - All books keyed by ISBN
+ * @returns {Object} - { postings: Map(term -> Map(isbn -> { title, author, review })), bookCount }
+ */
+const buildIndex = (books) => {
+    const postings = new Map();
+
+    const add = (term, isbn, field) => {
+        if (!postings.has(term)) {
+            postings.set(term, new Map());
+        }
+        const byBook = postings.get(term);
+        if (!byBook.has(isbn)) {
+            byBook.set(isbn, { title: 0, author: 0, review: 0 });
+        }
+        byBook.get(isbn)[field]++;
+    };
+
+    for (const [isbn, book] of Object.entries(books)) {
+        for (const { term } of tokenize(book.title || '')) {
+            add(term, isbn, 'title');
+        }
+        for (const { term } of tokenize((book.authors || [book.author || '']).join(' '))) {
+            add(term, isbn, 'author');
+        }
+        for (const entry of Object.values(visibleReviews(book.reviews))) {
+            for (const { term } of tokenize(`${entry.title || ''} ${entry.review || ''}`)) {
+                add(term, isbn, 'review');
+            }
+        }
+    }
+
+    return { postings, bookCount: Object.keys(books).length };
+};
+
+let cachedIndex = null;
+let cachedVersion = null;
+
+/**
+ * Returns the index for the current catalogue, rebuilding it if the catalogue changed
+ * @param {Object} books - All books keyed by ISBN
+ * @param {*} version - Version of the books collection the books were read at
+ * @returns {Object} - Index from buildIndex
+ */
+const getIndex = (books, version) => {
+    // EDGE CASE: Without a version there is no telling whether the cache is current
+    if (version === undefined || version !== cachedVersion) {
+        cachedIndex = buildIndex(books);
+        cachedVersion = version;
+    }
+    return cachedIndex;
+};
+
+/**
+ * Finds the index terms a query term matches
+ * @param {Object} index - Index from buildIndex
+ * @param {string} queryTerm - Folded query term
+ * @returns {Object[]} - [{ term, quality }]
+ */
+const expandTerm = (index, queryTerm) => {
+    const matches = [];
+    const maxTypos = allowedTypos(queryTerm);
+
+    for (const term of index.postings.keys()) {
+        if (term === queryTerm) {
+            matches.push({ term, quality: MATCH_QUALITY.exact });
+        } else if (queryTerm.length >= 3 && term.startsWith(queryTerm)) {
+            matches.push({ term, quality: MATCH_QUALITY.prefix });
+        } else if (maxTypos > 0) {
+            const distance = editDistance(queryTerm, term, maxTypos);
+            if (distance <= maxTypos) {
+                matches.push({ term, quality: MATCH_QUALITY.fuzzy / distance });
+            }
+        }
+    }
+    return matches;
+};
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+const escapeHtml = (text) => text.replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+
+/**
+ * Wraps the matched terms of a text in <mark> tags
+ * @param {string} text - Original text
+ * @param {Set<string>} terms - Matched index terms
+ * @returns {string|null} - Highlighted text, or null if nothing matched
+ */
+const highlight = (text, terms) => {
+    let result = '';
+    let last = 0;
+    let found = false;
+
+    for (const token of tokenize(text)) {
+        if (terms.has(token.term)) {
+            result += escapeHtml(text.slice(last, token.start)) + '<mark>' + escapeHtml(text.slice(token.start, token.end)) + '</mark>';
+            last = token.end;
+            found = true;
+        }
+    }
+    return found ? result + escapeHtml(text.slice(last)) : null;
+};
+
+/**
+ * Cuts a short highlighted excerpt around the first match in a longer text
+ * @param {string} text - Original text (e.g. a review)
+ * @param {Set<string>} terms - Matched index terms
+ * @returns {string|null} - Excerpt with <mark> tags, or null if nothing matched
+ */
+const snippet = (text, terms) => {
+    const first = tokenize(text).find(token => terms.has(token.term));
+    if (!first) {
+        return null;
+    }
+    const start = Math.max(0, first.start - SNIPPET_RADIUS);
+    const end = Math.min(text.length, first.end + SNIPPET_RADIUS);
+    return (start > 0 ? '…' : '') + highlight(text.slice(start, end), terms) + (end < text.length ? '…' : '');
+};
+
+/**
+ * Searches the catalogue
+ * @param {Object} books - All books keyed by ISBN
+ * @param {string} query - Free-text query
+ * @param {*} [version] - Version of the books collection (db.books.version()), so the index is reused until it changes
+ * @returns {Object[]} - Matching books, best first: { isbn, score, matchedTerms, matchedFields, highlights }
+ */
+const search = (books, query, version) => {
+    const index = getIndex(books, version);
+    let queryTerms = [...new Set(tokenize(query).map(token => token.term))];
+
+    // Ignore stop words unless the query is nothing but stop words
+    const meaningful = queryTerms.filter(term => !STOP_WORDS.has(term));
+    if (meaningful.length > 0) {
+        queryTerms = meaningful;
+    }
+    if (queryTerms.length === 0) {
+        return [];
+    }
+
+    const results = new Map();
+
+    for (const queryTerm of queryTerms) {
+        for (const { term, quality } of expandTerm(index, queryTerm)) {
+            const byBook = index.postings.get(term);
+            const idf = Math.log(1 + index.bookCount / byBook.size);
+
+            for (const [isbn, counts] of byBook) {
+                if (!results.has(isbn)) {
+                    results.set(isbn, { isbn, score: 0, queryTerms: new Set(), terms: new Set(), fields: new Set() });
+                }
+                const result = results.get(isbn);
+                for (const [field, count] of Object.entries(counts)) {
+                    if (count > 0) {
+                        // 1 + log(tf) dampens long reviews repeating a word
+                        result.score += FIELD_WEIGHTS[field] * quality * idf * (1 + Math.log(count));
+                        result.fields.add(field);
+                    }
+                }
+                result.queryTerms.add(queryTerm);
+                result.terms.add(term);
+            }
+        }
+    }
+
+    return [...results.values()]
+        .map((result) => {
+            const book = books[result.isbn];
+            const coverage = result.queryTerms.size / queryTerms.length;
+            const highlights = {};
+
+            const title = highlight(book.title || '', result.terms);
+            const author = highlight(book.author || (book.authors || []).join(', '), result.terms);
+            if (title) highlights.title = title;
+            if (author) highlights.author = author;
+
+            if (result.fields.has('review')) {
+                for (const [username, entry] of Object.entries(visibleReviews(book.reviews))) {
+                    const excerpt = snippet(`${entry.title ? entry.title + ' - ' : ''}${entry.review || ''}`, result.terms);
+                    if (excerpt) {
+                        highlights.review = { username, snippet: excerpt };
+                        break;
+                    }
+                }
+            }
+
+            return {
+                isbn: result.isbn,
+                score: Math.round(result.score * coverage * coverage * 1000) / 1000,
+                matchedTerms: [...result.terms],
+                matchedFields: [...result.fields],
+                highlights
+            };
+        })
+        .sort((a, b) => b.score - a.score);
+};
+
+module.exports = { foldText, tokenize, editDistance, buildIndex, search };
@@ -0,0 +1,219 @@
+/**
+ * expressBookReviews - Reading Lists and Shelves
+ *
+ * Each user has one reading list in the `shelves` collection, keyed by the
+ * lower-cased username:
+ *   {
+ *     username, public, updatedAt,
+ *     shelves: { <slug>: { name, builtIn, createdAt } },
+ *     books:   { <book key>: { status, shelves, addedAt, startedAt, finishedAt, notes, updatedAt } }
+ *   }
+ *
+ * The built-in shelves want-to-read, reading and read are reading statuses:
+ * a book is on at most one of them (books[key].status). Custom shelves work
+ * like tags: a book can be on any number of them (books[key].shelves).
+ * Moving a book to "reading" records startedAt, moving it to "read" records
+ * finishedAt, unless the client supplies the dates.
+ *
+ * Shelf slugs and book keys come from URLs, so shelves and books are
+ * null-prototype objects (see readingListFrom) and only own keys count:
+ * "constructor" or "__proto__" never resolve to Object.prototype.
+ */
+
+const { foldText } = require('./search.js');
+
+const BUILT_IN_SHELVES = {
+    'want-to-read': 'Want to Read',
+    'reading': 'Currently Reading',
+    'read': 'Read'
+};
+const SHELF_NAME_MAX_LENGTH = 60;
+const MAX_CUSTOM_SHELVES = 50;
+const NOTES_MAX_LENGTH = 1000;
+// Slugs that would clash with fixed routes under /customer/auth/shelves, or with Object.prototype
+const RESERVED_SLUGS = ['visibility', 'constructor', '__proto__'];
+
+/**
+ * Derives the URL identifier of a shelf from its name
+ * @param {string} name - Shelf name, e.g. "Summer Holiday 2025!"
+ * @returns {string} - e.g. "summer-holiday-2025", or "" if nothing usable is left
+ */
+const slugify = (name) => foldText(name)
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 50);
+
+const isBuiltIn = (slug) => Object.hasOwn(BUILT_IN_SHELVES, slug);
+
+/**
+ * Copies entries into an object without a prototype
+ * @param {Object} entries - Plain object
+ * @returns {Object} - Null-prototype copy
+ */
+const withoutPrototype = (entries) => Object.assign(Object.create(null), entries);
+
+/**
+ * Prepares a stored reading list for use: shelves and books without a prototype
+ * @param {Object} stored - Reading list as read from the store
+ * @returns {Object} - The same list with safe shelves and books
+ */
+const readingListFrom = (stored) => ({
+    ...stored,
+    shelves: withoutPrototype(stored.shelves),
+    books: withoutPrototype(stored.books)
+});
+
+/**
+ * Creates the reading list of a user who has never used shelves
+ * @param {string} username - Owner
+ * @param {string} [now] - Timestamp to record
+ * @returns {Object} - Reading list with the built-in shelves and no books
+ */
+const emptyReadingList = (username, now = new Date().toISOString()) => readingListFrom({
+    username,
+    public: false,
+    updatedAt: now,
+    shelves: Object.fromEntries(Object.entries(BUILT_IN_SHELVES).map(([slug, name]) => [
+        slug, { name, builtIn: true, createdAt: now }
+    ])),
+    books: {}
+});
+
+/**
+ * Tells whether a reading list has a shelf
+ * @param {Object} list - Reading list
+ * @param {string} slug - Shelf id from the URL
+ * @returns {boolean} - True for the list's own shelves only
+ */
+const hasShelf = (list, slug) => Object.hasOwn(list.shelves, slug);
+
+/**
+ * Reads the entry of a shelved book
+ * @param {Object} list - Reading list
+ * @param {string} bookKey - Stored key of the book
+ * @returns {Object|undefined} - books[bookKey], if the book is on any shelf
+ */
+const bookEntry = (list, bookKey) => (Object.hasOwn(list.books, bookKey) ? list.books[bookKey] : undefined);
+
+/**
+ * Tells whether a book is on a shelf
+ * @param {Object} entry - books[key] of a reading list
+ * @param {string} slug - Shelf
+ * @returns {boolean} - True if it is
+ */
+const isOnShelf = (entry, slug) => (isBuiltIn(slug) ? entry.status === slug : (entry.shelves || []).includes(slug));
+
+/**
+ * Lists the books on a shelf, most recently added first
+ * @param {Object} list - Reading list
+ * @param {string} slug - Shelf
+ * @returns {Object[]} - [{ isbn, ...entry }]
+ */
+const shelfBooks = (list, slug) => Object.entries(list.books)
+    .filter(([, entry]) => isOnShelf(entry, slug))
+    .map(([isbn, entry]) => ({ isbn, ...entry }))
+    .sort((a, b) => (a.addedAt < b.addedAt ? 1 : -1));
+
+/**
+ * Puts a book on a shelf, or updates its dates and notes if it is already there
+ * @param {Object} list - Reading list (changed in place)
+ * @param {string} slug - Shelf
+ * @param {string} bookKey - Stored key of the book
+ * @param {Object} input - Optional { startedAt, finishedAt, notes } (null clears notes)
+ * @param {string} [now] - Timestamp to record
+ * @returns {{ entry: Object, added: boolean }} - The book's entry and whether it was newly shelved
+ */
+const placeBook = (list, slug, bookKey, input, now = new Date().toISOString()) => {
+    const entry = bookEntry(list, bookKey) || { status: null, shelves: [], addedAt: now };
+    const added = !isOnShelf(entry, slug);
+
+    if (isBuiltIn(slug)) {
+        entry.status = slug;
+        if (slug === 'reading' && !entry.startedAt) {
+            entry.startedAt = now;
+        }
+        if (slug === 'read' && !entry.finishedAt) {
+            entry.finishedAt = now;
+        }
+        // EDGE CASE: Back to want-to-read means the book was not actually read
+        if (slug === 'want-to-read') {
+            delete entry.startedAt;
+            delete entry.finishedAt;
+        }
+    } else if (added) {
+        entry.shelves = [...(entry.shelves || []), slug];
+    }
+
+    if (input.startedAt !== undefined) entry.startedAt = input.startedAt;
+    if (input.finishedAt !== undefined) entry.finishedAt = input.finishedAt;
+    if (input.notes === null) delete entry.notes;
+    else if (input.notes !== undefined) entry.notes = input.notes;
+
+    entry.updatedAt = now;
+    list.books[bookKey] = entry;
+    list.updatedAt = now;
+    return { entry, added };
+};
+
+/**
+ * Takes a book off a shelf; a book left on no shelf is forgotten entirely
+ * @param {Object} list - Reading list (changed in place)
+ * @param {string} slug - Shelf
+ * @param {string} bookKey - Stored key of the book
+ * @param {string} [now] - Timestamp to record
+ * @returns {boolean} - False if the book was not on the shelf
+ */
+const removeBook = (list, slug, bookKey, now = new Date().toISOString()) => {
+    const entry = bookEntry(list, bookKey);
+    if (!entry || !isOnShelf(entry, slug)) {
+        return false;
+    }
+    if (isBuiltIn(slug)) {
+        entry.status = null;
+    } else {
+        entry.shelves = entry.shelves.filter(shelf => shelf !== slug);
+    }
+
+    if (!entry.status && entry.shelves.length === 0) {
+        delete list.books[bookKey];
+    } else {
+        entry.updatedAt = now;
+    }
+    list.updatedAt = now;
+    return true;
+};
+
+/**
+ * Deletes a custom shelf and takes every book off it
+ * @param {Object} list - Reading list (changed in place)
+ * @param {string} slug - Custom shelf
+ * @param {string} [now] - Timestamp to record
+ * @returns {number} - Number of books that were on the shelf
+ */
+const deleteShelf = (list, slug, now = new Date().toISOString()) => {
+    const books = shelfBooks(list, slug);
+    for (const { isbn } of books) {
+        removeBook(list, slug, isbn, now);
+    }
+    delete list.shelves[slug];
+    list.updatedAt = now;
+    return books.length;
+};
+
+module.exports = {
+    BUILT_IN_SHELVES,
+    SHELF_NAME_MAX_LENGTH,
+    MAX_CUSTOM_SHELVES,
+    NOTES_MAX_LENGTH,
+    RESERVED_SLUGS,
+    slugify,
+    isBuiltIn,
+    readingListFrom,
+    emptyReadingList,
+    hasShelf,
+    bookEntry,
+    shelfBooks,
+    placeBook,
+    removeBook,
+    deleteShelf
+};
@@ -0,0 +1,195 @@
+/**
+ * expressBookReviews - Minimal XML Reading and Writing
+ *
+ * Just enough XML for the library metadata formats (lib/libraryFormats.js):
+ * elements, attributes, text, CDATA, comments and processing instructions.
+ * Namespace prefixes are dropped from names, so <marc:record> reads as
+ * "record". Documents with a DOCTYPE are refused rather than having their
+ * entity declarations ignored.
+ *
+ * Parsed elements are { name, attributes, children, text, nodes } where
+ * attributes has no prototype (attribute names are not checked against
+ * Object.prototype), children are the child elements, text the element's
+ * own text and nodes both, in document order.
+ */
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+// Library records are a few levels deep; anything far deeper is not one of them
+const MAX_DEPTH = 64;
+
+/**
+ * Escapes text for use in XML content or a quoted attribute
+ * @param {*} value - Text
+ * @returns {string} - Escaped text
+ */
+const escapeXml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    // Control characters are not allowed in XML 1.0 at all
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+
+/**
+ * Replaces entity and character references
+ * @param {string} text - Raw text
+ * @returns {string} - Decoded text
+ * @throws {Error} - On an unknown entity
+ */
+const decodeEntities = (text) => text.replace(/&(#x[0-9a-fA-F]+|#\d+|\w+);/g, (match, ref) => {
+    if (ref.startsWith('#')) {
+        const codePoint = ref.startsWith('#x') ? parseInt(ref.slice(2), 16) : parseInt(ref.slice(1), 10);
+        if (!(codePoint > 0 && codePoint <= 0x10FFFF)) {
+            throw new Error(`Invalid character reference ${match}`);
+        }
+        return String.fromCodePoint(codePoint);
+    }
+    // EDGE CASE: &constructor; and the like are not entities either
+    if (!Object.hasOwn(ENTITIES, ref)) {
+        throw new Error(`Unknown entity ${match}`);
+    }
+    return ENTITIES[ref];
+});
+
+/**
+ * Drops the namespace prefix of a tag or attribute name
+ * @param {string} name - Qualified name
+ * @returns {string} - Local name
+ */
+const localName = (name) => name.slice(name.indexOf(':') + 1);
+
+/**
+ * Appends text to an element
+ * @param {Object} element - Element being parsed
+ * @param {string} text - Decoded text
+ */
+const addText = (element, text) => {
+    element.text += text;
+    element.nodes.push(text);
+};
+
+/**
+ * Parses an XML document
+ * @param {string} text - Document
+ * @returns {Object} - Root element
+ * @throws {Error} - If the document is not well-formed, with a message saying where
+ */
+const parseXml = (text) => {
+    const stack = [{ name: null, attributes: {}, children: [], text: '', nodes: [] }];
+    const tagPattern = /<(\/?)([A-Za-z_][\w.:-]*)((?:\s+[A-Za-z_][\w.:-]*\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/y;
+    const attributePattern = /([A-Za-z_][\w.:-]*)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+    let i = 0;
+
+    const lineAt = (position) => text.slice(0, position).split('\n').length;
+
+    while (i < text.length) {
+        const open = text.indexOf('<', i);
+        const chunk = open === -1 ? text.slice(i) : text.slice(i, open);
+        if (chunk !== '') {
+            if (stack.length === 1) {
+                if (chunk.trim() !== '') {
+                    throw new Error(`Text outside the root element on line ${lineAt(i)}`);
+                }
+            } else {
+                addText(stack[stack.length - 1], decodeEntities(chunk));
+            }
+        }
+        if (open === -1) {
+            break;
+        }
+
+        if (text.startsWith('<!--', open)) {
+            const end = text.indexOf('-->', open);
+            if (end === -1) {
+                throw new Error(`Unterminated comment on line ${lineAt(open)}`);
+            }
+            i = end + 3;
+        } else if (text.startsWith('<?', open)) {
+            const end = text.indexOf('?>', open);
+            if (end === -1) {
+                throw new Error(`Unterminated processing instruction on line ${lineAt(open)}`);
+            }
+            i = end + 2;
+        } else if (text.startsWith('<![CDATA[', open)) {
+            const end = text.indexOf(']]>', open);
+            if (end === -1 || stack.length === 1) {
+                throw new Error(`Misplaced or unterminated CDATA section on line ${lineAt(open)}`);
+            }
+            addText(stack[stack.length - 1], text.slice(open + 9, end));
+            i = end + 3;
+        } else if (text.startsWith('<!', open)) {
+            // EDGE CASE: DOCTYPE may declare entities (billion laughs, external files)
+            throw new Error("Documents with a DOCTYPE are not accepted");
+        } else {
+            tagPattern.lastIndex = open;
+            const match = tagPattern.exec(text);
+            if (!match) {
+                throw new Error(`Malformed tag on line ${lineAt(open)}`);
+            }
+            const [whole, closing, rawName, rawAttributes, selfClosing] = match;
+            const name = localName(rawName);
+
+            if (closing) {
+                const current = stack.pop();
+                if (stack.length === 0 || current.name !== name || rawAttributes || selfClosing) {
+                    throw new Error(`Unexpected closing tag </${rawName}> on line ${lineAt(open)}`);
+                }
+            } else {
+                if (stack.length === 1 && stack[0].children.length > 0) {
+                    throw new Error(`Second root element on line ${lineAt(open)}`);
+                }
+                const attributes = Object.create(null);
+                for (const [, attribute, doubleQuoted, singleQuoted] of rawAttributes.matchAll(attributePattern)) {
+                    attributes[localName(attribute)] = decodeEntities(doubleQuoted ?? singleQuoted);
+                }
+                const element = { name, attributes, children: [], text: '', nodes: [] };
+                stack[stack.length - 1].children.push(element);
+                stack[stack.length - 1].nodes.push(element);
+                if (!selfClosing) {
+                    if (stack.length > MAX_DEPTH) {
+                        throw new Error(`Elements nested more than ${MAX_DEPTH} deep on line ${lineAt(open)}`);
+                    }
+                    stack.push(element);
+                }
+            }
+            i = open + whole.length;
+        }
+    }
+
+    if (stack.length > 1) {
+        throw new Error(`<${stack[stack.length - 1].name}> is never closed`);
+    }
+    if (stack[0].children.length === 0) {
+        throw new Error("The document has no root element");
+    }
+    return stack[0].children[0];
+};
+
+/**
+ * Lists the child elements with a given name
+ * @param {Object} element - Parsed element
+ * @param {string} name - Local name
+ * @returns {Object[]} - Matching children, in document order
+ */
+const childrenNamed = (element, name) => (element ? element.children.filter(child => child.name === name) : []);
+
+/**
+ * Reads the text of an element and everything inside it
+ * @param {Object} element - Parsed element
+ * @returns {string} - Concatenated text
+ */
+const allText = (element) => element.nodes.map(node => (typeof node === 'string' ? node : allText(node))).join('');
+
+/**
+ * Reads the text of the first child element with a given name
+ * @param {Object} element - Parsed element
+ * @param {string} name - Local name
+ * @returns {string|null} - Trimmed text (including that of nested elements), or null if absent or empty
+ */
+const childText = (element, name) => {
+    const [child] = childrenNamed(element, name);
+    const text = child ? allText(child).trim() : '';
+    return text === '' ? null : text;
+};
+
+module.exports = { escapeXml, parseXml, childrenNamed, childText, allText };
@@ -0,0 +1,29 @@
+/**
+ * expressBookReviews - Console Mail Transport
+ *
+ * Prints messages to the server log instead of sending them. The default
+ * for local development.
+ */
+
+/**
+ * Creates a console transport
+ * @param {Object} [options]
+ * @param {Function} [options.log] - Output function (defaults to console.log)
+ * @returns {Object} - Transport with send(message)
+ */
+const createConsoleTransport = ({ log = console.log } = {}) => ({
+    async send(message) {
+        log([
+            '----- outgoing mail -----',
+            `From: ${message.from}`,
+            `To: ${message.to}`,
+            `Subject: ${message.subject}`,
+            '',
+            message.text,
+            '-------------------------'
+        ].join('\n'));
+        return { messageId: message.id };
+    }
+});
+
+module.exports = { createConsoleTransport };
@@ -0,0 +1,39 @@
+/**
+ * expressBookReviews - File Mail Transport
+ *
+ * Writes every message to its own .eml file, which most mail clients can
+ * open. Useful for local testing and for scripts that need to read a token
+ * out of a message.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Creates a file transport
+ * @param {Object} options
+ * @param {string} options.directory - Folder the .eml files are written to (created if missing)
+ * @returns {Object} - Transport with send(message)
+ */
+const createFileTransport = ({ directory }) => ({
+    async send(message) {
+        await fs.promises.mkdir(directory, { recursive: true });
+        const file = path.join(directory, `${message.id}.eml`);
+        const content = [
+            `Message-ID: <${message.id}>`,
+            `Date: ${new Date().toUTCString()}`,
+            `From: ${message.from}`,
+            `To: ${message.to}`,
+            `Subject: ${message.subject}`,
+            'Content-Type: text/plain; charset=utf-8',
+            '',
+            message.text,
+            ''
+        ].join('\r\n');
+        // Readable by the server user only: messages may carry reset tokens
+        await fs.promises.writeFile(file, content, { mode: 0o600 });
+        return { messageId: message.id, file };
+    }
+});
+
+module.exports = { createFileTransport };
@@ -0,0 +1,69 @@
+/**
+ * expressBookReviews - Outgoing Mail
+ *
+ * Routes hand messages to the mailer returned by getMailer(); which
+ * transport delivers them is chosen by configuration (mail.transport):
+ * - console: printed to the server log (default outside production;
+ *            NODE_ENV=production has to set mail.transport explicitly)
+ * - file:    one .eml file per message in mail.file.directory
+ * - smtp:    sent through the SMTP server in mail.smtp
+ *
+ * A transport is any object with an async send({ id, from, to, subject, text })
+ * method.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const config = require('../config.js');
+const { createConsoleTransport } = require('./consoleTransport.js');
+const { createFileTransport } = require('./fileTransport.js');
+
+const TRANSPORTS = {
+    console: () => createConsoleTransport(),
+    file: (settings) => createFileTransport({
+        directory: settings.file.directory || path.join(__dirname, '..', 'data', 'mail')
+    }),
+    // Required lazily so the other transports work without nodemailer installed
+    smtp: (settings) => require('./smtpTransport.js').createSmtpTransport(settings.smtp)
+};
+
+/**
+ * Creates a mailer
+ * @param {Object} options
+ * @param {Object} options.transport - Transport with send(message)
+ * @param {string} options.from - Sender address
+ * @returns {Object} - { send }
+ */
+const createMailer = ({ transport, from }) => ({
+    /**
+     * Sends a plain text message
+     * @param {Object} message - { to, subject, text }
+     * @returns {Promise<Object>} - What the transport reports, at least { messageId }
+     */
+    send: ({ to, subject, text }) => transport.send({
+        id: `${Date.now().toString(36)}.${crypto.randomBytes(6).toString('hex')}@expressBookReviews`,
+        from,
+        to,
+        subject,
+        text
+    })
+});
+
+let defaultMailer = null;
+
+/**
+ * Returns the application-wide mailer, configured from the mail section of config.js
+ * @returns {Object} - The shared mailer
+ */
+const getMailer = () => {
+    if (!defaultMailer) {
+        const factory = TRANSPORTS[config.mail.transport];
+        if (!factory) {
+            throw new Error(`Unknown mail transport "${config.mail.transport}". Expected one of: ${Object.keys(TRANSPORTS).join(', ')}`);
+        }
+        defaultMailer = createMailer({ transport: factory(config.mail), from: config.mail.from });
+    }
+    return defaultMailer;
+};
+
+module.exports = { createMailer, getMailer };
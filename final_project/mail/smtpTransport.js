@@ -0,0 +1,41 @@
+/**
+ * expressBookReviews - SMTP Mail Transport
+ *
+ * Sends messages through an SMTP server using nodemailer.
+ */
+
+const nodemailer = require('nodemailer');
+
+/**
+ * Creates an SMTP transport
+ * @param {Object} options
+ * @param {string} options.host - SMTP server
+ * @param {number} options.port - SMTP port (587 for STARTTLS, 465 for TLS)
+ * @param {boolean} options.secure - Connect with TLS from the start (port 465)
+ * @param {string} [options.user] - Login, if the server requires authentication
+ * @param {string} [options.password] - Password for user
+ * @returns {Object} - Transport with send(message)
+ */
+const createSmtpTransport = ({ host, port, secure, user, password }) => {
+    const transporter = nodemailer.createTransport({
+        host,
+        port,
+        secure,
+        ...(user && { auth: { user, pass: password } })
+    });
+
+    return {
+        async send(message) {
+            const info = await transporter.sendMail({
+                messageId: `<${message.id}>`,
+                from: message.from,
+                to: message.to,
+                subject: message.subject,
+                text: message.text
+            });
+            return { messageId: info.messageId };
+        }
+    };
+};
+
+module.exports = { createSmtpTransport };
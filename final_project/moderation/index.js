@@ -0,0 +1,137 @@
+/**
+ * expressBookReviews - Review Reports
+ *
+ * Readers report reviews through POST /customer/auth/review/:isbn/:username/report;
+ * moderators work through the open reports in GET /admin/reviews/queue.
+ * One record per report in the `reviewReports` collection:
+ *   {
+ *     id, isbn, reviewer, reporter, reason, comment, createdAt,
+ *     status: "open" | "resolved",
+ *     resolution, resolvedBy, resolvedAt   (once resolved)
+ *   }
+ *
+ * isbn is the stored book key and reviewer the key of the review in
+ * books[isbn].reviews. Reports are never deleted, so a review's record of
+ * past reports survives it being restored.
+ */
+
+const crypto = require('crypto');
+const db = require('../storage').getStore();
+
+const REPORT_REASONS = ['spam', 'offensive', 'harassment', 'spoilers', 'off_topic', 'other'];
+// hidden/dismissed/deleted come from moderators, the rest from the review changing hands
+const RESOLUTIONS = ['hidden', 'dismissed', 'deleted', 'review_deleted', 'book_deleted'];
+const REPORT_COMMENT_MAX_LENGTH = 500;
+
+const reports = db.collection('reviewReports');
+
+/**
+ * Stores a new open report
+ * @param {Object} report - { isbn, reviewer, reporter, reason, comment }
+ * @returns {Object} - The stored record
+ */
+const fileReport = ({ isbn, reviewer, reporter, reason, comment }) => {
+    const now = new Date();
+    // Time-ordered ids keep the collection sorted oldest first
+    const id = `${now.getTime().toString(36).padStart(9, '0')}-${crypto.randomBytes(4).toString('hex')}`;
+    const record = {
+        id,
+        isbn,
+        reviewer,
+        reporter,
+        reason,
+        ...(comment && { comment }),
+        createdAt: now.toISOString(),
+        status: 'open'
+    };
+    reports.set(id, record);
+    return record;
+};
+
+/**
+ * Lists the open reports against one review, or against every review of a book
+ * @param {string} isbn - Stored book key
+ * @param {string|null} [reviewer] - Review key, or null for the whole book
+ * @returns {Object[]} - Open reports, oldest first
+ */
+const openReports = (isbn, reviewer = null) => Object.values(reports.all())
+    .filter(report => report.status === 'open' && report.isbn === isbn)
+    .filter(report => reviewer === null || report.reviewer === reviewer)
+    .sort((a, b) => (a.id < b.id ? -1 : 1));
+
+/**
+ * Closes the open reports against a review (or a whole book)
+ * @param {string} isbn - Stored book key
+ * @param {string|null} reviewer - Review key, or null for every review of the book
+ * @param {string} resolution - One of RESOLUTIONS
+ * @param {string|null} resolvedBy - Moderator, or null when the system closed them
+ * @returns {number} - Number of reports closed
+ */
+const resolveReports = (isbn, reviewer, resolution, resolvedBy) => {
+    const resolvedAt = new Date().toISOString();
+    const open = openReports(isbn, reviewer);
+    for (const report of open) {
+        reports.set(report.id, { ...report, status: 'resolved', resolution, resolvedBy, resolvedAt });
+    }
+    return open.length;
+};
+
+/**
+ * Points every report against a review at its new key (used when a review is anonymized)
+ * @param {string} isbn - Stored book key
+ * @param {string} from - Old review key
+ * @param {string} to - New review key
+ */
+const reassignReports = (isbn, from, to) => {
+    for (const report of Object.values(reports.all())) {
+        if (report.isbn === isbn && report.reviewer === from) {
+            reports.set(report.id, { ...report, reviewer: to });
+        }
+    }
+};
+
+/**
+ * Groups reports by review for the moderation queue
+ * Reviews with the most reports come first, then the longest waiting.
+ * @param {Object} [filters]
+ * @param {string} [filters.status] - "open" (default), "resolved" or "all"
+ * @param {string} [filters.reason] - Only reviews with at least one report for this reason
+ * @returns {Object[]} - [{ isbn, reviewer, reportCount, reasons, firstReportedAt, lastReportedAt, reports }]
+ */
+const buildQueue = ({ status = 'open', reason } = {}) => {
+    const groups = new Map();
+    const matching = Object.values(reports.all())
+        .filter(report => status === 'all' || report.status === status)
+        .sort((a, b) => (a.id < b.id ? -1 : 1));
+
+    for (const report of matching) {
+        const key = `${report.isbn}\n${report.reviewer}`;
+        if (!groups.has(key)) {
+            groups.set(key, { isbn: report.isbn, reviewer: report.reviewer, reportCount: 0, reasons: {}, reports: [] });
+        }
+        const group = groups.get(key);
+        group.reportCount++;
+        group.reasons[report.reason] = (group.reasons[report.reason] || 0) + 1;
+        group.reports.push(report);
+    }
+
+    return [...groups.values()]
+        .filter(group => !reason || group.reasons[reason])
+        .map(group => ({
+            ...group,
+            firstReportedAt: group.reports[0].createdAt,
+            lastReportedAt: group.reports[group.reports.length - 1].createdAt
+        }))
+        .sort((a, b) => b.reportCount - a.reportCount || (a.firstReportedAt < b.firstReportedAt ? -1 : 1));
+};
+
+module.exports = {
+    REPORT_REASONS,
+    RESOLUTIONS,
+    REPORT_COMMENT_MAX_LENGTH,
+    fileReport,
+    openReports,
+    resolveReports,
+    reassignReports,
+    buildQueue
+};
@@ -0,0 +1,80 @@
+/**
+ * expressBookReviews - Rate Limiting Algorithms
+ *
+ * The algorithms a policy can name (see index.js). Kept apart from the
+ * limiter so config.js can validate policies against the same list without
+ * requiring the limiter, which requires config.js.
+ */
+
+/**
+ * Sliding window counter
+ * @param {Object} store - Rate limit store
+ * @param {string} key - Namespaced client key
+ * @param {Object} policy - { limit, windowMs }
+ * @param {number} now - Current time in milliseconds
+ * @returns {Promise<Object>} - { allowed, remaining, resetMs, retryAfterMs }
+ */
+const slidingWindow = async (store, key, { limit, windowMs }, now) => {
+    const windowStart = Math.floor(now / windowMs) * windowMs;
+    const elapsed = now - windowStart;
+    const untilNextWindow = windowMs - elapsed;
+    const previous = Number(await store.get(`${key}:${windowStart - windowMs}`)) || 0;
+    const current = Number(await store.get(`${key}:${windowStart}`)) || 0;
+    const previousWeight = untilNextWindow / windowMs;
+
+    if (previous * previousWeight + current + 1 > limit) {
+        // Rejected requests are not counted, so a client only has to wait for old requests to age out
+        let retryAfterMs;
+        if (current + 1 > limit) {
+            // This window alone is full: wait for it to end and for its weight to drop far enough
+            retryAfterMs = untilNextWindow + windowMs * Math.max(0, 1 - (limit - 1) / current);
+        } else {
+            retryAfterMs = Math.max(0, untilNextWindow - windowMs * (limit - 1 - current) / previous);
+        }
+        return { allowed: false, remaining: 0, resetMs: untilNextWindow, retryAfterMs: Math.ceil(retryAfterMs) };
+    }
+
+    // Kept for two windows so it can serve as the previous window next time
+    const count = await store.increment(`${key}:${windowStart}`, windowMs * 2);
+    return {
+        allowed: true,
+        remaining: Math.max(0, Math.floor(limit - previous * previousWeight - count)),
+        resetMs: untilNextWindow,
+        retryAfterMs: 0
+    };
+};
+
+/**
+ * Token bucket
+ * Bucket state is read and written back, so concurrent processes sharing a
+ * store may occasionally let one extra request through.
+ * @param {Object} store - Rate limit store
+ * @param {string} key - Namespaced client key
+ * @param {Object} policy - { limit, windowMs }
+ * @param {number} now - Current time in milliseconds
+ * @returns {Promise<Object>} - { allowed, remaining, resetMs, retryAfterMs }
+ */
+const tokenBucket = async (store, key, { limit, windowMs }, now) => {
+    const refillPerMs = limit / windowMs;
+    const state = (await store.get(key)) || { tokens: limit, updatedAt: now };
+    let tokens = Math.min(limit, state.tokens + (now - state.updatedAt) * refillPerMs);
+
+    const allowed = tokens >= 1;
+    if (allowed) {
+        tokens -= 1;
+    }
+    // A bucket left alone for windowMs is full again, so the key can expire then
+    await store.set(key, { tokens, updatedAt: now }, windowMs);
+
+    return {
+        allowed,
+        remaining: Math.floor(tokens),
+        resetMs: Math.ceil((limit - tokens) / refillPerMs),
+        retryAfterMs: allowed ? 0 : Math.ceil((1 - tokens) / refillPerMs)
+    };
+};
+
+const APPLY = { 'sliding-window': slidingWindow, 'token-bucket': tokenBucket };
+const ALGORITHMS = Object.keys(APPLY);
+
+module.exports = { ALGORITHMS, APPLY };
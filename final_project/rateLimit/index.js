@@ -0,0 +1,168 @@
+/**
+ * expressBookReviews - Rate Limiting
+ *
+ * One limiter shared by every rate-limited route. Each route names a policy
+ * from the rateLimit section of config.js:
+ *
+ *   async    - /async* routes, per IP
+ *   login    - POST /customer/login, per IP and username together
+ *   loginIp  - POST /customer/login, per IP whatever the username
+ *   loginAccount - POST /customer/login, per username whatever the IP
+ *   passwordChange - POST /customer/auth/me/password and DELETE /customer/auth/me, per user
+ *   register - POST /register, per IP
+ *   reviews  - review writes, per user
+ *   search   - /search, /books, /author/:author, /title/:title and /authors, per IP
+ *   export   - GET /export, per IP
+ *   passwordReset - POST /password/forgot and /password/reset, per IP
+ *
+ * A policy is { algorithm, limit, windowMs }:
+ * - sliding-window: at most `limit` requests in any `windowMs` period. Uses
+ *   the sliding window counter approximation (current fixed window plus the
+ *   previous one weighted by how much of it still overlaps), which needs only
+ *   two counters per key.
+ * - token-bucket: bursts of up to `limit` requests, refilled at
+ *   `limit` per `windowMs`.
+ *
+ * Counters live in a store (see memoryStore.js for the interface). If the
+ * store fails, requests are let through rather than rejected. Requests the
+ * /async routes make to this server itself are not limited again.
+ */
+
+const config = require('../config.js');
+const { ALGORITHMS, APPLY } = require('./algorithms.js');
+const { createMemoryRateLimitStore } = require('./memoryStore.js');
+const { isInternalRequest } = require('../upstream');
+
+/**
+ * Creates a rate limiter
+ * @param {Object} options
+ * @param {Object} options.policies - { name: { algorithm, limit, windowMs } }
+ * @param {Object} [options.store] - Rate limit store (defaults to in-memory)
+ * @param {Function} [options.now] - Clock, for tests
+ * @returns {Object} - { consume, reset, getPolicy, store }
+ */
+const createRateLimiter = ({ policies, store = createMemoryRateLimitStore(), now = Date.now }) => {
+    const getPolicy = (name) => {
+        const policy = policies[name];
+        if (!policy) {
+            throw new Error(`Unknown rate limit policy "${name}"`);
+        }
+        if (!ALGORITHMS.includes(policy.algorithm)) {
+            throw new Error(`Unknown rate limit algorithm "${policy.algorithm}" for policy "${name}"`);
+        }
+        return policy;
+    };
+
+    /**
+     * Counts one request against a policy
+     * @param {string} name - Policy name
+     * @param {string} clientKey - Who is making the request (IP, username, ...)
+     * @returns {Promise<Object>} - { allowed, limit, remaining, resetMs, retryAfterMs }
+     */
+    const consume = async (name, clientKey) => {
+        const policy = getPolicy(name);
+        const result = await APPLY[policy.algorithm](store, `rl:${name}:${clientKey}`, policy, now());
+        return { ...result, limit: policy.limit };
+    };
+
+    /**
+     * Forgets a client's usage of a policy (sliding-window keys expire on their own)
+     * @param {string} name - Policy name
+     * @param {string} clientKey - Client key used with consume
+     */
+    const reset = (name, clientKey) => store.delete(`rl:${name}:${clientKey}`);
+
+    return { consume, reset, getPolicy, store };
+};
+
+let defaultLimiter = null;
+
+/**
+ * Returns the application-wide limiter, configured from config.rateLimit
+ * @returns {Object} - The shared limiter
+ */
+const getRateLimiter = () => {
+    if (!defaultLimiter) {
+        defaultLimiter = createRateLimiter({ policies: config.rateLimit });
+    }
+    return defaultLimiter;
+};
+
+/**
+ * Client address used as the default key
+ * @param {Object} req - Express request object
+ * @returns {string} - IP address
+ */
+const clientIp = (req) => req.ip || (req.connection && req.connection.remoteAddress) || 'unknown';
+
+/**
+ * Username a login request is for
+ * @param {Object} req - Express request object
+ * @returns {string} - Lower-cased username, or "" if none was sent
+ */
+const loginUsername = (req) => (req.body && typeof req.body.username === 'string' ? req.body.username.trim().toLowerCase() : '');
+
+/**
+ * Ready-made key functions for rateLimit()
+ */
+const keys = {
+    ip: clientIp,
+    user: (req) => (req.user && req.user.username ? `user:${req.user.username.toLowerCase()}` : clientIp(req)),
+    // Per IP and username together: one address guessing one account's password
+    login: (req) => `${clientIp(req)}|${loginUsername(req)}`,
+    // Per username: guesses for one account spread over many addresses
+    loginAccount: (req) => `account:${loginUsername(req)}`
+};
+
+/**
+ * Builds rate limiting middleware for a policy
+ * Sets X-RateLimit-Limit/Remaining/Reset and answers 429 with Retry-After when exceeded.
+ * @param {string} name - Policy name in config.rateLimit
+ * @param {Function} [keyOf] - (req) => client key; defaults to the IP address
+ * @returns {Function} - Express middleware
+ */
+const rateLimit = (name, keyOf = keys.ip) => {
+    // Fail at startup, not on the first request, if the policy is missing
+    const policy = getRateLimiter().getPolicy(name);
+
+    return async (req, res, next) => {
+        try {
+            // EDGE CASE: The /async routes fetch from this server; those requests were already counted
+            if (isInternalRequest(req)) {
+                return next();
+            }
+
+            let result;
+            try {
+                result = await getRateLimiter().consume(name, keyOf(req));
+            } catch (error) {
+                console.error(`Rate limiting error (${name}):`, error);
+                // If rate limiting fails, allow the request to proceed
+                return next();
+            }
+
+            res.set({
+                'X-RateLimit-Limit': String(result.limit),
+                'X-RateLimit-Remaining': String(result.remaining),
+                'X-RateLimit-Reset': String(Math.ceil((Date.now() + result.resetMs) / 1000))
+            });
+
+            if (!result.allowed) {
+                const retryAfter = Math.max(1, Math.ceil(result.retryAfterMs / 1000));
+                return res.status(429).set('Retry-After', String(retryAfter)).json({
+                    error: "Too many requests",
+                    message: `Rate limit exceeded. Please try again in ${retryAfter} seconds.`,
+                    limit: policy.limit,
+                    window: `${policy.windowMs / 1000} seconds`,
+                    retryAfter: retryAfter
+                });
+            }
+            next();
+        } catch (error) {
+            // Async middleware: Express 4 would not see a rejected promise
+            next(error);
+        }
+    };
+};
+
+module.exports = { ALGORITHMS, createRateLimiter, getRateLimiter, rateLimit, keys };
@@ -0,0 +1,73 @@
+/**
+ * expressBookReviews - In-Memory Rate Limit Store
+ *
+ * Counters and bucket states for a single server process. Every rate limit
+ * store implements the same four asynchronous methods, which map directly
+ * onto Redis commands so a shared backend can replace this one when several
+ * processes serve traffic:
+ *
+ *   increment(key, ttlMs) -> new count   INCR key + PEXPIRE key ttlMs NX
+ *   get(key)              -> value|null  GET key
+ *   set(key, value, ttlMs)               SET key value PX ttlMs
+ *   delete(key)                          DEL key
+ *
+ * Values passed to set() are plain JSON-serializable objects.
+ */
+
+/**
+ * Creates an in-memory rate limit store
+ * @param {Object} [options]
+ * @param {number} [options.sweepIntervalMs] - How often expired keys are dropped
+ * @param {Function} [options.now] - Clock, for tests
+ * @returns {Object} - { increment, get, set, delete, size, close }
+ */
+const createMemoryRateLimitStore = ({ sweepIntervalMs = 60000, now = Date.now } = {}) => {
+    const entries = new Map();
+
+    const live = (key) => {
+        const entry = entries.get(key);
+        if (entry && entry.expiresAt <= now()) {
+            entries.delete(key);
+            return undefined;
+        }
+        return entry;
+    };
+
+    // Expired keys are also dropped lazily on access; the sweep bounds memory for keys never seen again
+    const sweeper = setInterval(() => {
+        const current = now();
+        for (const [key, entry] of entries) {
+            if (entry.expiresAt <= current) {
+                entries.delete(key);
+            }
+        }
+    }, sweepIntervalMs);
+    // EDGE CASE: The timer alone must not keep scripts from exiting
+    sweeper.unref();
+
+    return {
+        async increment(key, ttlMs) {
+            const entry = live(key);
+            if (!entry) {
+                entries.set(key, { value: 1, expiresAt: now() + ttlMs });
+                return 1;
+            }
+            entry.value++;
+            return entry.value;
+        },
+        async get(key) {
+            const entry = live(key);
+            return entry ? entry.value : null;
+        },
+        async set(key, value, ttlMs) {
+            entries.set(key, { value, expiresAt: now() + ttlMs });
+        },
+        async delete(key) {
+            entries.delete(key);
+        },
+        size: () => entries.size,
+        close: () => clearInterval(sweeper)
+    };
+};
+
+module.exports = { createMemoryRateLimitStore };
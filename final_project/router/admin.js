@@ -0,0 +1,816 @@
+/**
+ * expressBookReviews - Admin Router
+ *
+ * Routes mounted under /admin. index.js runs the authenticate middleware in
+ * front of this router; every route then declares the permission it needs
+ * with requirePermission (see auth/roles.js).
+ */
+
+const express = require('express');
+const config = require('../config.js');
+const db = require('../storage').getStore();
+const { requirePermission } = require('../auth/middleware.js');
+const { ROLES, DEFAULT_ROLE, isValidRole } = require('../auth/roles.js');
+const { revokeUserTokenSessions } = require('../auth/tokens.js');
+const { toPublicUser } = require('./auth_users.js');
+const { checkIsbnFormat, parseIsbn, findBookKey } = require('../lib/isbn.js');
+const { validateBook, finalizeBook } = require('../lib/bookSchema.js');
+const { nameKey, authorId, buildNameIndex, bookAuthorIds, validateAuthor, checkAuthorRecord } = require('../lib/authors.js');
+const { findAuthor, ensureAuthors, booksByAuthor } = require('./authors.js');
+const { getUpstreamClient } = require('../upstream');
+const { getLockout, clearFailedLogins } = require('../auth/lockout.js');
+const { OUTCOMES, queryLoginAttempts } = require('../auth/loginAudit.js');
+const { validatePageQuery } = require('../lib/listing.js');
+const { entryOf, isHidden, toPublicReview } = require('../lib/reviews.js');
+const { REPORT_REASONS, buildQueue, openReports, resolveReports } = require('../moderation');
+const { IMPORT_FORMATS, detectFormat } = require('../lib/catalogueFormats.js');
+const { importCatalogue } = require('../catalogue');
+const admin_routes = express.Router();
+
+/**
+ * Sends a 400 response listing schema validation errors
+ * @param {Object} res - Express response object
+ * @param {Object[]} errors - Errors from validateBook
+ */
+const sendValidationErrors = (res, errors) => res.status(400).json({
+    error: "Validation failed",
+    message: "The book data is invalid",
+    details: errors
+});
+
+/**
+ * Validates the :isbn route parameter and resolves it to a stored book
+ * Sets req.bookKey and req.book, or answers 400/404.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const loadBook = (req, res, next) => {
+    const formatError = checkIsbnFormat(req.params.isbn);
+    if (formatError) {
+        return res.status(400).json(formatError);
+    }
+
+    const key = findBookKey(db.books, req.params.isbn);
+    if (!key) {
+        return res.status(404).json({
+            error: "Book not found",
+            message: `No book found with ISBN: ${req.params.isbn}`
+        });
+    }
+
+    req.bookKey = key;
+    req.book = db.books.get(key);
+    next();
+};
+
+/**
+ * ============================================
+ * USER MANAGEMENT ENDPOINTS
+ * ============================================
+ */
+
+/**
+ * GET /admin/users - List all users with their roles
+ */
+admin_routes.get('/users', requirePermission('users:manage'), (req, res) => {
+    try {
+        const users = Object.values(db.users.all()).map(toPublicUser);
+        return res.status(200).json({
+            count: users.length,
+            users: users,
+            retrievedAt: new Date().toISOString()
+        });
+    } catch (error) {
+        console.error('Error listing users:', error);
+        res.status(500).json({
+            error: "Internal server error",
+            message: "Failed to list users. Please try again later.",
+            requestId: Date.now().toString(36)
+        });
+    }
+});
+
+/**
+ * PATCH /admin/users/:username/role - Change a user's role
+ * The user's open logins are revoked so the new role applies immediately.
+ */
+admin_routes.patch('/users/:username/role', requirePermission('users:manage'), (req, res) => {
+    try {
+        const role = req.body?.role;
+        const userKey = String(req.params.username).trim().toLowerCase();
+        const user = db.users.get(userKey);
+
+        if (!isValidRole(role)) {
+            return res.status(400).json({
+                error: "Invalid role",
+                message: `Role must be one of: ${ROLES.join(', ')}`
+            });
+        }
+
+        if (!user) {
+            return res.status(404).json({
+                error: "User not found",
+                message: `No user found with username: ${req.params.username}`
+            });
+        }
+
+        // EDGE CASE: Admins demoting themselves could leave nobody able to manage users
+        if (user.username === req.user.username) {
+            return res.status(400).json({
+                error: "Invalid operation",
+                message: "You cannot change your own role"
+            });
+        }
+
+        const previousRole = user.role || DEFAULT_ROLE;
+        db.users.set(userKey, { ...user, role: role, roleUpdatedAt: new Date().toISOString() });
+        const revokedSessions = previousRole === role ? 0 : revokeUserTokenSessions(user.username);
+
+        return res.status(200).json({
+            message: "Role updated",
+            username: user.username,
+            previousRole: previousRole,
+            role: role,
+            revokedSessions: revokedSessions
+        });
+    } catch (error) {
+        console.error(`Error updating role for ${req.params.username}:`, error);
+        res.status(500).json({
+            error: "Internal server error",
+            message: "Failed to update role. Please try again later.",
+            requestId: Date.now().toString(36)
+        });
+    }
+});
+
+/**
+ * DELETE /admin/users/:username/lockout - Unlock an account locked after failed logins
+ */
+admin_routes.delete('/users/:username/lockout', requirePermission('users:manage'), (req, res) => {
+    try {
+        const user = db.users.get(String(req.params.username).trim().toLowerCase());
+        if (!user) {
+            return res.status(404).json({
+                error: "User not found",
+                message: `No user found with username: ${req.params.username}`
+            });
+        }
+
+        const wasLocked = Boolean(getLockout(user.username));
+        clearFailedLogins(user.username);
+
+        console.log(`Login lockout of ${user.username} cleared by ${req.user.username}`);
+        return res.status(200).json({
+            message: wasLocked ? "Account unlocked" : "Account was not locked; failed login count reset",
+            username: user.username,
+            wasLocked: wasLocked
+        });
+    } catch (error) {
+        console.error(`Error clearing lockout for ${req.params.username}:`, error);
+        res.status(500).json({
+            error: "Internal server error",
+            message: "Failed to unlock account. Please try again later.",
+            requestId: Date.now().toString(36)
+        });
+    }
+});
+
+/**
+ * GET /admin/login-audit - Query the login audit log, newest first
+ * Filters: username, outcome, ip, since, until (ISO dates); paginated with page and limit.
+ */
+admin_routes.get('/login-audit', requirePermission('users:manage'), validatePageQuery, (req, res) => {
+    try {
+        const { username, outcome, ip, since, until } = req.query;
+        const { page, limit } = req.listQuery;
+        const errors = [];
+
+        for (const [name, value] of Object.entries({ username, outcome, ip, since, until })) {
+            if (value !== undefined && typeof value !== 'string') {
+                errors.push(`${name} may only be given once`);
+            }
+        }
+        if (outcome !== undefined && !OUTCOMES.includes(outcome)) {
+            errors.push(`outcome must be one of: ${OUTCOMES.join(', ')}`);
+        }
+        const sinceMs = since === undefined ? undefined : Date.parse(since);
+        const untilMs = until === undefined ? undefined : Date.parse(until);
+        if (Number.isNaN(sinceMs) || Number.isNaN(untilMs)) {
+            errors.push("since and until must be ISO 8601 dates");
+        }
+        if (errors.length > 0) {
+            return res.status(400).json({
+                error: "Invalid query parameter",
+                message: errors.join('; ')
+            });
+        }
+
+        const attempts = queryLoginAttempts({ username, outcome, ip, since: sinceMs, until: untilMs });
+        const start = (page - 1) * limit;
+        const pageOfAttempts = attempts.slice(start, start + limit);
+
+        return res.status(200).json({
+            count: pageOfAttempts.length,
+            total: attempts.length,
+            page,
+            limit,
+            totalPages: Math.max(1, Math.ceil(attempts.length / limit)),
+            attempts: pageOfAttempts,
+            retrievedAt: new Date().toISOString()
+        });
+    } catch (error) {
+        console.error('Error querying login audit:', error);
+        res.status(500).json({
+            error: "Internal server error",
+            message: "Failed to query the login audit log. Please try again later.",
+            requestId: Date.now().toString(36)
+        });
+    }
+});
+
+/**
+ * ============================================
+ * REVIEW MODERATION
+ * ============================================
+ * Reported reviews are queued for moderators, who hide (reversible),
+ * restore or delete them. Each action closes the review's open reports.
+ */
+
+const QUEUE_STATUSES = ['open', 'resolved', 'all'];
+
+/**
+ * GET /admin/reviews/queue - Reported reviews, most reported first
+ * Filters: status (open|resolved|all, default open), reason; paginated with page and limit.
+ */
+admin_routes.get('/reviews/queue', requirePermission('reviews:moderate'), validatePageQuery, (req, res) => {
+    try {
+        const { status = 'open', reason } = req.query;
+        const { page, limit } = req.listQuery;
+        const errors = [];
+
+        for (const [name, value] of Object.entries({ status, reason })) {
+            if (value !== undefined && typeof value !== 'string') {
+                errors.push(`${name} may only be given once`);
+            }
+        }
+        if (!QUEUE_STATUSES.includes(status)) {
+            errors.push(`status must be one of: ${QUEUE_STATUSES.join(', ')}`);
+        }
+        if (reason !== undefined && !REPORT_REASONS.includes(reason)) {
+            errors.push(`reason must be one of: ${REPORT_REASONS.join(', ')}`);
+        }
+        if (errors.length > 0) {
+            return res.status(400).json({
+                error: "Invalid query parameter",
+                message: errors.join('; ')
+            });
+        }
+
+        const queue = buildQueue({ status, reason });
+        const start = (page - 1) * limit;
+        const items = queue.slice(start, start + limit).map((item) => {
+            const book = db.books.get(item.isbn);
+            const review = entryOf(book?.reviews, item.reviewer);
+            return {
+                ...item,
+                title: book?.title || null,
+                // EDGE CASE: Resolved reports may outlive their review or book
+                review: review ? { ...toPublicReview(review), hidden: isHidden(review), moderation: review.moderation || null } : null
+            };
+        });
+
+        return res.status(200).json({
+            count: items.length,
+            total: queue.length,
+            page,
+            limit,
+            totalPages: Math.max(1, Math.ceil(queue.length / limit)),
+            queue: items,
+            retrievedAt: new Date().toISOString()
+        });
+    } catch (error) {
+        console.error('Error building moderation queue:', error);
+        res.status(500).json({
+            error: "Internal server error",
+            message: "Failed to load the moderation queue. Please try again later.",
+            requestId: Date.now().toString(36)
+        });
+    }
+});
+
+/**
+ * Resolves :isbn and :username to a stored review (hidden ones included)
+ * Sets req.bookKey, req.book, req.reviewer and req.review, or answers 404.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const loadReview = (req, res, next) => loadBook(req, res, () => {
+    const wanted = String(req.params.username).trim().toLowerCase();
+    const reviewer = Object.keys(req.book.reviews || {}).find(key => key.toLowerCase() === wanted);
+    if (!reviewer) {
+        return res.status(404).json({
+            error: "Review not found",
+            message: `${req.params.username} has not reviewed ISBN ${req.bookKey}`
+        });
+    }
+    req.reviewer = reviewer;
+    req.review = req.book.reviews[reviewer];
+    next();
+});
+
+/**
+ * Stores a new version of the review loaded by loadReview
+ * @param {Object} req - Express request object
+ * @param {Object} review - Review record to store
+ */
+const saveReview = (req, review) => {
+    db.books.set(req.bookKey, { ...req.book, reviews: { ...req.book.reviews, [req.reviewer]: review } });
+};
+
+/**
+ * POST /admin/reviews/:isbn/:username/hide - Hide a review from every public listing
+ * Body: { reason? }. The review is kept and can be restored.
+ */
+admin_routes.post('/reviews/:isbn/:username/hide', requirePermission('reviews:moderate'), loadReview, (req, res) => {
+    try {
+        const { reason } = req.body || {};
+        if (reason !== undefined && reason !== null && (typeof reason !== 'string' || reason.trim().length > 500)) {
+            return res.status(400).json({
+                error: "Invalid reason",
+                message: "reason must be a string of at most 500 characters"
+            });
+        }
+        if (isHidden(req.review)) {
+            return res.status(409).json({
+                error: "Already hidden",
+                message: `${req.reviewer}'s review of ISBN ${req.bookKey} is already hidden`,
+                moderation: req.review.moderation
+            });
+        }
+
+        const moderation = {
+            status: 'hidden',
+            hiddenAt: new Date().toISOString(),
+            hiddenBy: req.user.username,
+            ...(typeof reason === 'string' && reason.trim() && { reason: reason.trim() })
+        };
+        saveReview(req, { ...req.review, moderation });
+        const resolvedReports = resolveReports(req.bookKey, req.reviewer, 'hidden', req.user.username);
+
+        console.log(`Review of ${req.reviewer} for ${req.bookKey} hidden by ${req.user.username}`);
+        return res.status(200).json({
+            message: "Review hidden",
+            isbn: req.bookKey,
+            reviewer: req.reviewer,
+            moderation: moderation,
+            resolvedReports: resolvedReports
+        });
+    } catch (error) {
+        console.error(`Error hiding review of ${req.params.username} for ${req.params.isbn}:`, error);
+        res.status(500).json({
+            error: "Internal server error",
+            message: "Failed to hide review. Please try again later.",
+            requestId: Date.now().toString(36)
+        });
+    }
+});
+
+/**
+ * POST /admin/reviews/:isbn/:username/restore - Show a hidden review again
+ * On a visible review this dismisses its open reports instead.
+ */
+admin_routes.post('/reviews/:isbn/:username/restore', requirePermission('reviews:moderate'), loadReview, (req, res) => {
+    try {
+        const wasHidden = isHidden(req.review);
+        if (!wasHidden && openReports(req.bookKey, req.reviewer).length === 0) {
+            return res.status(409).json({
+                error: "Nothing to restore",
+                message: `${req.reviewer}'s review of ISBN ${req.bookKey} is neither hidden nor reported`
+            });
+        }
+
+        if (wasHidden) {
+            const { moderation: _moderation, ...review } = req.review;
+            saveReview(req, review);
+        }
+        const resolvedReports = resolveReports(req.bookKey, req.reviewer, 'dismissed', req.user.username);
+
+        console.log(`Review of ${req.reviewer} for ${req.bookKey} ${wasHidden ? 'restored' : 'cleared'} by ${req.user.username}`);
+        return res.status(200).json({
+            message: wasHidden ? "Review restored" : "Reports dismissed",
+            isbn: req.bookKey,
+            reviewer: req.reviewer,
+            resolvedReports: resolvedReports
+        });
+    } catch (error) {
+        console.error(`Error restoring review of ${req.params.username} for ${req.params.isbn}:`, error);
+        res.status(500).json({
+            error: "Internal server error",
+            message: "Failed to restore review. Please try again later.",
+            requestId: Date.now().toString(36)
+        });
+    }
+});
+
+/**
+ * DELETE /admin/reviews/:isbn/:username - Delete a review for good
+ */
+admin_routes.delete('/reviews/:isbn/:username', requirePermission('reviews:moderate'), loadReview, (req, res) => {
+    try {
+        const { [req.reviewer]: _deleted, ...reviews } = req.book.reviews;
+        db.books.set(req.bookKey, { ...req.book, reviews });
+        const resolvedReports = resolveReports(req.bookKey, req.reviewer, 'deleted', req.user.username);
+
+        console.log(`Review of ${req.reviewer} for ${req.bookKey} deleted by ${req.user.username}`);
+        return res.status(200).json({
+            message: "Review deleted",
+            isbn: req.bookKey,
+            reviewer: req.reviewer,
+            resolvedReports: resolvedReports
+        });
+    } catch (error) {
+        console.error(`Error deleting review of ${req.params.username} for ${req.params.isbn}:`, error);
+        res.status(500).json({
+            error: "Internal server error",
+            message: "Failed to delete review. Please try again later.",
+            requestId: Date.now().toString(36)
+        });
+    }
+});
+
+/**
+ * ============================================
+ * CATALOGUE MANAGEMENT ENDPOINTS
+ * ============================================
+ * Changes are written to the books collection, so they show up right away
+ * in GET /, /books, /isbn/:isbn, /author/:author and /title/:title.
+ */
+
+/**
+ * POST /admin/books - Add a book to the catalogue
+ */
+admin_routes.post('/books', requirePermission('books:manage'), (req, res) => {
+    try {
+        const { errors, value } = validateBook(req.body, { requireIsbn: true });
+        if (errors.length > 0) {
+            return sendValidationErrors(res, errors);
+        }
+
+        // Books are stored under their compact ISBN-13; the lookup routes accept every form
+        const { key: isbn, isbn10, isbn13 } = parseIsbn(value.isbn);
+
+        // EDGE CASE: Same book already stored, possibly under its ISBN-10 or with dashes
+        const existingKey = findBookKey(db.books, value.isbn);
+        if (existingKey) {
+            return res.status(409).json({
+                error: "Duplicate ISBN",
+                message: `A book with ISBN ${existingKey} already exists`,
+                suggestion: `Use PUT or PATCH /admin/books/${existingKey} to change it`
+            });
+        }
+
+        const now = new Date().toISOString();
+        const { isbn: _isbn, ...details } = value;
+        const book = finalizeBook({
+            ...details,
+            reviews: {},
+            createdAt: now,
+            updatedAt: now
+        });
+        db.books.set(isbn, book);
+        const createdAuthors = ensureAuthors(book.authors);
+
+        console.log(`Book ${isbn} added by ${req.user.username}`);
+        return res.status(201).json({
+            message: "Book added",
+            isbn: isbn,
+            isbn10: isbn10,
+            isbn13: isbn13,
+            ...book,
+            ...(createdAuthors.length > 0 && { createdAuthors })
+        });
+    } catch (error) {
+        console.error('Error adding book:', error);
+        res.status(500).json({
+            error: "Internal server error",
+            message: "Failed to add book. Please try again later.",
+            requestId: Date.now().toString(36)
+        });
+    }
+});
+
+/**
+ * Handler shared by PUT (all fields required) and PATCH (any subset)
+ * @param {boolean} partial - True for PATCH
+ * @returns {Function} - Express route handler
+ */
+const updateBook = (partial) => (req, res) => {
+    try {
+        const { errors, value } = validateBook(req.body, { partial });
+        if (errors.length > 0) {
+            return sendValidationErrors(res, errors);
+        }
+
+        const book = finalizeBook({
+            ...req.book,
+            ...value,
+            updatedAt: new Date().toISOString()
+        });
+        db.books.set(req.bookKey, book);
+        const createdAuthors = ensureAuthors(book.authors);
+
+        console.log(`Book ${req.bookKey} updated by ${req.user.username}`);
+        return res.status(200).json({
+            message: "Book updated",
+            isbn: req.bookKey,
+            ...book,
+            ...(createdAuthors.length > 0 && { createdAuthors })
+        });
+    } catch (error) {
+        console.error(`Error updating book ${req.params.isbn}:`, error);
+        res.status(500).json({
+            error: "Internal server error",
+            message: "Failed to update book. Please try again later.",
+            requestId: Date.now().toString(36)
+        });
+    }
+};
+
+/**
+ * PUT /admin/books/:isbn - Replace a book's details (reviews are kept)
+ */
+admin_routes.put('/books/:isbn', requirePermission('books:manage'), loadBook, updateBook(false));
+
+/**
+ * PATCH /admin/books/:isbn - Change some of a book's details
+ */
+admin_routes.patch('/books/:isbn', requirePermission('books:manage'), loadBook, updateBook(true));
+
+/**
+ * DELETE /admin/books/:isbn - Remove a book and its reviews
+ */
+admin_routes.delete('/books/:isbn', requirePermission('books:manage'), loadBook, (req, res) => {
+    try {
+        db.books.delete(req.bookKey);
+        resolveReports(req.bookKey, null, 'book_deleted', req.user.username);
+
+        console.log(`Book ${req.bookKey} deleted by ${req.user.username}`);
+        return res.status(200).json({
+            message: "Book deleted",
+            isbn: req.bookKey,
+            title: req.book.title,
+            deletedReviews: Object.keys(req.book.reviews || {}).length
+        });
+    } catch (error) {
+        console.error(`Error deleting book ${req.params.isbn}:`, error);
+        res.status(500).json({
+            error: "Internal server error",
+            message: "Failed to delete book. Please try again later.",
+            requestId: Date.now().toString(36)
+        });
+    }
+});
+
+/**
+ * POST /admin/books/import - Add or update many books from a file
+ * The body is the file itself (CSV, JSON, NDJSON, MARCXML or ONIX 3.0, see
+ * lib/catalogueFormats.js); the format comes from ?format= or else the
+ * Content-Type, with plain XML told apart by its root element. With ?dryRun=true
+ * nothing is stored and the report shows what an import would do.
+ */
+admin_routes.post('/books/import', requirePermission('books:manage'), express.text({ type: () => true, limit: config.limits.importMaxBytes }), (req, res) => {
+    try {
+        const { format: rawFormat, dryRun: rawDryRun } = req.query;
+        if (rawFormat !== undefined && !IMPORT_FORMATS.includes(rawFormat)) {
+            return res.status(400).json({
+                error: "Invalid query parameter",
+                message: `format must be one of: ${IMPORT_FORMATS.join(', ')}`
+            });
+        }
+        if (rawDryRun !== undefined && !['true', 'false'].includes(rawDryRun)) {
+            return res.status(400).json({
+                error: "Invalid query parameter",
+                message: "dryRun must be true or false"
+            });
+        }
+
+        // EDGE CASE: No body at all
+        if (typeof req.body !== 'string' || req.body.trim() === '') {
+            return res.status(400).json({
+                error: "Missing file",
+                message: "The request body must contain the catalogue file"
+            });
+        }
+        const detected = rawFormat ? { format: rawFormat } : detectFormat({ contentType: req.get('Content-Type') }, req.body);
+        if (!detected) {
+            return res.status(415).json({
+                error: "Unsupported format",
+                message: `Send the file as text/csv, application/json, application/x-ndjson, application/marcxml+xml or application/xml (MARCXML or ONIX), or name its format with ?format=${IMPORT_FORMATS.join('|')}`
+            });
+        }
+
+        const { format, root } = detected;
+        const dryRun = rawDryRun === 'true';
+        const result = importCatalogue(req.body, format, { dryRun, root });
+        if (result.error) {
+            return res.status(400).json({
+                error: "Unreadable file",
+                message: result.error
+            });
+        }
+
+        const { created, updated, invalid } = result.summary;
+        if (!dryRun) {
+            console.log(`Catalogue import by ${req.user.username}: ${created} created, ${updated} updated, ${invalid} invalid`);
+        }
+        return res.status(200).json({
+            message: dryRun ? "Dry run: nothing was stored" : "Import finished",
+            format,
+            ...result
+        });
+    } catch (error) {
+        console.error('Error importing catalogue:', error);
+        res.status(500).json({
+            error: "Internal server error",
+            message: "Failed to import the catalogue. Please try again later.",
+            requestId: Date.now().toString(36)
+        });
+    }
+});
+
+/**
+ * ============================================
+ * AUTHOR MANAGEMENT ENDPOINTS
+ * ============================================
+ * Author records behind /authors and /author/:author (see lib/authors.js).
+ * Adding or editing a book creates records for new author names on its own;
+ * these routes fill in aliases, dates and biographies.
+ */
+
+const authorRecords = db.collection('authors');
+
+/**
+ * Resolves :id to an author record
+ * Sets req.author, or answers 404.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const loadAuthor = (req, res, next) => {
+    const author = findAuthor(req.params.id);
+    if (!author) {
+        return res.status(404).json({
+            error: "Author not found",
+            message: `No author found with id or name: ${req.params.id}`
+        });
+    }
+    req.author = author;
+    next();
+};
+
+/**
+ * POST /admin/authors - Add an author
+ * Body: { name, aliases?, birthYear?, deathYear?, bio? }; the id is derived from the name.
+ */
+admin_routes.post('/authors', requirePermission('books:manage'), (req, res) => {
+    try {
+        const { errors, value } = validateAuthor(req.body);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: "Validation failed", message: "The author data is invalid", details: errors });
+        }
+
+        const now = new Date().toISOString();
+        const author = {
+            id: authorId(value.name, taken => authorRecords.has(taken)),
+            ...value,
+            createdAt: now,
+            updatedAt: now
+        };
+        const problem = checkAuthorRecord(author, authorRecords.all());
+        if (problem) {
+            return res.status(problem.status).json({ error: problem.error, message: problem.message });
+        }
+        authorRecords.set(author.id, author);
+
+        console.log(`Author ${author.id} added by ${req.user.username}`);
+        return res.status(201).json({ message: "Author added", ...author });
+    } catch (error) {
+        console.error('Error adding author:', error);
+        res.status(500).json({
+            error: "Internal server error",
+            message: "Failed to add author. Please try again later.",
+            requestId: Date.now().toString(36)
+        });
+    }
+});
+
+/**
+ * PATCH /admin/authors/:id - Change an author's name, aliases, dates or biography
+ * A new name keeps the old one as an alias, so books written under it still
+ * resolve; removing an alias that books still use is refused.
+ */
+admin_routes.patch('/authors/:id', requirePermission('books:manage'), loadAuthor, (req, res) => {
+    try {
+        const { errors, value } = validateAuthor(req.body, { partial: true });
+        if (errors.length > 0) {
+            return res.status(400).json({ error: "Validation failed", message: "The author data is invalid", details: errors });
+        }
+
+        const current = req.author;
+        const author = { ...current, ...value, updatedAt: new Date().toISOString() };
+        if (value.name && nameKey(value.name) !== nameKey(current.name)) {
+            const aliases = author.aliases || [];
+            if (!aliases.some(alias => nameKey(alias) === nameKey(current.name))) {
+                author.aliases = [...aliases, current.name];
+            }
+        }
+
+        const others = authorRecords.all();
+        const problem = checkAuthorRecord(author, others);
+        if (problem) {
+            return res.status(problem.status).json({ error: problem.error, message: problem.message });
+        }
+
+        // EDGE CASE: Books still naming the author by a removed alias would lose their author
+        const after = buildNameIndex({ ...others, [author.id]: author });
+        const orphaned = (booksByAuthor().get(author.id) || [])
+            .filter(isbn => !bookAuthorIds(db.books.get(isbn), after).includes(author.id));
+        if (orphaned.length > 0) {
+            return res.status(409).json({
+                error: "Alias in use",
+                message: `Books ${orphaned.join(', ')} name this author in a way the new aliases no longer cover`,
+                books: orphaned
+            });
+        }
+
+        authorRecords.set(author.id, author);
+
+        console.log(`Author ${author.id} updated by ${req.user.username}`);
+        return res.status(200).json({ message: "Author updated", ...author });
+    } catch (error) {
+        console.error(`Error updating author ${req.params.id}:`, error);
+        res.status(500).json({
+            error: "Internal server error",
+            message: "Failed to update author. Please try again later.",
+            requestId: Date.now().toString(36)
+        });
+    }
+});
+
+/**
+ * DELETE /admin/authors/:id - Remove an author who has no books in the catalogue
+ */
+admin_routes.delete('/authors/:id', requirePermission('books:manage'), loadAuthor, (req, res) => {
+    try {
+        const books = booksByAuthor().get(req.author.id) || [];
+        if (books.length > 0) {
+            return res.status(409).json({
+                error: "Author has books",
+                message: `${req.author.name} is still named on ${books.length} book(s); change or remove them first`,
+                books: books
+            });
+        }
+
+        authorRecords.delete(req.author.id);
+
+        console.log(`Author ${req.author.id} deleted by ${req.user.username}`);
+        return res.status(200).json({ message: "Author deleted", id: req.author.id, name: req.author.name });
+    } catch (error) {
+        console.error(`Error deleting author ${req.params.id}:`, error);
+        res.status(500).json({
+            error: "Internal server error",
+            message: "Failed to delete author. Please try again later.",
+            requestId: Date.now().toString(36)
+        });
+    }
+});
+
+/**
+ * ============================================
+ * UPSTREAM CATALOGUE
+ * ============================================
+ */
+
+/**
+ * GET /admin/upstream - Health of the upstream catalogue client
+ * Circuit breaker state, cache hit counts and retry counters.
+ */
+admin_routes.get('/upstream', requirePermission('books:manage'), (req, res) => {
+    return res.status(200).json({
+        ...getUpstreamClient().getStats(),
+        retrievedAt: new Date().toISOString()
+    });
+});
+
+/**
+ * DELETE /admin/upstream/cache - Drop every cached upstream response
+ */
+admin_routes.delete('/upstream/cache', requirePermission('books:manage'), (req, res) => {
+    getUpstreamClient().clearCache();
+    console.log(`Upstream cache cleared by ${req.user.username}`);
+    return res.status(200).json({ message: "Upstream cache cleared" });
+});
+
+module.exports.admin = admin_routes;
@@ -1,88 +1,798 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
-let books = require("./booksdb.js");
+const crypto = require('crypto');
+const db = require('../storage').getStore();
+const { hashPassword, verifyPassword, rejectUnknownUser } = require('../auth/credentials.js');
+const { createTokenSession, rotateRefreshToken, revokeTokenSession, revokeUserTokenSessions } = require('../auth/tokens.js');
+const { authenticate, requirePermission } = require('../auth/middleware.js');
+const { hasPermission, DEFAULT_ROLE } = require('../auth/roles.js');
+const { findBookKey } = require('../lib/isbn.js');
+const { MIN_RATING, MAX_RATING, VOTE_VALUES, isValidRating, buildReview, entryOf, isHidden, countVotes } = require('../lib/reviews.js');
+const { REPORT_REASONS, REPORT_COMMENT_MAX_LENGTH, fileReport, openReports, resolveReports, reassignReports } = require('../moderation');
+const { sendError, sendServerError } = require('../lib/httpErrors.js');
+const { rateLimit, keys: rateLimitKeys } = require('../rateLimit');
+const { getLockout, recordFailedLogin, clearFailedLogins, queueLoginAttempt } = require('../auth/lockout.js');
+const { checkNewPassword } = require('../auth/passwordPolicy.js');
+const { revokePasswordResets } = require('../auth/passwordReset.js');
+const { EMAIL_MAX_LENGTH, normalizeEmail, checkEmail } = require('../lib/email.js');
+const { deleteReadingList } = require('./shelves.js');
+const { recordLoginAttempt } = require('../auth/loginAudit.js');
 const regd_users = express.Router();
 
-let users = [];
+const REVIEW_MIN_LENGTH = 2;
+const REVIEW_MAX_LENGTH = 5000;
+const TITLE_MAX_LENGTH = 120;
+const DISPLAY_NAME_MAX_LENGTH = 80;
+const BIO_MAX_LENGTH = 1000;
+const REVIEW_DELETION_MODES = ['delete', 'anonymize'];
 
-const isValid = (username) => { //returns boolean
-    //write code to check is the username is valid
+/**
+ * Looks up a user record (usernames are case-insensitive)
+ * @param {string} username - Username as typed by the client
+ * @returns {Object|undefined} - Stored user record
+ */
+const findUser = (username) => {
+    if (typeof username !== 'string' || username.trim() === '') {
+        return undefined;
+    }
+    return db.users.get(username.trim().toLowerCase());
+};
+
+/**
+ * Looks up a user record by email address
+ * @param {string} email - Address as typed
+ * @returns {Object|undefined} - Stored user record
+ */
+const findUserByEmail = (email) => {
+    if (typeof email !== 'string' || email.trim() === '') {
+        return undefined;
+    }
+    const normalized = normalizeEmail(email);
+    return Object.values(db.users.all()).find(user => user.email === normalized);
+};
+
+/**
+ * Strips secrets from a user record before it is sent to a client
+ * @param {Object} user - Stored user record
+ * @returns {Object} - Safe subset of the record
+ */
+const toPublicUser = (user) => ({
+    username: user.username,
+    role: user.role || DEFAULT_ROLE,
+    displayName: user.displayName || null,
+    bio: user.bio || null,
+    createdAt: user.createdAt
+});
+
+/**
+ * Checks whether a username belongs to a registered account
+ * @param {string} username - Username to check
+ * @returns {boolean} - True if the account exists
+ */
+const isValid = (username) => {
+    return Boolean(findUser(username));
 }
 
-const authenticatedUser = (username, password) => { //returns boolean
-    //write code to check if username and password match the one we have in records.
+/**
+ * Checks a username/password pair against the stored credentials
+ * Accounts saved before passwords were hashed are upgraded on their first successful login.
+ * @param {string} username - Username to check
+ * @param {string} password - Plain text password to check
+ * @returns {Promise<boolean>} - True if the credentials match
+ */
+const authenticatedUser = async (username, password) => {
+    const user = findUser(username);
+
+    if (!user || typeof password !== 'string') {
+        return rejectUnknownUser(password);
+    }
+
+    // EDGE CASE: Legacy record with a plain text password
+    if (!user.passwordHash && typeof user.password === 'string') {
+        const expected = crypto.createHash('sha256').update(user.password).digest();
+        const actual = crypto.createHash('sha256').update(password).digest();
+        if (!crypto.timingSafeEqual(expected, actual)) {
+            return false;
+        }
+        const { password: _plainText, ...rest } = user;
+        db.users.set(user.username.toLowerCase(), { ...rest, passwordHash: await hashPassword(password) });
+        return true;
+    }
+
+    return verifyPassword(password, user.passwordHash);
 }
 
 //only registered users can login
-regd_users.post("/login", (req, res) => {
-    const { username, password } = req.body
-    if (!username || !password) {
-        return res.status(404).json({ message: "no password or login" });
-    }
-    if (users.filter((user) => (user.username === username && user.password === password)).length) {
-        let accessToken = jwt.sign({
-            username:username,
-            pw:password,
-            patato:"ya"
-        }, 'access', { expiresIn: 60 * 60 });
+// Failed attempts count towards a temporary lockout (auth/lockout.js); every attempt is audited (auth/loginAudit.js).
+// Locked accounts get the same 401 as wrong credentials; admins see lockouts in the audit log (outcome "locked").
+// Three limits: per IP and username, per IP (rotating usernames) and per username (rotating IPs)
+regd_users.post("/login", rateLimit('loginIp'), rateLimit('loginAccount', rateLimitKeys.loginAccount), rateLimit('login', rateLimitKeys.login), async (req, res) => {
+    try {
+        const { username, password } = req.body
+        if (!username || !password) {
+            recordLoginAttempt(req, username, 'missing_credentials');
+            return res.status(404).json({ message: "no password or login" });
+        }
+
+        // Use the stored spelling of the username, not whatever case was typed
+        const user = findUser(username);
+        if (!user) {
+            await rejectUnknownUser(password);
+            recordLoginAttempt(req, username, 'unknown_user');
+            return res.status(401).json({ message: "Invalid Login. Check username and password" });
+        }
+
+        // EDGE CASE: Parallel guesses must not all pass the lockout check before the first failure is recorded
+        const outcome = await queueLoginAttempt(user.username, async () => {
+            // EDGE CASE: While locked, not even the right password gets in
+            if (getLockout(user.username)) {
+                // Same work and answer as a wrong password, so lockouts do not reveal which accounts exist
+                await rejectUnknownUser(password);
+                recordLoginAttempt(req, user.username, 'locked');
+                return 'locked';
+            }
+            if (await authenticatedUser(username, password)) {
+                clearFailedLogins(user.username);
+                recordLoginAttempt(req, user.username, 'success');
+                return 'success';
+            }
+            recordLoginAttempt(req, user.username, 'invalid_password');
+            recordFailedLogin(user.username);
+            return 'invalid_password';
+        });
+
+        if (outcome !== 'success') {
+            return res.status(401).json({ message: "Invalid Login. Check username and password" });
+        }
 
+        const tokens = createTokenSession(user.username);
         req.session.authorization = {
-            accessToken, username
+            accessToken: tokens.accessToken, username: user.username, sid: tokens.sid
+        }
+        return res.status(200).json({ message: "User successfully logged in", username: user.username, role: user.role || DEFAULT_ROLE, ...tokens });
+    } catch (error) {
+        console.error('Login error:', error);
+        res.status(500).json({ message: "Error logging in" });
+    }
+});
+
+// Exchange a refresh token for a new access/refresh token pair
+regd_users.post("/token/refresh", (req, res) => {
+    try {
+        const refreshToken = req.body?.refreshToken;
+        if (!refreshToken) {
+            return res.status(400).json({ message: "refreshToken is required" });
+        }
+
+        const tokens = rotateRefreshToken(refreshToken);
+
+        // Keep the browser session in step if it belongs to the same login
+        if (req.session.authorization?.sid === tokens.sid) {
+            req.session.authorization.accessToken = tokens.accessToken;
+        }
+        return res.status(200).json({ message: "Token refreshed", ...tokens });
+    } catch (error) {
+        if (error.isTokenError) {
+            return res.status(401).json({ message: error.message });
+        }
+        console.error('Token refresh error:', error);
+        res.status(500).json({ message: "Error refreshing token" });
+    }
+});
+
+// Log out: revoke this login's tokens (or every login with { "all": true }) and end the session
+regd_users.post("/logout", authenticate, (req, res) => {
+    try {
+        const revoked = req.body?.all === true
+            ? revokeUserTokenSessions(req.user.username)
+            : Number(revokeTokenSession(req.user.sid));
+
+        req.session.destroy((err) => {
+            if (err) {
+                console.error('Session destroy error:', err);
+            }
+            res.status(200).json({ message: "User successfully logged out", revokedSessions: revoked });
+        });
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({ message: "Error logging out" });
+    }
+});
+
+/**
+ * Validates review input for PUT /auth/review/:isbn
+ * Reads a JSON body ({ review, rating, title }); the query string is still
+ * accepted for older clients. A new review needs text and a rating, an edit
+ * may send only the fields it changes.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const validateReviewInput = (req, res, next) => {
+    try {
+        const hasBody = req.body && typeof req.body === 'object' && Object.keys(req.body).length > 0;
+        const source = hasBody ? req.body : req.query;
+        const { review, rating, title } = source;
+        const errors = [];
+        const input = {};
+
+        // EDGE CASE: Nothing submitted at all
+        if (review === undefined && rating === undefined && title === undefined) {
+            return sendError(res, 400, "Empty review", "Provide at least one of: review, rating, title");
+        }
+
+        if (review !== undefined) {
+            if (typeof review !== 'string') {
+                errors.push({ field: 'review', message: "review must be a string" });
+            } else if (review.trim().length < REVIEW_MIN_LENGTH) {
+                errors.push({ field: 'review', message: `review must be at least ${REVIEW_MIN_LENGTH} characters long` });
+            } else if (review.trim().length > REVIEW_MAX_LENGTH) {
+                errors.push({ field: 'review', message: `review must be at most ${REVIEW_MAX_LENGTH} characters long` });
+            } else {
+                input.review = review.trim();
+            }
+        }
+
+        if (rating !== undefined) {
+            // Query string values arrive as text, JSON bodies may send a number
+            const value = typeof rating === 'string' && /^\d+$/.test(rating.trim()) ? Number(rating) : rating;
+            if (!isValidRating(value)) {
+                errors.push({ field: 'rating', message: `rating must be a whole number from ${MIN_RATING} to ${MAX_RATING}` });
+            } else {
+                input.rating = value;
+            }
+        }
+
+        if (title !== undefined) {
+            if (typeof title !== 'string') {
+                errors.push({ field: 'title', message: "title must be a string" });
+            } else if (title.trim().length > TITLE_MAX_LENGTH) {
+                errors.push({ field: 'title', message: `title must be at most ${TITLE_MAX_LENGTH} characters long` });
+            } else if (title.trim() !== '') {
+                input.title = title.trim();
+            }
+        }
+
+        // EDGE CASE: Markup or script injection in free text
+        const maliciousPatterns = ['<script', 'javascript:', 'onload=', 'onerror='];
+        const text = `${input.review || ''} ${input.title || ''}`.toLowerCase();
+        if (maliciousPatterns.some(pattern => text.includes(pattern))) {
+            errors.push({ field: null, message: "Review contains potentially harmful content" });
+        }
+
+        if (errors.length > 0) {
+            return sendError(res, 400, "Invalid review", "The review data is invalid", { details: errors });
+        }
+
+        req.reviewInput = input;
+        next();
+    } catch (error) {
+        console.error('Review validation error:', error);
+        return sendError(res, 500, "Validation error", "An error occurred during review validation");
+    }
+};
+
+/**
+ * Resolves the :isbn route parameter to a stored book
+ * Sets req.bookKey and req.book, or answers 404.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const loadReviewedBook = (req, res, next) => {
+    const bookKey = findBookKey(db.books, req.params.isbn);
+    if (!bookKey) {
+        return sendError(res, 404, "Book not found", `No book found with ISBN: ${req.params.isbn}`);
+    }
+    req.bookKey = bookKey;
+    req.book = db.books.get(bookKey);
+    next();
+};
+
+/**
+ * PUT /auth/review/:isbn - Add (201) or edit (200) the current user's review
+ * Body: { review, rating (1-5), title? }. Edits keep the previous version in the review's history.
+ */
+regd_users.put("/auth/review/:isbn", requirePermission('reviews:write'), rateLimit('reviews', rateLimitKeys.user), loadReviewedBook, validateReviewInput, (req, res) => {
+    try {
+        const { book, bookKey, reviewInput } = req;
+        const username = req.user.username;
+        const existing = entryOf(book.reviews, username);
+
+        // A new review needs text and a rating; an edit may change any subset
+        if (!existing) {
+            const missing = ['review', 'rating'].filter(field => reviewInput[field] === undefined);
+            if (missing.length > 0) {
+                return sendError(res, 400, "Invalid review", `A new review needs: ${missing.join(', ')}`, {
+                    details: missing.map(field => ({ field, message: `${field} is required` }))
+                });
+            }
+        }
+
+        const review = buildReview(existing, reviewInput);
+        db.books.set(bookKey, { ...book, reviews: { ...book.reviews, [username]: review } });
+
+        return res.status(existing ? 200 : 201).json({
+            message: existing ? "Review updated" : "Review added",
+            isbn: bookKey,
+            title: book.title,
+            username: username,
+            review: review
+        });
+    } catch (error) {
+        console.error(`Error saving review for ISBN ${req.params.isbn}:`, error);
+        return sendServerError(res, "Failed to save review. Please try again later.");
+    }
+});
+
+/**
+ * DELETE /auth/review/:isbn - Delete the current user's review,
+ * or anyone's (?username=) with the reviews:moderate permission
+ */
+regd_users.delete("/auth/review/:isbn", requirePermission('reviews:write'), rateLimit('reviews', rateLimitKeys.user), loadReviewedBook, (req, res) => {
+    try {
+        const { book, bookKey } = req;
+        const currentUser = req.user.username;
+        const username = req.query.username || currentUser; // Whose review to delete
+
+        if (username !== currentUser && !hasPermission(req.user.role, 'reviews:moderate')) {
+            return sendError(res, 403, "Forbidden", "Only moderators can delete other users' reviews");
+        }
+
+        if (!entryOf(book.reviews, username)) {
+            return sendError(res, 404, "Review not found", `${username} has not reviewed ISBN ${bookKey}`);
+        }
+
+        const { [username]: _deleted, ...reviews } = book.reviews;
+        db.books.set(bookKey, { ...book, reviews });
+        if (username === currentUser) {
+            resolveReports(bookKey, username, 'review_deleted', null);
+        } else {
+            resolveReports(bookKey, username, 'deleted', currentUser);
+        }
+
+        return res.status(200).json({
+            message: "Review deleted",
+            isbn: bookKey,
+            username: username
+        });
+    } catch (error) {
+        console.error(`Error deleting review for ISBN ${req.params.isbn}:`, error);
+        return sendServerError(res, "Failed to delete review. Please try again later.");
+    }
+});
+
+/**
+ * ============================================
+ * VOTES AND REPORTS
+ * ============================================
+ * Readers rate other people's reviews as helpful or not, and report the
+ * ones that break the rules. Reports end up in the moderation queue
+ * (GET /admin/reviews/queue).
+ */
+
+/**
+ * Resolves :username to a visible review of the book loaded by loadReviewedBook
+ * Review keys are matched case-insensitively. Hidden reviews answer 404 like
+ * missing ones, and the user's own review answers 400.
+ * Sets req.reviewer (the review key) and req.review.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const loadOthersReview = (req, res, next) => {
+    const wanted = String(req.params.username).trim().toLowerCase();
+    const reviewer = Object.keys(req.book.reviews || {}).find(key => key.toLowerCase() === wanted);
+    if (!reviewer || isHidden(req.book.reviews[reviewer])) {
+        return sendError(res, 404, "Review not found", `${req.params.username} has not reviewed ISBN ${req.bookKey}`);
+    }
+    if (reviewer.toLowerCase() === req.user.username.toLowerCase()) {
+        return sendError(res, 400, "Invalid operation", "You cannot vote on or report your own review");
+    }
+    req.reviewer = reviewer;
+    req.review = req.book.reviews[reviewer];
+    next();
+};
+
+/**
+ * Stores a review with changed votes
+ * @param {Object} req - Request prepared by loadOthersReview
+ * @param {Object} votes - New { <voter>: "up" | "down" } map
+ * @returns {Object} - { helpfulVotes, unhelpfulVotes } after the change
+ */
+const saveVotes = (req, votes) => {
+    const { votes: _previous, ...review } = req.review;
+    const updated = Object.keys(votes).length > 0 ? { ...review, votes } : review;
+    db.books.set(req.bookKey, { ...req.book, reviews: { ...req.book.reviews, [req.reviewer]: updated } });
+    const { up, down } = countVotes(updated);
+    return { helpfulVotes: up, unhelpfulVotes: down };
+};
+
+/**
+ * PUT /auth/review/:isbn/:username/vote - Mark someone's review as helpful or not
+ * Body: { vote: "up" | "down" }. Voting again replaces the earlier vote (201 first time, 200 after).
+ */
+regd_users.put("/auth/review/:isbn/:username/vote", requirePermission('reviews:write'), rateLimit('reviews', rateLimitKeys.user), loadReviewedBook, loadOthersReview, (req, res) => {
+    try {
+        const vote = req.body?.vote;
+        if (!VOTE_VALUES.includes(vote)) {
+            return sendError(res, 400, "Invalid vote", `vote must be one of: ${VOTE_VALUES.join(', ')}`);
+        }
+
+        const voter = req.user.username;
+        const previous = entryOf(req.review.votes, voter);
+        const counts = saveVotes(req, { ...req.review.votes, [voter]: vote });
+
+        return res.status(previous ? 200 : 201).json({
+            message: previous ? "Vote updated" : "Vote recorded",
+            isbn: req.bookKey,
+            reviewer: req.reviewer,
+            vote: vote,
+            ...counts
+        });
+    } catch (error) {
+        console.error(`Error voting on review of ${req.params.username} for ISBN ${req.params.isbn}:`, error);
+        return sendServerError(res, "Failed to record vote. Please try again later.");
+    }
+});
+
+/**
+ * DELETE /auth/review/:isbn/:username/vote - Withdraw a vote
+ */
+regd_users.delete("/auth/review/:isbn/:username/vote", requirePermission('reviews:write'), rateLimit('reviews', rateLimitKeys.user), loadReviewedBook, loadOthersReview, (req, res) => {
+    try {
+        const voter = req.user.username;
+        if (!entryOf(req.review.votes, voter)) {
+            return sendError(res, 404, "Vote not found", `You have not voted on ${req.reviewer}'s review`);
+        }
+
+        const { [voter]: _withdrawn, ...votes } = req.review.votes;
+        const counts = saveVotes(req, votes);
+
+        return res.status(200).json({
+            message: "Vote withdrawn",
+            isbn: req.bookKey,
+            reviewer: req.reviewer,
+            ...counts
+        });
+    } catch (error) {
+        console.error(`Error withdrawing vote on review of ${req.params.username} for ISBN ${req.params.isbn}:`, error);
+        return sendServerError(res, "Failed to withdraw vote. Please try again later.");
+    }
+});
+
+/**
+ * POST /auth/review/:isbn/:username/report - Report a review to the moderators
+ * Body: { reason, comment? }; comment is required when reason is "other".
+ * A user can have one open report per review.
+ */
+regd_users.post("/auth/review/:isbn/:username/report", requirePermission('reviews:write'), rateLimit('reviews', rateLimitKeys.user), loadReviewedBook, loadOthersReview, (req, res) => {
+    try {
+        const { reason, comment } = req.body || {};
+        const errors = [];
+
+        if (!REPORT_REASONS.includes(reason)) {
+            errors.push({ field: 'reason', message: `reason must be one of: ${REPORT_REASONS.join(', ')}` });
+        }
+        if (comment !== undefined && comment !== null && typeof comment !== 'string') {
+            errors.push({ field: 'comment', message: "comment must be a string" });
+        } else if (typeof comment === 'string' && comment.trim().length > REPORT_COMMENT_MAX_LENGTH) {
+            errors.push({ field: 'comment', message: `comment must be at most ${REPORT_COMMENT_MAX_LENGTH} characters long` });
+        }
+        const trimmedComment = typeof comment === 'string' ? comment.trim() : '';
+        // EDGE CASE: "other" says nothing on its own
+        if (reason === 'other' && trimmedComment === '') {
+            errors.push({ field: 'comment', message: "comment is required when reason is \"other\"" });
         }
-        return res.status(200).send("User successfully logged in");
-    } else {
-        return res.status(208).json({ message: "Invalid Login. Check username and password" });
+        if (errors.length > 0) {
+            return sendError(res, 400, "Invalid report", errors.map(e => e.message).join('; '), { details: errors });
+        }
+
+        const reporter = req.user.username;
+        if (openReports(req.bookKey, req.reviewer).some(report => report.reporter === reporter)) {
+            return sendError(res, 409, "Already reported", "You have already reported this review; a moderator will look at it");
+        }
+
+        const { id, createdAt, status } = fileReport({
+            isbn: req.bookKey,
+            reviewer: req.reviewer,
+            reporter,
+            reason,
+            comment: trimmedComment
+        });
+
+        return res.status(201).json({
+            message: "Review reported; a moderator will look at it",
+            report: {
+                id,
+                isbn: req.bookKey,
+                reviewer: req.reviewer,
+                reason,
+                ...(trimmedComment && { comment: trimmedComment }),
+                status,
+                createdAt
+            }
+        });
+    } catch (error) {
+        console.error(`Error reporting review of ${req.params.username} for ISBN ${req.params.isbn}:`, error);
+        return sendServerError(res, "Failed to report review. Please try again later.");
     }
 });
 
-// Add a book review
-regd_users.put("/auth/review/:isbn", (req, res) => {
-    const reviewText = req.query.review;
-    const isbn = req.params.isbn;
-    
-    jwt.verify(req.session.authorization.accessToken, "access", (err, decoded) => {
-        if (err) {
-            return res.sendStatus(403); // Forbidden
-        }
-        books[isbn].reviews[decoded.username] = {
-            "review": reviewText
-          };
-    })
-    return res.status(200).json({ message: "Book updated:"+ JSON.stringify(books[isbn]) });
+/**
+ * ============================================
+ * ACCOUNT ENDPOINTS
+ * ============================================
+ * The signed-in user's own profile, password and account
+ */
+
+/**
+ * Validates a profile update (PATCH /auth/me)
+ * displayName, bio and email may be strings, or null/"" to clear them. Sets req.profileInput.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const validateProfileInput = (req, res, next) => {
+    const body = req.body;
+    if (!body || typeof body !== 'object' || Array.isArray(body) || Object.keys(body).length === 0) {
+        return sendError(res, 400, "Empty request body", "Provide at least one of: displayName, bio, email");
+    }
+
+    const limits = { displayName: DISPLAY_NAME_MAX_LENGTH, bio: BIO_MAX_LENGTH, email: EMAIL_MAX_LENGTH };
+    const errors = [];
+    const input = {};
+
+    for (const [field, value] of Object.entries(body)) {
+        if (!(field in limits)) {
+            errors.push({ field, message: `Unknown or read-only field "${field}"` });
+        } else if (value === null || (typeof value === 'string' && value.trim() === '')) {
+            input[field] = null;
+        } else if (typeof value !== 'string') {
+            errors.push({ field, message: `${field} must be a string or null` });
+        } else if (value.trim().length > limits[field]) {
+            errors.push({ field, message: `${field} must be at most ${limits[field]} characters long` });
+        } else if (field === 'displayName' && /[\u0000-\u001f\u007f]/.test(value)) {
+            // EDGE CASE: Line breaks belong in a bio, not in a name shown next to every review
+            errors.push({ field, message: "displayName cannot contain control characters" });
+        } else if (field === 'email' && checkEmail(value)) {
+            errors.push({ field, message: checkEmail(value).message });
+        } else if (field === 'email') {
+            input.email = normalizeEmail(value);
+        } else {
+            input[field] = value.trim();
+        }
+    }
+
+    if (errors.length > 0) {
+        return sendError(res, 400, "Validation failed", errors.map(e => e.message).join('; '), { details: errors });
+    }
+    req.profileInput = input;
+    next();
+};
+
+/**
+ * Loads the signed-in user's record into req.account
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const loadAccount = (req, res, next) => {
+    const account = findUser(req.user.username);
+    // EDGE CASE: Account deleted while an access token for it was still valid
+    if (!account) {
+        return sendError(res, 404, "User not found", "This account no longer exists");
+    }
+    req.account = account;
+    next();
+};
+
+/**
+ * GET /customer/auth/me - The signed-in user's profile
+ */
+regd_users.get("/auth/me", loadAccount, (req, res) => {
+    return res.status(200).json({
+        ...toPublicUser(req.account),
+        email: req.account.email || null,
+        updatedAt: req.account.updatedAt || req.account.createdAt || null
+    });
 });
 
+/**
+ * PATCH /customer/auth/me - Update display name and/or bio
+ */
+regd_users.patch("/auth/me", loadAccount, validateProfileInput, (req, res) => {
+    try {
+        // EDGE CASE: Password reset messages must reach exactly one account
+        const { email } = req.profileInput;
+        const emailOwner = email ? findUserByEmail(email) : undefined;
+        if (emailOwner && emailOwner.username !== req.account.username) {
+            return sendError(res, 409, "Email already in use", "Another account already uses this email address");
+        }
 
-regd_users.delete("/auth/review/:isbn", (req, res) => {
-  try {
-    const requestedIsbn = req.params.isbn;
-    const username = req.session.authorization.username; // Retrieve username from session
-    console.log(requestedIsbn)
-    console.log(username)
+        const account = { ...req.account, updatedAt: new Date().toISOString() };
+        for (const [field, value] of Object.entries(req.profileInput)) {
+            if (value === null) {
+                delete account[field];
+            } else {
+                account[field] = value;
+            }
+        }
+        db.users.set(account.username.toLowerCase(), account);
 
-    if (!username) {
-      return res.status(401).json({ message: "Unauthorized" }); // Handle unauthorized access
+        return res.status(200).json({
+            message: "Profile updated",
+            ...toPublicUser(account),
+            email: account.email || null,
+            updatedAt: account.updatedAt
+        });
+    } catch (error) {
+        console.error(`Error updating profile of ${req.user.username}:`, error);
+        return sendServerError(res, "Failed to update profile. Please try again later.");
     }
+});
 
-    const book = books[requestedIsbn];
-    console.log(book)
+/**
+ * POST /customer/auth/me/password - Change password
+ * Body: { currentPassword, newPassword }. Every other login of the account is
+ * revoked; the one making the request stays signed in.
+ */
+regd_users.post("/auth/me/password", rateLimit('passwordChange', rateLimitKeys.user), loadAccount, async (req, res) => {
+    try {
+        const { currentPassword, newPassword } = req.body || {};
+
+        if (typeof currentPassword !== 'string' || currentPassword === '' || newPassword === undefined) {
+            return sendError(res, 400, "Missing required fields", "Both currentPassword and newPassword are required");
+        }
+
+        const passwordError = checkNewPassword(newPassword);
+        if (passwordError) {
+            return sendError(res, 400, passwordError.error, passwordError.message);
+        }
 
-    if (book) {
-      if (book.reviews[username]) { // Check if a review exists for the user
-        delete book.reviews[username]; // Delete the user's review
-        res.json({ message: "Review deleted" });
-      } else {
-        res.status(404).json({ message: "Review not found" }); // Handle review not found
-      }
-    } else {
-      res.status(404).json({ message: "Book not found" }); // Handle book not found
+        if (!(await authenticatedUser(req.account.username, currentPassword))) {
+            return sendError(res, 403, "Invalid password", "The current password is incorrect");
+        }
+
+        if (newPassword === currentPassword) {
+            return sendError(res, 400, "Password unchanged", "The new password must differ from the current one");
+        }
+
+        // Re-read: authenticatedUser may have just upgraded a legacy record
+        const { password: _legacy, ...account } = findUser(req.account.username);
+        db.users.set(account.username.toLowerCase(), {
+            ...account,
+            passwordHash: await hashPassword(newPassword),
+            passwordChangedAt: new Date().toISOString()
+        });
+        const revokedSessions = revokeUserTokenSessions(account.username, { except: req.user.sid });
+        revokePasswordResets(account.username);
+
+        console.log(`Password changed for ${account.username}`);
+        return res.status(200).json({
+            message: "Password changed",
+            revokedSessions: revokedSessions
+        });
+    } catch (error) {
+        console.error(`Error changing password of ${req.user.username}:`, error);
+        return sendServerError(res, "Failed to change password. Please try again later.");
     }
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({ message: "Error deleting review" }); // Handle unexpected errors
-  }
 });
 
+/**
+ * Deletes or anonymizes every review written by a user
+ * Anonymized reviews move to a random "anonymous--<hex>" key per book; "--"
+ * is rejected by registration, so no account can ever claim them.
+ * @param {string} username - Author of the reviews
+ * @param {string} mode - "delete" or "anonymize"
+ * @returns {number} - Number of reviews affected
+ */
+const removeUserReviews = (username, mode) => {
+    let affected = 0;
+    const now = new Date().toISOString();
+
+    for (const [bookKey, book] of Object.entries(db.books.all())) {
+        const review = entryOf(book.reviews, username);
+        if (!review) {
+            continue;
+        }
+        const { [username]: _removed, ...reviews } = book.reviews;
+        if (mode === 'anonymize') {
+            const anonymousKey = `anonymous--${crypto.randomBytes(6).toString('hex')}`;
+            reviews[anonymousKey] = { ...review, anonymized: true, anonymizedAt: now };
+            reassignReports(bookKey, username, anonymousKey);
+        } else {
+            resolveReports(bookKey, username, 'review_deleted', null);
+        }
+        db.books.set(bookKey, { ...book, reviews });
+        affected++;
+    }
+    return affected;
+};
+
+/**
+ * Withdraws every helpfulness vote a user has cast
+ * @param {string} username - Voter
+ * @returns {number} - Number of votes withdrawn
+ */
+const removeUserVotes = (username) => {
+    let withdrawn = 0;
+
+    for (const [bookKey, book] of Object.entries(db.books.all())) {
+        let changed = false;
+        let reviews = book.reviews;
+        for (const [reviewer, review] of Object.entries(book.reviews || {})) {
+            if (entryOf(review?.votes, username)) {
+                const { [username]: _withdrawn, ...votes } = review.votes;
+                reviews = { ...reviews, [reviewer]: { ...review, votes } };
+                changed = true;
+                withdrawn++;
+            }
+        }
+        if (changed) {
+            db.books.set(bookKey, { ...book, reviews });
+        }
+    }
+    return withdrawn;
+};
+
+/**
+ * DELETE /customer/auth/me - Delete the account
+ * Body: { password, reviews: "delete" | "anonymize" } (reviews defaults to "delete").
+ * Every login of the account is revoked. Wrong passwords count against the same
+ * per-user limit as password changes, so a stolen token cannot be used to guess.
+ */
+regd_users.delete("/auth/me", rateLimit('passwordChange', rateLimitKeys.user), loadAccount, async (req, res) => {
+    try {
+        const { password, reviews: mode = 'delete' } = req.body || {};
+
+        if (!REVIEW_DELETION_MODES.includes(mode)) {
+            return sendError(res, 400, "Invalid option", `reviews must be one of: ${REVIEW_DELETION_MODES.join(', ')}`);
+        }
+        if (typeof password !== 'string' || password === '') {
+            return sendError(res, 400, "Missing required fields", "password is required to delete the account");
+        }
+        if (!(await authenticatedUser(req.account.username, password))) {
+            return sendError(res, 403, "Invalid password", "The password is incorrect");
+        }
+
+        // EDGE CASE: Deleting the last admin would leave nobody able to manage users
+        const isAdmin = (req.account.role || DEFAULT_ROLE) === 'admin';
+        if (isAdmin && !Object.values(db.users.all()).some(user => user.role === 'admin' && user.username !== req.account.username)) {
+            return sendError(res, 400, "Invalid operation", "You are the only admin; promote another admin before deleting your account");
+        }
+
+        const { username } = req.account;
+        // One batch: the json driver writes its file once, and sqlite keeps nothing if a step throws
+        const { affectedReviews, revokedSessions } = db.batch(() => {
+            const affected = removeUserReviews(username, mode);
+            removeUserVotes(username);
+            db.users.delete(username.toLowerCase());
+            clearFailedLogins(username);
+            revokePasswordResets(username);
+            deleteReadingList(username);
+            return { affectedReviews: affected, revokedSessions: revokeUserTokenSessions(username) };
+        });
+
+        console.log(`Account ${username} deleted (${affectedReviews} reviews ${mode === 'delete' ? 'deleted' : 'anonymized'})`);
+        req.session.destroy((err) => {
+            if (err) {
+                console.error('Session destroy error:', err);
+            }
+            res.status(200).json({
+                message: "Account deleted",
+                username: username,
+                reviews: { action: mode, count: affectedReviews },
+                revokedSessions: revokedSessions
+            });
+        });
+    } catch (error) {
+        console.error(`Error deleting account of ${req.user.username}:`, error);
+        return sendServerError(res, "Failed to delete account. Please try again later.");
+    }
+});
 
 module.exports.authenticated = regd_users;
 module.exports.isValid = isValid;
-module.exports.users = users;
+module.exports.findUserByEmail = findUserByEmail;
+module.exports.authenticatedUser = authenticatedUser;
+module.exports.toPublicUser = toPublicUser;
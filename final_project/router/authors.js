@@ -0,0 +1,164 @@
+/**
+ * expressBookReviews - Authors Router
+ *
+ * Public, read-only author pages (see lib/authors.js for the data model):
+ *   GET /authors       - every author, with book counts
+ *   GET /authors/:id   - one author and their books
+ * Admins edit authors through /admin/authors; GET /author/:author in
+ * router/general.js resolves names through the same records.
+ */
+
+const express = require('express');
+const db = require('../storage').getStore();
+const { sendError, sendServerError } = require('../lib/httpErrors.js');
+const { validatePageQuery, setPaginationHeaders } = require('../lib/listing.js');
+const { withRatingSummary } = require('../lib/reviews.js');
+const { nameKey, authorId, buildNameIndex, bookAuthorIds, newAuthor } = require('../lib/authors.js');
+const { rateLimit } = require('../rateLimit');
+const public_author_routes = express.Router();
+
+const authors = db.collection('authors');
+
+/**
+ * Indexes the current author records by every name they are known by
+ * @returns {Map<string, string>} - Compared name -> author id
+ */
+const getNameIndex = () => buildNameIndex(authors.all());
+
+/**
+ * Finds an author by id, or failing that by name or alias
+ * @param {string} idOrName - Route parameter
+ * @returns {Object|undefined} - Author record
+ */
+const findAuthor = (idOrName) => {
+    const raw = String(idOrName).trim();
+    return authors.get(raw.toLowerCase()) || authors.get(getNameIndex().get(nameKey(raw)));
+};
+
+/**
+ * Creates records for the names on a book that no author is known by yet
+ * @param {string[]} names - books[isbn].authors
+ * @param {Map<string, string>} [index] - From getNameIndex; records created here are added to it
+ * @returns {string[]} - Ids of the records created
+ */
+const ensureAuthors = (names, index = getNameIndex()) => {
+    const created = [];
+    for (const name of names || []) {
+        if (!index.has(nameKey(name))) {
+            const id = authorId(name, taken => authors.has(taken));
+            authors.set(id, newAuthor(id, name));
+            index.set(nameKey(name), id);
+            created.push(id);
+        }
+    }
+    return created;
+};
+
+/**
+ * Groups the catalogue by author
+ * @param {Map<string, string>} [index] - From getNameIndex
+ * @returns {Map<string, string[]>} - Author id -> keys of their books
+ */
+const booksByAuthor = (index = getNameIndex()) => {
+    const byAuthor = new Map();
+    for (const [isbn, book] of Object.entries(db.books.all())) {
+        for (const id of bookAuthorIds(book, index)) {
+            byAuthor.set(id, [...(byAuthor.get(id) || []), isbn]);
+        }
+    }
+    return byAuthor;
+};
+
+/**
+ * Summarizes an author for lists
+ * @param {Object} author - Author record
+ * @param {number} bookCount - Number of books in the catalogue
+ * @returns {Object} - { id, name, aliases, birthYear, deathYear, bookCount }
+ */
+const describeAuthor = (author, bookCount) => ({
+    id: author.id,
+    name: author.name,
+    aliases: author.aliases || [],
+    birthYear: author.birthYear ?? null,
+    deathYear: author.deathYear ?? null,
+    bookCount
+});
+
+/**
+ * GET /authors - Every author, by name
+ * Optional q matches names and aliases (ignoring case and diacritics);
+ * paginated with page and limit.
+ */
+public_author_routes.get('/authors', rateLimit('search'), validatePageQuery, (req, res) => {
+    try {
+        const { q } = req.query;
+        if (q !== undefined && typeof q !== 'string') {
+            return sendError(res, 400, "Invalid query parameter", "q may only be given once");
+        }
+        const wanted = q ? nameKey(q) : '';
+
+        const byAuthor = booksByAuthor();
+        const matching = Object.values(authors.all())
+            .filter(author => !wanted || [author.name, ...(author.aliases || [])].some(name => nameKey(name).includes(wanted)))
+            .sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }));
+
+        const { page, limit } = req.listQuery;
+        const pagination = { total: matching.length, page, limit, totalPages: Math.max(1, Math.ceil(matching.length / limit)) };
+        const pageOfAuthors = matching.slice((page - 1) * limit, page * limit);
+        setPaginationHeaders(req, res, pagination);
+
+        return res.status(200).json({
+            count: pageOfAuthors.length,
+            ...pagination,
+            authors: pageOfAuthors.map(author => describeAuthor(author, (byAuthor.get(author.id) || []).length)),
+            retrievedAt: new Date().toISOString()
+        });
+    } catch (error) {
+        console.error('Error listing authors:', error);
+        return sendServerError(res, "Failed to list authors. Please try again later.");
+    }
+});
+
+/**
+ * GET /authors/:id - An author's details and their books, oldest first
+ * Also answers to a name or alias instead of the id.
+ */
+public_author_routes.get('/authors/:id', rateLimit('search'), (req, res) => {
+    try {
+        const author = findAuthor(req.params.id);
+        if (!author) {
+            return sendError(res, 404, "Author not found", `No author found with id or name: ${req.params.id}`, {
+                suggestion: "Browse all authors at /authors"
+            });
+        }
+
+        const books = (booksByAuthor().get(author.id) || [])
+            .map((isbn) => {
+                const { reviews, ...book } = withRatingSummary(db.books.get(isbn));
+                return { isbn, ...book };
+            })
+            // Books without a year go last
+            .sort((a, b) => {
+                if (a.publicationYear === null || b.publicationYear === null) {
+                    return (a.publicationYear === null) - (b.publicationYear === null);
+                }
+                return a.publicationYear - b.publicationYear;
+            });
+
+        return res.status(200).json({
+            ...author,
+            bookCount: books.length,
+            books,
+            retrievedAt: new Date().toISOString()
+        });
+    } catch (error) {
+        console.error(`Error retrieving author ${req.params.id}:`, error);
+        return sendServerError(res, "Failed to retrieve author. Please try again later.");
+    }
+});
+
+module.exports.publicAuthors = public_author_routes;
+module.exports.getNameIndex = getNameIndex;
+module.exports.findAuthor = findAuthor;
+module.exports.ensureAuthors = ensureAuthors;
+module.exports.booksByAuthor = booksByAuthor;
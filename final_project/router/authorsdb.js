@@ -0,0 +1,48 @@
+// Authors of the initial catalogue (see lib/authors.js), keyed by id.
+// Years before the common era are negative.
+let authors = {
+      "chinua-achebe": {
+            "name": "Chinua Achebe",
+            "aliases": ["Albert Chinualumogu Achebe"],
+            "birthYear": 1930,
+            "deathYear": 2013,
+            "bio": "Nigerian novelist, poet and critic whose first novel, Things Fall Apart, is among the most widely read books in modern African literature."
+      },
+      "hans-christian-andersen": {
+            "name": "Hans Christian Andersen",
+            "aliases": ["H. C. Andersen"],
+            "birthYear": 1805,
+            "deathYear": 1875,
+            "bio": "Danish author best remembered for his literary fairy tales."
+      },
+      "dante-alighieri": {
+            "name": "Dante Alighieri",
+            "aliases": ["Dante", "Durante degli Alighieri"],
+            "birthYear": 1265,
+            "deathYear": 1321,
+            "bio": "Florentine poet and writer of the Divine Comedy, which helped establish Tuscan as the literary language of Italy."
+      },
+      "jane-austen": {
+            "name": "Jane Austen",
+            "aliases": [],
+            "birthYear": 1775,
+            "deathYear": 1817,
+            "bio": "English novelist known for her ironic novels of manners about the landed gentry."
+      },
+      "honore-de-balzac": {
+            "name": "Honoré de Balzac",
+            "aliases": ["Balzac"],
+            "birthYear": 1799,
+            "deathYear": 1850,
+            "bio": "French novelist and playwright whose sequence of novels, La Comédie humaine, portrays French society after the fall of Napoleon."
+      },
+      "samuel-beckett": {
+            "name": "Samuel Beckett",
+            "aliases": [],
+            "birthYear": 1906,
+            "deathYear": 1989,
+            "bio": "Irish novelist, playwright and poet who wrote in both English and French; awarded the Nobel Prize in Literature in 1969."
+      }
+}
+
+module.exports=authors;
@@ -1,14 +1,136 @@
+// Initial catalogue, book schema version 2 (see lib/bookSchema.js).
+// Traditional and anonymous works have no authors.
 let books = {
-      1: {"author": "Chinua Achebe","title": "Things Fall Apart", "reviews": {} },
-      2: {"author": "Hans Christian Andersen","title": "Fairy tales", "reviews": {} },
-      3: {"author": "Dante Alighieri","title": "The Divine Comedy", "reviews": {} },
-      4: {"author": "Unknown","title": "The Epic Of Gilgamesh", "reviews": {} },
-      5: {"author": "Unknown","title": "The Book Of Job", "reviews": {} },
-      6: {"author": "Unknown","title": "One Thousand and One Nights", "reviews": {} },
-      7: {"author": "Unknown","title": "Nj\u00e1l's Saga", "reviews": {} },
-      8: {"author": "Jane Austen","title": "Pride and Prejudice", "reviews": {} },
-      9: {"author": "Honor\u00e9 de Balzac","title": "Le P\u00e8re Goriot", "reviews": {} },
-      10: {"author": "Samuel Beckett","title": "Molloy, Malone Dies, The Unnamable, the trilogy", "reviews": {} }
+      1: {
+            "title": "Things Fall Apart",
+            "authors": ["Chinua Achebe"],
+            "genres": ["Fiction", "Literary fiction"],
+            "subjects": ["Nigeria", "Igbo people", "Colonialism"],
+            "publicationYear": 1958,
+            "language": "en",
+            "publisher": "William Heinemann",
+            "pageCount": null,
+            "description": "Okonkwo, a proud Igbo warrior, sees his village of Umuofia change for ever with the arrival of British colonial rule and Christian missionaries.",
+            "coverUrl": null,
+            "reviews": {}
+      },
+      2: {
+            "title": "Fairy tales",
+            "authors": ["Hans Christian Andersen"],
+            "genres": ["Fairy tales", "Children's literature"],
+            "subjects": ["Fairy tales"],
+            "publicationYear": 1835,
+            "language": "da",
+            "publisher": "C. A. Reitzel",
+            "pageCount": null,
+            "description": "Andersen's literary fairy tales, among them The Little Mermaid, The Ugly Duckling and The Snow Queen.",
+            "coverUrl": null,
+            "reviews": {}
+      },
+      3: {
+            "title": "The Divine Comedy",
+            "authors": ["Dante Alighieri"],
+            "genres": ["Poetry", "Epic poetry"],
+            "subjects": ["Afterlife", "Hell", "Purgatory", "Paradise"],
+            "publicationYear": 1320,
+            "language": "it",
+            "publisher": null,
+            "pageCount": null,
+            "description": "Dante's journey through Hell, Purgatory and Paradise, guided by Virgil and then Beatrice.",
+            "coverUrl": null,
+            "reviews": {}
+      },
+      4: {
+            "title": "The Epic Of Gilgamesh",
+            "authors": [],
+            "genres": ["Poetry", "Epic poetry"],
+            "subjects": ["Mesopotamia", "Mythology", "Mortality"],
+            "publicationYear": -1200,
+            "language": "akk",
+            "publisher": null,
+            "pageCount": null,
+            "description": "The Mesopotamian epic of Gilgamesh, king of Uruk, his friendship with Enkidu and his search for immortality.",
+            "coverUrl": null,
+            "reviews": {}
+      },
+      5: {
+            "title": "The Book Of Job",
+            "authors": [],
+            "genres": ["Scripture", "Wisdom literature"],
+            "subjects": ["Suffering", "Theodicy"],
+            "publicationYear": null,
+            "language": "he",
+            "publisher": null,
+            "pageCount": null,
+            "description": "The biblical book in which the righteous Job loses everything and questions why God lets the innocent suffer.",
+            "coverUrl": null,
+            "reviews": {}
+      },
+      6: {
+            "title": "One Thousand and One Nights",
+            "authors": [],
+            "genres": ["Folklore", "Frame story"],
+            "subjects": ["Middle East", "Storytelling"],
+            "publicationYear": null,
+            "language": "ar",
+            "publisher": null,
+            "pageCount": null,
+            "description": "Scheherazade tells the king a new story every night to postpone her execution.",
+            "coverUrl": null,
+            "reviews": {}
+      },
+      7: {
+            "title": "Njál's Saga",
+            "authors": [],
+            "genres": ["Saga"],
+            "subjects": ["Iceland", "Blood feuds", "Law"],
+            "publicationYear": 1280,
+            "language": "non",
+            "publisher": null,
+            "pageCount": null,
+            "description": "An Icelandic saga of a fifty-year blood feud and of the wise lawyer Njáll Þorgeirsson.",
+            "coverUrl": null,
+            "reviews": {}
+      },
+      8: {
+            "title": "Pride and Prejudice",
+            "authors": ["Jane Austen"],
+            "genres": ["Fiction", "Romance", "Novel of manners"],
+            "subjects": ["England", "Marriage", "Social class"],
+            "publicationYear": 1813,
+            "language": "en",
+            "publisher": "T. Egerton",
+            "pageCount": null,
+            "description": "Elizabeth Bennet and Fitzwilliam Darcy overcome his pride and her prejudice.",
+            "coverUrl": null,
+            "reviews": {}
+      },
+      9: {
+            "title": "Le Père Goriot",
+            "authors": ["Honoré de Balzac"],
+            "genres": ["Fiction", "Realism"],
+            "subjects": ["Paris", "Social class", "Fathers and daughters"],
+            "publicationYear": 1835,
+            "language": "fr",
+            "publisher": null,
+            "pageCount": null,
+            "description": "In a Paris boarding house, old Goriot ruins himself for his daughters while young Rastignac learns the price of social ambition.",
+            "coverUrl": null,
+            "reviews": {}
+      },
+      10: {
+            "title": "Molloy, Malone Dies, The Unnamable, the trilogy",
+            "authors": ["Samuel Beckett"],
+            "genres": ["Fiction", "Modernism"],
+            "subjects": ["Identity", "Language"],
+            "publicationYear": 1959,
+            "language": "en",
+            "publisher": "Grove Press",
+            "pageCount": null,
+            "description": "Beckett's three novels in one volume, each a monologue further stripped of plot and certainty.",
+            "coverUrl": null,
+            "reviews": {}
+      }
 }
 
 module.exports=books;
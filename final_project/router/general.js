@@ -14,15 +14,30 @@
  */
 
 const express = require('express');
-const axios = require('axios');
-let books = require("./booksdb.js");
+const config = require('../config.js');
 let isValid = require("./auth_users.js").isValid;
-let users = require("./auth_users.js").users;
+const { findUserByEmail } = require("./auth_users.js");
+const db = require('../storage').getStore();
+const { hashPassword } = require('../auth/credentials.js');
+const { DEFAULT_ROLE } = require('../auth/roles.js');
+const { checkNewPassword, SQL_INJECTION_PATTERNS } = require('../auth/passwordPolicy.js');
+const { createPasswordResetToken, consumePasswordResetToken, revokePasswordResetToken, revokePasswordResets } = require('../auth/passwordReset.js');
+const { revokeUserTokenSessions } = require('../auth/tokens.js');
+const { clearFailedLogins } = require('../auth/lockout.js');
+const { normalizeEmail, checkEmail } = require('../lib/email.js');
+const { getMailer } = require('../mail');
+const { checkIsbnFormat, parseIsbn, findBookKey } = require('../lib/isbn.js');
+const { REVIEW_SORT_FIELDS, summarizeRatings, withRatingSummary, toPublicReview, parseReviewSort, sortReviews, listPublicReviews, collectReviews } = require('../lib/reviews.js');
+const { validateListQuery, validatePageQuery, applyListQuery, setPaginationHeaders, filterBooks, checkSearchTerm } = require('../lib/listing.js');
+const { search } = require('../lib/search.js');
+const { FORMATS } = require('../lib/catalogueFormats.js');
+const { exportBook, exportCatalogue } = require('../catalogue');
+const { nameKey, authorNameKeys, buildNameIndex, bookAuthorIds, matchAuthors } = require('../lib/authors.js');
+const { getUpstreamClient, forwardedQuery } = require('../upstream');
+const { rateLimit } = require('../rateLimit');
+
 const public_users = express.Router();
 
-// Configuration: Server URL for async requests
-// Uses environment variables for flexibility, defaults to localhost:5000
-const URL = `http://${process.env.HOST || 'localhost'}:${process.env.PORT || 5000}`;
 
 /**
  * ============================================
@@ -91,27 +106,15 @@ const validateRegistration = (req, res, next) => {
             });
         }
         
-        // Validate password strength
-        if (password.length < 6) {
-            return res.status(400).json({ 
-                error: "Weak password",
-                message: "Password must be at least 6 characters long"
-            });
-        }
-        
-        // EDGE CASE: Check for common insecure passwords (basic check)
-        const commonPasswords = ['password', '123456', 'qwerty', 'letmein', 'welcome'];
-        if (commonPasswords.includes(password.toLowerCase())) {
-            return res.status(400).json({ 
-                error: "Insecure password",
-                message: "Please choose a stronger password"
-            });
+        // Strength and character checks, shared with password changes
+        const passwordError = checkNewPassword(password);
+        if (passwordError) {
+            return res.status(400).json(passwordError);
         }
         
         // EDGE CASE: Check for SQL injection patterns (basic)
-        const sqlInjectionPatterns = [';', '--', '/*', '*/', 'xp_'];
-        for (const pattern of sqlInjectionPatterns) {
-            if (trimmedUsername.includes(pattern) || password.includes(pattern)) {
+        for (const pattern of SQL_INJECTION_PATTERNS) {
+            if (trimmedUsername.includes(pattern)) {
                 return res.status(400).json({ 
                     error: "Invalid input",
                     message: "Input contains potentially harmful characters"
@@ -119,6 +122,15 @@ const validateRegistration = (req, res, next) => {
             }
         }
         
+        // Optional email address, needed to recover the account later
+        if (req.body.email !== undefined && req.body.email !== null && req.body.email !== '') {
+            const emailError = checkEmail(req.body.email);
+            if (emailError) {
+                return res.status(400).json(emailError);
+            }
+            req.email = normalizeEmail(req.body.email);
+        }
+        
         // Attach trimmed username to request for use in route handler
         req.trimmedUsername = trimmedUsername;
         next();
@@ -133,7 +145,8 @@ const validateRegistration = (req, res, next) => {
 
 /**
  * Validates ISBN parameter from route
- * Ensures ISBN is provided and follows basic ISBN format rules
+ * Accepts ISBN-10 and ISBN-13 (check digits are verified) as well as the
+ * numeric catalogue ids of the original catalogue
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next middleware function
@@ -150,36 +163,14 @@ const validateIsbn = (req, res, next) => {
             });
         }
         
-        // Convert to string if it's a number
-        const isbnStr = String(isbn).trim();
-        
-        // EDGE CASE: Check for empty string after trimming
-        if (isbnStr === '') {
-            return res.status(400).json({ 
-                error: "Empty ISBN",
-                message: "ISBN cannot be empty or whitespace only"
-            });
-        }
-        
-        // EDGE CASE: Check for reasonable ISBN length
-        // ISBN-10: 10 digits, ISBN-13: 13 digits, allow for dashes
-        if (isbnStr.length > 17) { // ISBN-13 with dashes can be up to 17 chars
-            return res.status(400).json({ 
-                error: "Invalid ISBN length",
-                message: "ISBN is too long"
-            });
-        }
-        
-        // Basic ISBN format validation (allowing digits and dashes)
-        if (!/^[0-9\-]+$/.test(isbnStr)) {
-            return res.status(400).json({ 
-                error: "Invalid ISBN format",
-                message: "ISBN must contain only digits and hyphens"
-            });
+        // Empty, too long, non-numeric or bad check digit (shared with the admin routes)
+        const formatError = checkIsbnFormat(isbn);
+        if (formatError) {
+            return res.status(400).json(formatError);
         }
         
         // Attach cleaned ISBN to request
-        req.cleanedIsbn = isbnStr;
+        req.cleanedIsbn = String(isbn).trim();
         next();
     } catch (error) {
         console.error('ISBN validation error:', error);
@@ -191,7 +182,7 @@ const validateIsbn = (req, res, next) => {
 };
 
 /**
- * Validates search parameters (author or title)
+ * Validates search parameters (author or title route parameter, or the q query parameter)
  * Checks for presence, type, and reasonable length of search terms
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
@@ -199,56 +190,28 @@ const validateIsbn = (req, res, next) => {
  */
 const validateSearchParams = (req, res, next) => {
     try {
-        // Determine which parameter we're validating (author or title)
-        const paramName = req.params.author ? 'author' : 'title';
-        const param = req.params[paramName];
+        // Determine which parameter we're validating (author, title or q)
+        const paramName = req.params.author !== undefined ? 'author'
+            : req.params.title !== undefined ? 'title'
+            : 'q';
+        const param = paramName === 'q' ? req.query.q : req.params[paramName];
         
         // EDGE CASE: Check if parameter is missing
         if (param === undefined) {
             return res.status(400).json({ 
                 error: "Missing search parameter",
-                message: `${paramName} parameter is required in the URL`
-            });
-        }
-        
-        // Convert to string if it's a number
-        const paramStr = String(param).trim();
-        
-        // EDGE CASE: Check for empty string after trimming
-        if (paramStr === '') {
-            return res.status(400).json({ 
-                error: "Empty search term",
-                message: `${paramName} cannot be empty or whitespace only`
+                message: paramName === 'q'
+                    ? "q query parameter is required, e.g. /search?q=austen"
+                    : `${paramName} parameter is required in the URL`
             });
         }
         
-        // EDGE CASE: Check for minimum search term length
-        if (paramStr.length < 2) {
-            return res.status(400).json({ 
-                error: "Search term too short",
-                message: `${paramName} must be at least 2 characters long`
-            });
-        }
-        
-        // Prevent extremely long search terms (DoS protection)
-        if (paramStr.length > 100) {
-            return res.status(400).json({ 
-                error: "Search term too long",
-                message: `${paramName} must be less than 100 characters`
-            });
-        }
-        
-        // EDGE CASE: Check for potentially malicious patterns
-        const maliciousPatterns = ['<script>', 'javascript:', 'onload=', 'onerror='];
-        const lowerParam = paramStr.toLowerCase();
-        for (const pattern of maliciousPatterns) {
-            if (lowerParam.includes(pattern)) {
-                return res.status(400).json({ 
-                    error: "Invalid search term",
-                    message: "Search term contains potentially harmful content"
-                });
-            }
+        // Same rules as the free-text list filters (see lib/listing.js)
+        const termError = checkSearchTerm(paramName, param);
+        if (termError) {
+            return res.status(400).json(termError);
         }
+        const paramStr = param.trim();
         
         // Attach cleaned parameter to request
         req.cleanedParam = paramStr;
@@ -263,53 +226,82 @@ const validateSearchParams = (req, res, next) => {
     }
 };
 
+/**
+ * Finds what stops a new account from being created
+ * @param {string} username - Requested username
+ * @param {string|null} email - Normalized email address, if one was given
+ * @returns {Object|null} - { status, body } of the error response, or null if the account can be created
+ */
+const findRegistrationConflict = (username, email) => {
+    if (isValid(username)) {
+        return {
+            status: 409,
+            body: {
+                error: "Username already exists",
+                message: `Username '${username}' is already taken`,
+                suggestion: "Please choose a different username"
+            }
+        };
+    }
+    
+    // EDGE CASE: Password reset messages must reach exactly one account
+    if (email && findUserByEmail(email)) {
+        return {
+            status: 409,
+            body: {
+                error: "Email already in use",
+                message: "Another account already uses this email address"
+            }
+        };
+    }
+    
+    // EDGE CASE: Check maximum users limit (prevent memory exhaustion)
+    if (db.users.count() >= config.limits.maxUsers) {
+        return {
+            status: 503,
+            body: {
+                error: "Service temporarily unavailable",
+                message: "User registration is currently at capacity"
+            }
+        };
+    }
+    return null;
+};
+
 /**
  * ============================================
  * USER REGISTRATION ENDPOINT
  * ============================================
  * Registers new users with validation and duplicate checking
  */
-public_users.post("/register", validateRegistration, (req, res) => {
+public_users.post("/register", rateLimit('register'), validateRegistration, async (req, res) => {
     try {
         const { password } = req.body;
         const trimmedUsername = req.trimmedUsername;
         
-        // EDGE CASE: Check if users array exists and is valid
-        if (!Array.isArray(users)) {
-            console.error('Users array is not properly initialized');
-            return res.status(500).json({ 
-                error: "Server configuration error",
-                message: "User database is not available"
-            });
-        }
+        // Users are keyed case-insensitively
+        const userKey = trimmedUsername.toLowerCase();
         
-        // Check for duplicate username (case-insensitive comparison)
-        const userExists = users.some(u => 
-            u.username && u.username.toLowerCase() === trimmedUsername.toLowerCase()
-        );
-        
-        if (userExists) {
-            return res.status(409).json({ 
-                error: "Username already exists",
-                message: `Username '${trimmedUsername}' is already taken`,
-                suggestion: "Please choose a different username"
-            });
+        const conflict = findRegistrationConflict(trimmedUsername, req.email);
+        if (conflict) {
+            return res.status(conflict.status).json(conflict.body);
         }
         
-        // EDGE CASE: Check maximum users limit (prevent memory exhaustion)
-        const MAX_USERS = 10000;
-        if (users.length >= MAX_USERS) {
-            return res.status(503).json({ 
-                error: "Service temporarily unavailable",
-                message: "User registration is currently at capacity"
-            });
+        // Salted scrypt hash, never the password itself
+        const passwordHash = await hashPassword(password);
+        
+        // EDGE CASE: A concurrent registration may have taken the username or email while
+        // the password was hashed; checking again right before the write leaves no gap
+        const lateConflict = findRegistrationConflict(trimmedUsername, req.email);
+        if (lateConflict) {
+            return res.status(lateConflict.status).json(lateConflict.body);
         }
         
-        // Add new user to the users array
-        // NOTE: In production, password should be hashed before storing!
-        users.push({
+        db.users.set(userKey, {
             "username": trimmedUsername,
-            "password": password,
+            "passwordHash": passwordHash,
+            "role": DEFAULT_ROLE,
+            ...(req.email && { "email": req.email }),
             "createdAt": new Date().toISOString() // Track registration time
         });
         
@@ -326,17 +318,148 @@ public_users.post("/register", validateRegistration, (req, res) => {
     } catch (error) {
         console.error('Registration error:', error);
         
-        // EDGE CASE: Handle specific database/array errors
-        if (error instanceof TypeError && error.message.includes('users.push')) {
-            return res.status(500).json({ 
-                error: "Database error",
-                message: "Failed to save user data"
+        res.status(500).json({ 
+            error: "Internal server error",
+            message: "Failed to register user. Please try again later.",
+            requestId: Date.now().toString(36)
+        });
+    }
+});
+
+/**
+ * ============================================
+ * PASSWORD RESET ENDPOINTS
+ * ============================================
+ * Forgotten passwords are reset with a one-time token sent to the
+ * account's email address (see auth/passwordReset.js and mail/)
+ */
+
+const FORGOT_PASSWORD_RESPONSE = {
+    message: "If an account with that username or email address exists and has an email address, a reset message has been sent."
+};
+
+/**
+ * Builds the password reset message
+ * @param {Object} user - Stored user record
+ * @param {Object} reset - { token, expiresAt } from createPasswordResetToken
+ * @returns {Object} - { to, subject, text }
+ */
+const passwordResetMessage = (user, reset) => ({
+    to: user.email,
+    subject: "Reset your expressBookReviews password",
+    text: [
+        `Hello ${user.displayName || user.username},`,
+        '',
+        'Someone (hopefully you) asked to reset the password of your expressBookReviews account.',
+        'To choose a new password, send this token to POST /password/reset together with your new password:',
+        '',
+        `    ${reset.token}`,
+        '',
+        `The token can be used once and expires at ${reset.expiresAt}.`,
+        'If you did not ask for this, ignore this message; your password stays the same.'
+    ].join('\n')
+});
+
+/**
+ * POST /password/forgot - Request a password reset token
+ * Body: { username } or { email }. Always answers 202 with the same message,
+ * so the endpoint cannot be used to find out which accounts exist.
+ */
+public_users.post("/password/forgot", rateLimit('passwordReset'), (req, res) => {
+    try {
+        const { username, email } = req.body || {};
+        if ((typeof username !== 'string' || username.trim() === '') && (typeof email !== 'string' || email.trim() === '')) {
+            return res.status(400).json({ 
+                error: "Missing required fields",
+                message: "Provide your username or email address"
             });
         }
         
+        const user = typeof email === 'string' && email.trim() !== ''
+            ? findUserByEmail(email)
+            : db.users.get(username.trim().toLowerCase());
+        
+        // EDGE CASE: Accounts without an email address cannot be recovered this way
+        if (user && user.email) {
+            const reset = createPasswordResetToken(user.username);
+            // Not awaited: a slow mail server must not reveal that the account exists
+            getMailer().send(passwordResetMessage(user, reset)).catch((error) => {
+                console.error(`Failed to send password reset message to ${user.username}:`, error.message);
+                // Only this token: a newer request may already have issued one that did arrive
+                revokePasswordResetToken(reset.id);
+            });
+        }
+        
+        res.status(202).json(FORGOT_PASSWORD_RESPONSE);
+    } catch (error) {
+        console.error('Password reset request error:', error);
+        
         res.status(500).json({ 
             error: "Internal server error",
-            message: "Failed to register user. Please try again later.",
+            message: "Failed to process the password reset request. Please try again later.",
+            requestId: Date.now().toString(36)
+        });
+    }
+});
+
+/**
+ * POST /password/reset - Set a new password with a reset token
+ * Body: { token, newPassword }. Every login of the account is revoked.
+ */
+public_users.post("/password/reset", rateLimit('passwordReset'), async (req, res) => {
+    try {
+        const { token, newPassword } = req.body || {};
+        if (typeof token !== 'string' || token === '' || newPassword === undefined) {
+            return res.status(400).json({ 
+                error: "Missing required fields",
+                message: "Both token and newPassword are required"
+            });
+        }
+        
+        // Checked before the token is consumed, so a rejected password does not burn the token
+        const passwordError = checkNewPassword(newPassword);
+        if (passwordError) {
+            return res.status(400).json(passwordError);
+        }
+        
+        const username = consumePasswordResetToken(token);
+        const user = db.users.get(username.toLowerCase());
+        // EDGE CASE: Account deleted after the token was issued
+        if (!user) {
+            return res.status(400).json({ 
+                error: "Invalid token",
+                message: "Reset token is invalid or has already been used"
+            });
+        }
+        
+        const { password: _legacy, ...account } = user;
+        db.users.set(username.toLowerCase(), {
+            ...account,
+            passwordHash: await hashPassword(newPassword),
+            passwordChangedAt: new Date().toISOString()
+        });
+        revokePasswordResets(username);
+        clearFailedLogins(username);
+        const revokedSessions = revokeUserTokenSessions(username);
+        
+        console.log(`Password reset for ${username}`);
+        res.status(200).json({ 
+            message: "Password has been reset. Please log in with your new password.",
+            username: username,
+            revokedSessions: revokedSessions
+        });
+    } catch (error) {
+        if (error.isTokenError) {
+            return res.status(400).json({ 
+                error: "Invalid token",
+                message: error.message
+            });
+        }
+        console.error('Password reset error:', error);
+        
+        res.status(500).json({ 
+            error: "Internal server error",
+            message: "Failed to reset password. Please try again later.",
             requestId: Date.now().toString(36)
         });
     }
@@ -346,14 +469,52 @@ public_users.post("/register", validateRegistration, (req, res) => {
  * ============================================
  * SYNCHRONOUS BOOK RETRIEVAL ENDPOINTS
  * ============================================
- * These endpoints directly query the in-memory books database
+ * These endpoints query the books collection of the storage layer
+ */
+
+/**
+ * Resolves the author filter of a book listing to author ids (req.authorFilter)
+ * Matched through author records like /author/:author (exact or partial name
+ * or alias); req.authorFilter is null when the parameter is absent.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
  */
+const validateAuthorFilter = (req, res, next) => {
+    const { author: rawAuthor } = req.query;
+    req.authorFilter = null;
+    if (rawAuthor === undefined || rawAuthor === '') {
+        return next();
+    }
+    const termError = checkSearchTerm('author', rawAuthor);
+    if (termError) {
+        return res.status(400).json({ ...termError, details: [{ parameter: 'author', message: termError.message }] });
+    }
+    const { exact, partial } = matchAuthors(db.collection('authors').all(), nameKey(rawAuthor));
+    req.authorFilter = { name: rawAuthor.trim(), ids: new Set([...exact, ...partial]) };
+    next();
+};
+
+/**
+ * Keeps the books by one of the authors in req.authorFilter
+ * @param {Object[]} books - Books as listed by the endpoint
+ * @param {Object|null} authorFilter - From validateAuthorFilter
+ * @param {Map<string, string>} nameIndex - From buildNameIndex
+ * @returns {Object[]} - Matching books (all of them without an author filter)
+ */
+const filterByAuthor = (books, authorFilter, nameIndex) => (authorFilter
+    ? books.filter(book => bookAuthorIds(book, nameIndex).some(id => authorFilter.ids.has(id)))
+    : books);
 
 /**
  * GET / - Retrieve all books in the shop
+ * Supports page, limit, sort, fields, the metadata filters (see lib/listing.js)
+ * and author, as on GET /books
  */
-public_users.get('/', function (req, res) {
+public_users.get('/', validateListQuery, validateAuthorFilter, function (req, res) {
     try {
+        const books = db.books.all();
+        
         // EDGE CASE: Check if books database is loaded
         if (!books || typeof books !== 'object') {
             console.error('Books database is not properly loaded');
@@ -370,7 +531,8 @@ public_users.get('/', function (req, res) {
             return res.status(200).json({ 
                 message: "The bookstore is currently empty",
                 count: 0,
-                books: {}
+                total: 0,
+                books: []
             });
         }
         
@@ -386,10 +548,21 @@ public_users.get('/', function (req, res) {
             });
         }
         
-        // Return all books with count
+        // Attach each book's aggregate rating, then sort/paginate/select fields
+        const bookList = Object.keys(books).map(key => ({
+            isbn: key,
+            ...withRatingSummary(books[key])
+        }));
+        const byAuthor = req.authorFilter
+            ? filterByAuthor(bookList, req.authorFilter, buildNameIndex(db.collection('authors').all()))
+            : bookList;
+        const { books: pageBooks, pagination } = applyListQuery(byAuthor, req.listQuery);
+        setPaginationHeaders(req, res, pagination);
+        
         return res.status(200).json({
-            count: bookCount,
-            books: books,
+            count: pageBooks.length,
+            ...pagination,
+            books: pageBooks,
             retrievedAt: new Date().toISOString()
         });
     } catch (error) {
@@ -411,12 +584,105 @@ public_users.get('/', function (req, res) {
     }
 });
 
+/**
+ * Counts how often each value occurs among the matching books
+ * @param {Object[]} books - Matching books
+ * @param {Function} valuesOf - book => values it is counted under
+ * @returns {Array<[string, number]>} - [value, count], most frequent first, then by value
+ */
+const countFacet = (books, valuesOf) => {
+    const counts = new Map();
+    for (const book of books) {
+        for (const value of new Set(valuesOf(book))) {
+            counts.set(value, (counts.get(value) || 0) + 1);
+        }
+    }
+    return [...counts].sort((a, b) => b[1] - a[1] || String(a[0]).localeCompare(String(b[0])));
+};
+
+/**
+ * Builds the facet counts of a faceted listing
+ * Counted over every matching book, not just the current page.
+ * @param {Object[]} books - Matching books
+ * @param {Object} authors - Every author record, keyed by id
+ * @param {Map<string, string>} nameIndex - From buildNameIndex
+ * @returns {Object} - { genre, author, decade }
+ */
+const buildFacets = (books, authors, nameIndex) => ({
+    genre: countFacet(books, book => book.genres || [])
+        .map(([value, count]) => ({ value, count })),
+    author: countFacet(books, book => bookAuthorIds(book, nameIndex))
+        .map(([id, count]) => ({ id, name: authors[id].name, count })),
+    // Books without a publication year are not counted; BCE decades are negative
+    decade: countFacet(books, book => (Number.isInteger(book.publicationYear) ? [Math.floor(book.publicationYear / 10) * 10] : []))
+        .sort((a, b) => a[0] - b[0])
+        .map(([decade, count]) => ({ decade, label: decade < 0 ? `${-decade}s BCE` : `${decade}s`, count }))
+});
+
+/**
+ * GET /books - Faceted book listing
+ * Takes the metadata filters of lib/listing.js (title, genre, year_from,
+ * year_to, min_rating, has_reviews, ...) and author, which is resolved
+ * through author records like /author/:author (exact or partial name or
+ * alias). All filters must match. The response carries facet counts per
+ * genre, author and decade over every matching book, so clients can
+ * narrow the search further.
+ */
+public_users.get('/books', rateLimit('search'), validateListQuery, validateAuthorFilter, function (req, res) {
+    try {
+        const books = db.books.all();
+        const authors = db.collection('authors').all();
+        const nameIndex = buildNameIndex(authors);
+        
+        const { filters } = req.listQuery;
+        const matching = filterByAuthor(filterBooks(
+            Object.keys(books).map(key => ({ isbn: key, ...withRatingSummary(books[key]) })),
+            filters
+        ), req.authorFilter, nameIndex);
+        
+        const facets = buildFacets(matching, authors, nameIndex);
+        const { books: pageBooks, pagination } = applyListQuery(matching, { ...req.listQuery, filters: {} });
+        setPaginationHeaders(req, res, pagination);
+        
+        return res.status(200).json({
+            count: pageBooks.length,
+            ...pagination,
+            filters: {
+                ...(req.authorFilter && { author: req.authorFilter.name }),
+                ...filters
+            },
+            facets,
+            books: pageBooks,
+            retrievedAt: new Date().toISOString()
+        });
+    } catch (error) {
+        console.error('Error filtering books:', error);
+        res.status(500).json({ 
+            error: "Internal server error",
+            message: "Failed to filter books. Please try again later.",
+            requestId: Date.now().toString(36)
+        });
+    }
+});
+
 /**
  * GET /isbn/:isbn - Retrieve book details by ISBN
+ * With ?format= (any format of GET /export, e.g. bibtex or marcxml) the book
+ * is sent as a file in that format instead.
  */
 public_users.get('/isbn/:isbn', validateIsbn, function (req, res) {
     try {
         const isbn = req.cleanedIsbn;
+        const { format = 'json' } = req.query;
+        
+        // EDGE CASE: Unknown or repeated format
+        if (!Object.keys(FORMATS).includes(format)) {
+            return res.status(400).json({ 
+                error: "Invalid query parameter",
+                message: `format must be one of: ${Object.keys(FORMATS).join(', ')}`
+            });
+        }
+        const books = db.books.all();
         
         // EDGE CASE: Check if books database exists
         if (!books || typeof books !== 'object') {
@@ -426,14 +692,9 @@ public_users.get('/isbn/:isbn', validateIsbn, function (req, res) {
             });
         }
         
-        // Try to find book by ISBN (handle both with and without dashes)
-        let book = books[isbn];
-        
-        // EDGE CASE: Try alternative ISBN formats (without dashes)
-        if (!book) {
-            const isbnWithoutDashes = isbn.replace(/-/g, '');
-            book = books[isbnWithoutDashes];
-        }
+        // Find the book by ISBN-13, ISBN-10 (with or without dashes) or catalogue id
+        const bookKey = findBookKey(db.books, isbn);
+        const book = bookKey ? books[bookKey] : undefined;
         
         // EDGE CASE: Check if book exists with the given ISBN
         if (!book) {
@@ -467,10 +728,19 @@ public_users.get('/isbn/:isbn', validateIsbn, function (req, res) {
             });
         }
         
-        // Return book data with ISBN included in response
+        if (format !== 'json') {
+            return res.status(200)
+                .set('Content-Type', FORMATS[format].contentType)
+                .send(exportBook(format, bookKey, book));
+        }
+        
+        // Return book data with the stored key and both ISBN forms
+        const { isbn10, isbn13 } = parseIsbn(bookKey);
         return res.status(200).json({
-            isbn: isbn,
-            ...book,
+            isbn: bookKey,
+            isbn10: isbn10,
+            isbn13: isbn13,
+            ...withRatingSummary(book),
             retrievedAt: new Date().toISOString()
         });
     } catch (error) {
@@ -494,10 +764,15 @@ public_users.get('/isbn/:isbn', validateIsbn, function (req, res) {
 
 /**
  * GET /author/:author - Retrieve books by author
+ * The name is looked up among author records (names and aliases, ignoring
+ * case and diacritics, see lib/authors.js): books of an author known by
+ * exactly that name come first, then those of authors whose name contains
+ * it, unless another order is requested with sort.
  */
-public_users.get('/author/:author', validateSearchParams, function (req, res) {
+public_users.get('/author/:author', rateLimit('search'), validateSearchParams, validateListQuery, function (req, res) {
     try {
-        const author = req.cleanedParam.toLowerCase();
+        const wanted = nameKey(req.cleanedParam);
+        const books = db.books.all();
         
         // EDGE CASE: Check if books database exists
         if (!books || typeof books !== 'object') {
@@ -507,64 +782,67 @@ public_users.get('/author/:author', validateSearchParams, function (req, res) {
             });
         }
         
+        // Resolve the name to author records before looking at any book
+        const authors = db.collection('authors').all();
+        const { exact: exactAuthors, partial: partialAuthors } = matchAuthors(authors, wanted);
+        
         let filteredBooks = [];
         let exactMatches = [];
         let partialMatches = [];
+        const nameIndex = buildNameIndex(authors);
         
-        // Iterate through all books to find matches
+        // A book matches through any of its authors; anonymous works never match
         for (const key in books) {
             const book = books[key];
             
             // EDGE CASE: Skip invalid book entries
-            if (!book || typeof book !== 'object' || !book.author) {
+            if (!book || typeof book !== 'object') {
                 console.warn(`Skipping invalid book entry for key: ${key}`);
                 continue;
             }
             
-            const bookAuth = book.author.toLowerCase();
-            
-            // Check for exact match (case-insensitive)
-            if (bookAuth === author) {
+            const ids = bookAuthorIds(book, nameIndex);
+            if (ids.some(id => exactAuthors.has(id))) {
                 exactMatches.push({
                     isbn: key,
                     matchType: 'exact',
-                    ...book
+                    ...withRatingSummary(book)
                 });
-            }
-            // Check for partial match (author name contains search term)
-            else if (bookAuth.includes(author)) {
+            } else if (ids.some(id => partialAuthors.has(id))) {
                 partialMatches.push({
                     isbn: key,
                     matchType: 'partial',
-                    ...book
+                    ...withRatingSummary(book)
                 });
             }
         }
         
         // Combine exact matches first, then partial matches
         filteredBooks = [...exactMatches, ...partialMatches];
+        const matchedAuthors = [...exactAuthors, ...partialAuthors].map(id => ({
+            id,
+            name: authors[id].name,
+            matchType: exactAuthors.has(id) ? 'exact' : 'partial'
+        }));
         
         // EDGE CASE: Handle case where no books are found
         if (filteredBooks.length === 0) {
-            // Provide suggestions based on similar author names
-            const allAuthors = new Set();
-            for (const key in books) {
-                if (books[key]?.author) {
-                    allAuthors.add(books[key].author.toLowerCase());
-                }
-            }
-            
-            // Find similar author names (Levenshtein distance would be better here)
-            const similarAuthors = Array.from(allAuthors).filter(a => 
-                a.includes(author.substring(0, Math.max(3, Math.floor(author.length / 2))))
-            ).slice(0, 5);
+            // Suggest authors sharing the first part of the name (Levenshtein distance would be better here)
+            const prefix = wanted.substring(0, Math.max(3, Math.floor(wanted.length / 2)));
+            const similarAuthors = Object.values(authors)
+                .filter(record => authorNameKeys(record).some(name => name.includes(prefix)))
+                .map(record => record.name)
+                .slice(0, 5);
             
             const response = { 
                 error: "No books found",
                 message: `No books found by author: ${req.cleanedParam}`,
-                suggestion: "Try a different spelling or browse all books at /"
+                suggestion: "Try a different spelling or browse all authors at /authors"
             };
             
+            if (matchedAuthors.length > 0) {
+                response.matchedAuthors = matchedAuthors;
+            }
             if (similarAuthors.length > 0) {
                 response.suggestedAuthors = similarAuthors;
             }
@@ -572,24 +850,30 @@ public_users.get('/author/:author', validateSearchParams, function (req, res) {
             return res.status(404).json(response);
         }
         
-        // EDGE CASE: Handle very large result sets
-        const MAX_RESULTS = 1000;
-        if (filteredBooks.length > MAX_RESULTS) {
-            console.warn(`Large result set for author search: ${filteredBooks.length} results`);
+        // EDGE CASE: Handle very large result sets (count matches before capping them)
+        const MAX_RESULTS = config.limits.maxSearchResults;
+        const matchCount = filteredBooks.length;
+        if (matchCount > MAX_RESULTS) {
+            console.warn(`Large result set for author search: ${matchCount} results`);
             filteredBooks = filteredBooks.slice(0, MAX_RESULTS);
         }
         
+        const { books: pageBooks, pagination } = applyListQuery(filteredBooks, req.listQuery);
+        setPaginationHeaders(req, res, pagination);
+        
         // Return matching books with metadata
         return res.status(200).json({
-            count: filteredBooks.length,
+            count: pageBooks.length,
+            ...pagination,
             exactMatches: exactMatches.length,
             partialMatches: partialMatches.length,
+            matchedAuthors: matchedAuthors,
             searchTerm: req.cleanedParam,
             searchType: 'author',
-            books: filteredBooks,
+            books: pageBooks,
             retrievedAt: new Date().toISOString(),
-            ...(filteredBooks.length > MAX_RESULTS && {
-                warning: `Displaying first ${MAX_RESULTS} of ${filteredBooks.length} results`
+            ...(matchCount > MAX_RESULTS && {
+                warning: `Only the first ${MAX_RESULTS} of ${matchCount} matches can be paged through`
             })
         });
     } catch (error) {
@@ -613,10 +897,12 @@ public_users.get('/author/:author', validateSearchParams, function (req, res) {
 
 /**
  * GET /title/:title - Retrieve books by title
+ * Ordered by relevance unless another order is requested with sort
  */
-public_users.get('/title/:title', validateSearchParams, function (req, res) {
+public_users.get('/title/:title', rateLimit('search'), validateSearchParams, validateListQuery, function (req, res) {
     try {
         const title = req.cleanedParam.toLowerCase();
+        const books = db.books.all();
         
         // EDGE CASE: Check if books database exists
         if (!books || typeof books !== 'object') {
@@ -649,7 +935,7 @@ public_users.get('/title/:title', validateSearchParams, function (req, res) {
                 filteredBooks.push({
                     isbn: key,
                     relevance: relevanceScore,
-                    ...book
+                    ...withRatingSummary(book)
                 });
             }
         }
@@ -666,22 +952,27 @@ public_users.get('/title/:title', validateSearchParams, function (req, res) {
             });
         }
         
-        // EDGE CASE: Handle very large result sets
-        const MAX_RESULTS = 1000;
-        if (filteredBooks.length > MAX_RESULTS) {
-            console.warn(`Large result set for title search: ${filteredBooks.length} results`);
+        // EDGE CASE: Handle very large result sets (count matches before capping them)
+        const MAX_RESULTS = config.limits.maxSearchResults;
+        const matchCount = filteredBooks.length;
+        if (matchCount > MAX_RESULTS) {
+            console.warn(`Large result set for title search: ${matchCount} results`);
             filteredBooks = filteredBooks.slice(0, MAX_RESULTS);
         }
         
+        const { books: pageBooks, pagination } = applyListQuery(filteredBooks, req.listQuery);
+        setPaginationHeaders(req, res, pagination);
+        
         // Return matching books with metadata
         return res.status(200).json({
-            count: filteredBooks.length,
+            count: pageBooks.length,
+            ...pagination,
             searchTerm: req.cleanedParam,
             searchType: 'title',
-            books: filteredBooks,
+            books: pageBooks,
             retrievedAt: new Date().toISOString(),
-            ...(filteredBooks.length > MAX_RESULTS && {
-                warning: `Displaying first ${MAX_RESULTS} of ${filteredBooks.length} results`
+            ...(matchCount > MAX_RESULTS && {
+                warning: `Only the first ${MAX_RESULTS} of ${matchCount} matches can be paged through`
             })
         });
     } catch (error) {
@@ -695,13 +986,77 @@ public_users.get('/title/:title', validateSearchParams, function (req, res) {
     }
 });
 
+/**
+ * GET /search?q=... - Full-text search over titles, authors and reviews
+ * Ignores diacritics, tolerates typos and ranks by relevance (see lib/search.js).
+ * Supports page, limit, sort, fields and the metadata filters like the other listings.
+ */
+public_users.get('/search', rateLimit('search'), validateSearchParams, validateListQuery, function (req, res) {
+    try {
+        const version = db.books.version();
+        const books = db.books.all();
+        const matches = search(books, req.cleanedParam, version);
+        
+        // EDGE CASE: Handle case where no books are found
+        if (matches.length === 0) {
+            return res.status(404).json({ 
+                error: "No books found",
+                message: `No books match: ${req.cleanedParam}`,
+                suggestion: "Try fewer or different words, or browse all books at /"
+            });
+        }
+        
+        const results = matches.map(match => {
+            const { reviews, ...book } = withRatingSummary(books[match.isbn]);
+            return {
+                isbn: match.isbn,
+                ...book,
+                score: match.score,
+                matchedFields: match.matchedFields,
+                highlights: match.highlights
+            };
+        });
+        
+        const { books: pageBooks, pagination } = applyListQuery(results, req.listQuery);
+        setPaginationHeaders(req, res, pagination);
+        
+        return res.status(200).json({
+            count: pageBooks.length,
+            ...pagination,
+            searchTerm: req.cleanedParam,
+            searchType: 'fulltext',
+            books: pageBooks,
+            retrievedAt: new Date().toISOString()
+        });
+    } catch (error) {
+        console.error(`Error searching books for ${req.cleanedParam}:`, error);
+        
+        res.status(500).json({ 
+            error: "Internal server error",
+            message: "Failed to search books. Please try again later.",
+            requestId: Date.now().toString(36)
+        });
+    }
+});
+
 /**
  * GET /review/:isbn - Retrieve reviews for a specific book
+ * Reviews hidden by moderators are left out. Optional sort: helpful, rating
+ * or date, prefixed with "-" for descending (e.g. sort=-helpful for the
+ * most helpful first); the sorted usernames are also returned as order.
  */
 public_users.get('/review/:isbn', validateIsbn, function (req, res) {
     try {
-        const isbn = req.cleanedIsbn;
-        const book = books[isbn];
+        const sort = parseReviewSort(req.query.sort);
+        if (sort === undefined) {
+            return res.status(400).json({
+                error: "Invalid query parameter",
+                message: `sort must be one of: ${Object.keys(REVIEW_SORT_FIELDS).join(', ')} (prefix with - for descending)`
+            });
+        }
+
+        const isbn = findBookKey(db.books, req.cleanedIsbn) || req.cleanedIsbn;
+        const book = db.books.get(isbn);
         
         // Check if book exists
         if (!book) {
@@ -718,6 +1073,7 @@ public_users.get('/review/:isbn', validateIsbn, function (req, res) {
                 title: book.title || 'Unknown Title',
                 message: "This book has no reviews yet",
                 reviewCount: 0,
+                ...summarizeRatings({}),
                 reviews: {},
                 suggestion: "Be the first to add a review!"
             });
@@ -732,26 +1088,31 @@ public_users.get('/review/:isbn', validateIsbn, function (req, res) {
             });
         }
         
-        const reviewCount = Object.keys(book.reviews).length;
+        const reviews = listPublicReviews(book.reviews, sort);
+        const reviewCount = reviews.length;
         
-        // EDGE CASE: Handle empty reviews object
+        // EDGE CASE: Handle empty reviews object (or only hidden reviews)
         if (reviewCount === 0) {
             return res.status(200).json({
                 isbn: isbn,
                 title: book.title || 'Unknown Title',
                 message: "This book has no reviews yet",
                 reviewCount: 0,
+                ...summarizeRatings({}),
                 reviews: {},
                 suggestion: "Be the first to add a review!"
             });
         }
         
-        // Return reviews with book metadata
+        // Return reviews (rating, title, timestamps, edit history, vote counts) with book metadata
         return res.status(200).json({
             isbn: isbn,
             title: book.title || 'Unknown Title',
             reviewCount: reviewCount,
-            reviews: book.reviews,
+            ...summarizeRatings(book.reviews),
+            reviews: Object.fromEntries(reviews),
+            // JSON object key order is not guaranteed to survive (numeric usernames sort first)
+            ...(sort && { sort: `${sort.descending ? '-' : ''}${sort.field}`, order: reviews.map(([username]) => username) }),
             retrievedAt: new Date().toISOString()
         });
     } catch (error) {
@@ -765,95 +1126,209 @@ public_users.get('/review/:isbn', validateIsbn, function (req, res) {
     }
 });
 
+/**
+ * ============================================
+ * REVIEW LISTS ACROSS THE CATALOGUE
+ * ============================================
+ * Paginated like the book lists, with the rating figures of every matching
+ * review. Each entry of books has the shape of GET /review/:isbn: the book's
+ * isbn and title, and its review keyed by username.
+ */
+
+/**
+ * Sends one page of reviews gathered by collectReviews
+ * @param {Object} req - Express request object (req.listQuery from validatePageQuery)
+ * @param {Object} res - Express response object
+ * @param {Object[]} items - Every matching review, already in order
+ * @param {Object} [extra] - Fields to put at the top of the response
+ */
+const sendReviewPage = (req, res, items, extra = {}) => {
+    const { page, limit } = req.listQuery;
+    const total = items.length;
+    const pagination = { total, page, limit, totalPages: Math.max(1, Math.ceil(total / limit)) };
+    const start = (page - 1) * limit;
+    const pageItems = items.slice(start, start + limit);
+    setPaginationHeaders(req, res, pagination);
+
+    return res.status(200).json({
+        ...extra,
+        reviewCount: total,
+        ...summarizeRatings(items.map(item => item.entry)),
+        count: pageItems.length,
+        ...pagination,
+        books: pageItems.map(item => ({
+            isbn: item.isbn,
+            title: item.bookTitle || 'Unknown Title',
+            reviews: { [item.username]: toPublicReview(item.entry) }
+        })),
+        retrievedAt: new Date().toISOString()
+    });
+};
+
+/**
+ * GET /users/:username/reviews - Every review a user has written, one entry per book
+ * Newest first; sort accepts helpful, rating or date as on GET /review/:isbn.
+ * Paginated with page and limit.
+ */
+public_users.get('/users/:username/reviews', validatePageQuery, function (req, res) {
+    try {
+        const sort = parseReviewSort(req.query.sort === undefined ? '-date' : req.query.sort);
+        if (sort === undefined) {
+            return res.status(400).json({
+                error: "Invalid query parameter",
+                message: `sort must be one of: ${Object.keys(REVIEW_SORT_FIELDS).join(', ')} (prefix with - for descending)`
+            });
+        }
+
+        const wanted = String(req.params.username).trim().toLowerCase();
+        const user = db.users.get(wanted);
+        if (!user) {
+            return res.status(404).json({
+                error: "User not found",
+                message: `No user found with username: ${req.params.username}`
+            });
+        }
+
+        const items = collectReviews(db.books.all(), (username) => username.toLowerCase() === wanted);
+        return sendReviewPage(req, res, sortReviews(items, sort), {
+            username: user.username,
+            sort: `${sort.descending ? '-' : ''}${sort.field}`
+        });
+    } catch (error) {
+        console.error(`Error retrieving reviews by ${req.params.username}:`, error);
+        res.status(500).json({
+            error: "Internal server error",
+            message: "Failed to retrieve the user's reviews. Please try again later.",
+            requestId: Date.now().toString(36)
+        });
+    }
+});
+
+/**
+ * GET /reviews/recent - The newest reviews across the catalogue
+ * One entry per review, newest first; paginated with page and limit. Reviews
+ * written before timestamps were recorded have no date and are left out.
+ */
+public_users.get('/reviews/recent', validatePageQuery, function (req, res) {
+    try {
+        const items = collectReviews(db.books.all(), (username, entry) => Boolean(entry.createdAt));
+        return sendReviewPage(req, res, sortReviews(items, { field: 'date', descending: true }));
+    } catch (error) {
+        console.error('Error retrieving recent reviews:', error);
+        res.status(500).json({
+            error: "Internal server error",
+            message: "Failed to retrieve recent reviews. Please try again later.",
+            requestId: Date.now().toString(36)
+        });
+    }
+});
+
+/**
+ * ============================================
+ * CATALOGUE EXPORT
+ * ============================================
+ * The whole catalogue as one file, for backups and for loading into other
+ * tools; admins import files of the same formats through POST /admin/books/import
+ */
+
+/**
+ * Waits until a response can take more data, or until its connection closes
+ * Both listeners are removed again, whichever event comes first.
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>} - Resolves on drain or close
+ */
+const drained = (res) => new Promise(resolve => {
+    const done = () => {
+        res.off('drain', done).off('close', done);
+        resolve();
+    };
+    res.on('drain', done).on('close', done);
+});
+
+/**
+ * GET /export - Download the catalogue
+ * format is csv, json (default) or ndjson, which include every visible
+ * review, or one of the library formats marcxml, onix, bibtex and csljson
+ * (see lib/libraryFormats.js). The file is streamed book by book.
+ */
+public_users.get('/export', rateLimit('export'), async function (req, res) {
+    const { format = 'json' } = req.query;
+    if (!Object.keys(FORMATS).includes(format)) {
+        return res.status(400).json({
+            error: "Invalid query parameter",
+            message: `format must be one of: ${Object.keys(FORMATS).join(', ')}`
+        });
+    }
+    
+    try {
+        const date = new Date().toISOString().slice(0, 10);
+        res.status(200);
+        res.set('Content-Type', FORMATS[format].contentType);
+        res.set('Content-Disposition', `attachment; filename="catalogue-${date}.${FORMATS[format].extension}"`);
+        
+        for (const chunk of exportCatalogue(format)) {
+            // EDGE CASE: Client went away mid-download
+            if (res.destroyed) {
+                return;
+            }
+            // Wait for slow clients instead of buffering the whole catalogue
+            if (chunk !== '' && !res.write(chunk)) {
+                await drained(res);
+            }
+        }
+        return res.end();
+    } catch (error) {
+        console.error('Error exporting catalogue:', error);
+        // EDGE CASE: Part of the file is already sent; all we can do is cut it short
+        if (res.headersSent) {
+            return res.destroy(error);
+        }
+        res.status(500).json({ 
+            error: "Internal server error",
+            message: "Failed to export the catalogue. Please try again later.",
+            requestId: Date.now().toString(36)
+        });
+    }
+});
+
 /**
  * ============================================
  * ASYNCHRONOUS HELPER FUNCTION
  * ============================================
- * Makes HTTP requests to the same server's synchronous endpoints
- * This demonstrates the async/await pattern with Axios with comprehensive error handling
+ * Fetches from the upstream catalogue - this server's own synchronous
+ * endpoints unless upstream.baseUrl points elsewhere. Retries, the circuit
+ * breaker and response caching live in upstream/index.js.
  */
 
 /**
- * Asynchronously fetches data from the server's endpoints
+ * Asynchronously fetches data from the upstream catalogue
  * @param {string} queryString - The endpoint path to query
  * @returns {Promise<Object>} - The response data
  */
 async function getBookListAsync(queryString) {
     // EDGE CASE: Validate queryString
     if (!queryString || typeof queryString !== 'string') {
-        throw new Error('Invalid query string provided');
+        const error = new Error('Invalid query string provided');
+        error.isInvalidRequest = true;
+        throw error;
     }
     
-    // EDGE CASE: Prevent excessively long query strings
+    // EDGE CASE: Prevent excessively long query strings (long non-ASCII search terms grow when encoded)
     if (queryString.length > 500) {
-        throw new Error('Query string is too long');
+        const error = new Error('Query string is too long');
+        error.isInvalidRequest = true;
+        throw error;
     }
     
+    const upstream = getUpstreamClient();
     try {
-        const response = await axios.get(URL + queryString, {
-            timeout: 10000, // 10 second timeout
-            maxRedirects: 3, // Prevent infinite redirects
-            maxContentLength: 50 * 1024 * 1024, // 50MB max response size
-            validateStatus: function (status) {
-                // Accept both successful (2xx) and client error (4xx) responses
-                return status >= 200 && status < 500;
-            },
-            headers: {
-                'User-Agent': 'expressBookReviews/1.0',
-                'Accept': 'application/json',
-                'X-Requested-With': 'XMLHttpRequest'
-            }
-        });
-        
-        // EDGE CASE: Check for empty response
-        if (!response.data) {
-            throw new Error('Empty response received from server');
-        }
-        
-        // EDGE CASE: Check for very large response
-        const responseSize = JSON.stringify(response.data).length;
-        if (responseSize > 10 * 1024 * 1024) { // 10MB
-            console.warn(`Large response received: ${responseSize} bytes`);
-        }
-        
-        // Check for client error responses (4xx)
-        if (response.status >= 400) {
-            const error = new Error(`HTTP ${response.status}: ${response.data?.error || 'Request failed'}`);
-            error.status = response.status;
-            error.data = response.data;
-            error.isHttpError = true;
-            throw error;
-        }
-        
-        return response.data;
+        return await upstream.get(queryString);
     } catch (error) {
         console.error('Error in getBookListAsync:', error.message);
         
-        // Enhance error messages for common network issues
-        if (error.code === 'ECONNREFUSED') {
-            error.message = 'Unable to connect to the server. The service might be down.';
-            error.isConnectionError = true;
-        } else if (error.code === 'ETIMEDOUT') {
-            error.message = 'Request timed out after 10 seconds. The server might be overloaded.';
-            error.isTimeoutError = true;
-        } else if (error.code === 'ENOTFOUND') {
-            error.message = 'Server host not found. Please check the server configuration.';
-            error.isDnsError = true;
-        } else if (error.response) {
-            // The request was made and the server responded with a status code
-            // that falls out of the range of 2xx
-            error.isHttpError = true;
-            error.status = error.response.status;
-            error.data = error.response.data;
-        } else if (error.request) {
-            // The request was made but no response was received
-            error.message = 'No response received from server';
-            error.isNetworkError = true;
-        }
-        
         // Add context to error
         error.context = {
-            url: URL + queryString,
+            url: upstream.baseUrl + queryString,
             timestamp: new Date().toISOString(),
             query: queryString
         };
@@ -864,204 +1339,155 @@ async function getBookListAsync(queryString) {
 
 /**
  * ============================================
- * RATE LIMITING FOR ASYNC ENDPOINTS
+ * ASYNCHRONOUS BOOK RETRIEVAL ENDPOINTS
  * ============================================
- * Enhanced rate limiting with cleanup mechanism
+ * Each route fetches the matching synchronous endpoint through
+ * getBookListAsync and shares one success and one error path.
  */
 
-const asyncRequestCounts = new Map();
-const ASYNC_RATE_LIMIT = 100; // Maximum requests per minute per IP
-const RATE_LIMIT_WINDOW = 60000; // 1 minute in milliseconds
+/**
+ * Sends the data fetched by getBookListAsync, tagged as an async response
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} data - Response body of the synchronous endpoint
+ */
+const sendAsyncResult = (req, res, data) => {
+    // EDGE CASE: Validate response structure
+    if (!data || typeof data !== 'object') {
+        throw new Error('Invalid response format received from server');
+    }
+    
+    // Rebuild the Link header so it points at the /async route, not the synchronous one
+    if (data.totalPages) {
+        setPaginationHeaders(req, res, data);
+    }
+    
+    res.status(200).json({
+        ...data,
+        retrievedVia: 'async',
+        serverTimestamp: new Date().toISOString()
+    });
+};
 
-// Cleanup old entries every 5 minutes
-setInterval(() => {
-    const now = Date.now();
-    const cutoff = now - RATE_LIMIT_WINDOW;
+/**
+ * Translates an error from getBookListAsync into an HTTP response
+ * - 4xx from the synchronous endpoint: passed through unchanged
+ * - invalid request (e.g. query too long): 400
+ * - upstream circuit open: 503 with Retry-After
+ * - connection, timeout, DNS or network failure: 503
+ * - anything else: 500
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error thrown by getBookListAsync or sendAsyncResult
+ * @param {string} failureMessage - Message for unexpected errors
+ */
+const translateAsyncError = (req, res, error, failureMessage) => {
+    console.error(`Error in ${req.baseUrl}${req.path}:`, error.message);
     
-    for (const [ip, requests] of asyncRequestCounts.entries()) {
-        const filteredRequests = requests.filter(time => time > cutoff);
-        if (filteredRequests.length === 0) {
-            asyncRequestCounts.delete(ip);
-        } else {
-            asyncRequestCounts.set(ip, filteredRequests);
-        }
+    if (error.isHttpError && error.status) {
+        return res.status(error.status).json({
+            ...error.data,
+            retrievedVia: 'async',
+            errorOccurred: true
+        });
+    }
+    
+    if (error.isCircuitOpenError) {
+        const retryAfter = Math.max(1, Math.ceil(error.retryAfterMs / 1000));
+        return res.status(503).set('Retry-After', String(retryAfter)).json({
+            error: "Service unavailable",
+            message: error.message,
+            suggestion: `Please try again in ${retryAfter} seconds or use the synchronous endpoint`,
+            retryAfter: retryAfter,
+            retrievedVia: 'async'
+        });
+    }
+    
+    if (error.isInvalidRequest) {
+        return res.status(400).json({
+            error: "Invalid request",
+            message: error.message,
+            retrievedVia: 'async'
+        });
+    }
+    
+    if (error.isConnectionError || error.isTimeoutError || error.isDnsError || error.isNetworkError) {
+        return res.status(503).json({ 
+            error: "Service unavailable",
+            message: error.message,
+            suggestion: "Please try again in a few moments",
+            retrievedVia: 'async'
+        });
     }
-}, 5 * 60000); // 5 minutes
+    
+    res.status(500).json({ 
+        error: "Internal server error",
+        message: failureMessage,
+        requestId: Date.now().toString(36),
+        retrievedVia: 'async'
+    });
+};
 
 /**
- * Rate limiting middleware for async endpoints
+ * GET /async - Asynchronously retrieve all books
+ * Accepts the same page, limit, sort, fields and filter parameters as GET /
  */
-const checkRateLimit = (req, res, next) => {
+public_users.get('/async', rateLimit('async'), validateListQuery, async function (req, res) {
     try {
-        const clientIP = req.ip || req.connection.remoteAddress || 'unknown';
-        const now = Date.now();
-        const cutoff = now - RATE_LIMIT_WINDOW;
-        
-        // Get existing requests for this IP
-        let requests = asyncRequestCounts.get(clientIP) || [];
-        
-        // Filter out old requests
-        requests = requests.filter(time => time > cutoff);
-        
-        // Check if rate limit is exceeded
-        if (requests.length >= ASYNC_RATE_LIMIT) {
-            // Calculate when the user can try again
-            const oldestRequest = Math.min(...requests);
-            const retryAfter = Math.ceil((oldestRequest + RATE_LIMIT_WINDOW - now) / 1000);
-            
-            return res.status(429).set('Retry-After', retryAfter).json({
-                error: "Too many requests",
-                message: `Rate limit exceeded. Please try again in ${retryAfter} seconds.`,
-                limit: ASYNC_RATE_LIMIT,
-                window: "1 minute",
-                retryAfter: retryAfter
-            });
-        }
-        
-        // Add current request timestamp and update map
-        requests.push(now);
-        asyncRequestCounts.set(clientIP, requests);
-        
-        // Add rate limit headers to response
-        res.set({
-            'X-RateLimit-Limit': ASYNC_RATE_LIMIT,
-            'X-RateLimit-Remaining': ASYNC_RATE_LIMIT - requests.length,
-            'X-RateLimit-Reset': Math.ceil((now + RATE_LIMIT_WINDOW) / 1000)
-        });
-        
-        next();
+        sendAsyncResult(req, res, await getBookListAsync("/" + forwardedQuery(req)));
     } catch (error) {
-        console.error('Rate limiting error:', error);
-        // If rate limiting fails, allow the request to proceed
-        next();
+        translateAsyncError(req, res, error, "Failed to retrieve book list. Please try again later.");
     }
-};
+});
 
 /**
- * ============================================
- * ASYNCHRONOUS BOOK RETRIEVAL ENDPOINTS
- * ============================================
- * Enhanced with comprehensive error handling and edge case coverage
+ * GET /async/isbn/:isbn - Asynchronously retrieve book by ISBN
  */
+public_users.get('/async/isbn/:isbn', rateLimit('async'), validateIsbn, async function (req, res) {
+    try {
+        sendAsyncResult(req, res, await getBookListAsync("/isbn/" + encodeURIComponent(req.cleanedIsbn)));
+    } catch (error) {
+        translateAsyncError(req, res, error, "Failed to retrieve book by ISBN. Please try again later.");
+    }
+});
 
 /**
- * GET /async - Asynchronously retrieve all books
+ * GET /async/author/:author - Asynchronously retrieve books by author
+ * Accepts the same page, limit, sort, fields and filter parameters as GET /author/:author
  */
-public_users.get('/async', checkRateLimit, async function (req, res) {
+public_users.get('/async/author/:author', rateLimit('async'), validateSearchParams, validateListQuery, async function (req, res) {
     try {
-        const bookList = await getBookListAsync("");
-        
-        // EDGE CASE: Validate response structure
-        if (!bookList || typeof bookList !== 'object') {
-            throw new Error('Invalid response format received from server');
-        }
-        
-        res.status(200).json({
-            ...bookList,
-            retrievedVia: 'async',
-            serverTimestamp: new Date().toISOString()
-        });
+        const path = "/author/" + encodeURIComponent(req.cleanedParam) + forwardedQuery(req);
+        sendAsyncResult(req, res, await getBookListAsync(path));
     } catch (error) {
-        console.error('Error in /async route:', error);
-        
-        // Handle different error types with appropriate responses
-        if (error.isConnectionError || error.isTimeoutError) {
-            return res.status(503).json({ 
-                error: "Service unavailable",
-                message: error.message,
-                suggestion: "Please try again in a few moments"
-            });
-        }
-        
-        if (error.isHttpError && error.status) {
-            return res.status(error.status).json({
-                ...error.data,
-                retrievedVia: 'async',
-                errorOccurred: true
-            });
-        }
-        
-        res.status(500).json({ 
-            error: "Internal server error",
-            message: "Failed to retrieve book list. Please try again later.",
-            requestId: Date.now().toString(36),
-            retrievedVia: 'async'
-        });
+        translateAsyncError(req, res, error, "Failed to search books by author. Please try again later.");
     }
 });
 
 /**
- * GET /async/isbn/:isbn - Asynchronously retrieve book by ISBN
+ * GET /async/title/:title - Asynchronously retrieve books by title
+ * Accepts the same page, limit, sort, fields and filter parameters as GET /title/:title
  */
-public_users.get('/async/isbn/:isbn', checkRateLimit, validateIsbn, async function (req, res) {
+public_users.get('/async/title/:title', rateLimit('async'), validateSearchParams, validateListQuery, async function (req, res) {
     try {
-        const isbn = req.cleanedIsbn;
-        const encodedIsbn = encodeURIComponent(isbn);
-        const book = await getBookListAsync("/isbn/" + encodedIsbn);
-        
-        // EDGE CASE: Check if book data is valid
-        if (!book || typeof book !== 'object') {
-            throw new Error('Invalid book data received');
-        }
-        
-        res.status(200).json({
-            ...book,
-            retrievedVia: 'async',
-            serverTimestamp: new Date().toISOString()
-        });
+        const path = "/title/" + encodeURIComponent(req.cleanedParam) + forwardedQuery(req);
+        sendAsyncResult(req, res, await getBookListAsync(path));
     } catch (error) {
-        console.error(`Error in /async/isbn/${req.cleanedIsbn}:`, error);
-        
-        if (error.isHttpError && error.status === 404) {
-            return res.status(404).json({
-                error: "Book not found",
-                message: `No book found with ISBN: ${req.cleanedIsbn}`,
-                retrievedVia: 'async',
-                suggestion: "Check the ISBN or try the synchronous endpoint"
-            });
-        }
-        
-        if (error.isConnectionError) {
-            return res.status(503).json({ 
-                error: "Service unavailable",
-                message: "Cannot connect to book database",
-                retrievedVia: 'async'
-            });
-        }
-        
-        res.status(500).json({ 
-            error: "Internal server error",
-            message: "Failed to retrieve book by ISBN. Please try again later.",
-            requestId: Date.now().toString(36),
-            retrievedVia: 'async'
-        });
+        translateAsyncError(req, res, error, "Failed to search books by title. Please try again later.");
     }
 });
 
 /**
- * GET /async/author/:author - Asynchronously retrieve books by author
- * 
- * This endpoint demonstrates robust async/await pattern with Axios,
- * handling various edge cases and providing comprehensive error responses.
+ * GET /async/review/:isbn - Asynchronously retrieve reviews for a book
+ * Accepts the same sort parameter as GET /review/:isbn
  */
-public_users.get('/async/author/:author', checkRateLimit, validateSearchParams, async function (req, res) {
+public_users.get('/async/review/:isbn', rateLimit('async'), validateIsbn, async function (req, res) {
     try {
-        const author = req.cleanedParam;
-        const encodedAuthor = encodeURIComponent(author);
-        
-        // EDGE CASE: Check for special characters that might cause issues
-        if (encodedAuthor.length > 200) {
-            return res.status(400).json({
-                error: "Invalid author name",
-                message: "Author name is too long or contains too many special characters",
-                retrievedVia: 'async'
-            });
-        }
-        
-        // Make asynchronous HTTP request to the synchronous author endpoint
-        const books = await getBookListAsync("/author/" + encodedAuthor);
-        
-        // EDGE CASE: Validate response structure
-        if (!books || typeof books !== 'object') {
-            throw new Error('Invalid response received from server');
-        }
+        const path = "/review/" + encodeURIComponent(req.cleanedIsbn) + forwardedQuery(req);
+        sendAsyncResult(req, res, await getBookListAsync(path));
+    } catch (error) {
+        translateAsyncError(req, res, error, "Failed to retrieve reviews. Please try again later.");
+    }
+});
+
+module.exports.general = public_users;
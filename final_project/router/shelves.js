@@ -0,0 +1,439 @@
+/**
+ * expressBookReviews - Shelves Router
+ *
+ * Reading lists (see lib/shelves.js for the data model).
+ * - shelf_routes: the signed-in user's shelves, mounted under
+ *   /customer/auth/shelves (index.js runs authenticate in front of it)
+ * - public_shelf_routes: read-only view of another user's shelves under
+ *   /users/:username/shelves, only for users who made theirs public
+ */
+
+const express = require('express');
+const db = require('../storage').getStore();
+const { checkIsbnFormat, findBookKey } = require('../lib/isbn.js');
+const { sendError, sendServerError } = require('../lib/httpErrors.js');
+const {
+    SHELF_NAME_MAX_LENGTH,
+    MAX_CUSTOM_SHELVES,
+    NOTES_MAX_LENGTH,
+    RESERVED_SLUGS,
+    slugify,
+    isBuiltIn,
+    readingListFrom,
+    emptyReadingList,
+    hasShelf,
+    bookEntry,
+    shelfBooks,
+    placeBook,
+    removeBook,
+    deleteShelf
+} = require('../lib/shelves.js');
+const shelf_routes = express.Router();
+const public_shelf_routes = express.Router();
+
+const readingLists = db.collection('shelves');
+
+// Clock skew allowance when rejecting reading dates in the future
+const FUTURE_DATE_TOLERANCE_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Summarizes a shelf without its books
+ * @param {Object} list - Reading list
+ * @param {string} slug - Shelf
+ * @returns {Object} - { id, name, builtIn, createdAt, bookCount }
+ * @throws {Error} - If the list has no such shelf (callers check hasShelf first)
+ */
+const describeShelf = (list, slug) => {
+    if (!hasShelf(list, slug)) {
+        throw new Error(`Reading list of ${list.username} has no shelf "${slug}"`);
+    }
+    const shelf = list.shelves[slug];
+    return {
+        id: slug,
+        name: shelf.name,
+        builtIn: Boolean(shelf.builtIn),
+        createdAt: shelf.createdAt,
+        bookCount: shelfBooks(list, slug).length
+    };
+};
+
+/**
+ * Lists a shelf's books with their catalogue title and author
+ * @param {Object} list - Reading list
+ * @param {string} slug - Shelf
+ * @param {Object} [options]
+ * @param {boolean} [options.includeNotes] - Notes are private to the owner
+ * @returns {Object[]} - Shelved books, most recently added first
+ */
+const describeShelfBooks = (list, slug, { includeNotes = true } = {}) => shelfBooks(list, slug).map(({ notes, ...entry }) => {
+    const book = db.books.get(entry.isbn);
+    return {
+        ...entry,
+        // EDGE CASE: Book removed from the catalogue after it was shelved
+        title: book ? book.title : null,
+        author: book ? book.author : null,
+        available: Boolean(book),
+        ...(includeNotes && notes !== undefined && { notes })
+    };
+});
+
+/**
+ * Loads the signed-in user's reading list into req.readingList (a new one if they have none)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const loadReadingList = (req, res, next) => {
+    const key = req.user.username.toLowerCase();
+    req.readingListKey = key;
+    const stored = readingLists.get(key);
+    req.readingList = stored ? readingListFrom(stored) : emptyReadingList(req.user.username);
+    next();
+};
+
+const saveReadingList = (req) => readingLists.set(req.readingListKey, req.readingList);
+
+/**
+ * Checks that the :shelf route parameter names an existing shelf
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const requireShelf = (req, res, next) => {
+    if (!hasShelf(req.readingList, req.params.shelf)) {
+        return sendError(res, 404, "Shelf not found", `You have no shelf called "${req.params.shelf}"`, {
+            shelves: Object.keys(req.readingList.shelves)
+        });
+    }
+    next();
+};
+
+/**
+ * Validates the :isbn route parameter and resolves it to a stored book key (req.bookKey)
+ * Removing a book also works when it has since left the catalogue.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const resolveBook = (req, res, next) => {
+    const formatError = checkIsbnFormat(req.params.isbn);
+    if (formatError) {
+        return res.status(400).json(formatError);
+    }
+    const shelved = { has: (key) => Boolean(bookEntry(req.readingList, key)) };
+    const bookKey = findBookKey(db.books, req.params.isbn)
+        || (req.method === 'DELETE' ? findBookKey(shelved, req.params.isbn) : null);
+    if (!bookKey) {
+        return sendError(res, 404, "Book not found", `No book found with ISBN: ${req.params.isbn}`);
+    }
+    req.bookKey = bookKey;
+    next();
+};
+
+/**
+ * Validates a shelf name in the request body and derives its slug (req.shelfName, req.shelfSlug)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const validateShelfName = (req, res, next) => {
+    const name = req.body?.name;
+    if (typeof name !== 'string' || name.trim() === '') {
+        return sendError(res, 400, "Missing required fields", "name is required");
+    }
+    if (name.trim().length > SHELF_NAME_MAX_LENGTH) {
+        return sendError(res, 400, "Invalid shelf name", `name must be at most ${SHELF_NAME_MAX_LENGTH} characters long`);
+    }
+    const slug = slugify(name);
+    if (!slug) {
+        return sendError(res, 400, "Invalid shelf name", "name must contain at least one letter or digit");
+    }
+    if (RESERVED_SLUGS.includes(slug)) {
+        return sendError(res, 400, "Invalid shelf name", `"${name.trim()}" is reserved; choose another name`);
+    }
+    req.shelfName = name.trim();
+    req.shelfSlug = slug;
+    next();
+};
+
+/**
+ * Validates { startedAt, finishedAt, notes } for shelving a book (req.shelfInput)
+ * Dates are ISO 8601 and may not lie in the future; notes may be null to clear them.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const validateShelfInput = (req, res, next) => {
+    const body = req.body && typeof req.body === 'object' ? req.body : {};
+    const errors = [];
+    const input = {};
+
+    for (const key of Object.keys(body)) {
+        if (!['startedAt', 'finishedAt', 'notes'].includes(key)) {
+            errors.push({ field: key, message: `Unknown field "${key}"` });
+        }
+    }
+
+    for (const field of ['startedAt', 'finishedAt']) {
+        const value = body[field];
+        if (value === undefined) {
+            continue;
+        }
+        const time = typeof value === 'string' ? Date.parse(value) : NaN;
+        if (Number.isNaN(time)) {
+            errors.push({ field, message: `${field} must be an ISO 8601 date, e.g. 2024-05-01` });
+        } else if (time > Date.now() + FUTURE_DATE_TOLERANCE_MS) {
+            errors.push({ field, message: `${field} cannot be in the future` });
+        } else {
+            input[field] = new Date(time).toISOString();
+        }
+    }
+
+    if (body.notes !== undefined) {
+        if (body.notes === null || body.notes === '') {
+            input.notes = null;
+        } else if (typeof body.notes !== 'string') {
+            errors.push({ field: 'notes', message: "notes must be a string or null" });
+        } else if (body.notes.trim().length > NOTES_MAX_LENGTH) {
+            errors.push({ field: 'notes', message: `notes must be at most ${NOTES_MAX_LENGTH} characters long` });
+        } else {
+            input.notes = body.notes.trim();
+        }
+    }
+
+    if (errors.length > 0) {
+        return sendError(res, 400, "Validation failed", errors.map(e => e.message).join('; '), { details: errors });
+    }
+    req.shelfInput = input;
+    next();
+};
+
+/**
+ * ============================================
+ * OWN SHELVES (/customer/auth/shelves)
+ * ============================================
+ */
+
+/**
+ * GET /customer/auth/shelves - List shelves with book counts
+ */
+shelf_routes.get('/', loadReadingList, (req, res) => {
+    const list = req.readingList;
+    return res.status(200).json({
+        username: list.username,
+        public: list.public,
+        shelves: Object.keys(list.shelves).map(slug => describeShelf(list, slug))
+    });
+});
+
+/**
+ * POST /customer/auth/shelves - Create a custom shelf
+ * Body: { name }. The shelf id is derived from the name ("Summer 2025" -> "summer-2025").
+ */
+shelf_routes.post('/', loadReadingList, validateShelfName, (req, res) => {
+    try {
+        const list = req.readingList;
+        const slug = req.shelfSlug;
+
+        if (hasShelf(list, slug)) {
+            return sendError(res, 409, "Shelf already exists", `You already have a shelf with the id "${slug}"`);
+        }
+        const customCount = Object.keys(list.shelves).filter(id => !isBuiltIn(id)).length;
+        if (customCount >= MAX_CUSTOM_SHELVES) {
+            return sendError(res, 400, "Too many shelves", `You can have at most ${MAX_CUSTOM_SHELVES} custom shelves`);
+        }
+
+        const now = new Date().toISOString();
+        list.shelves[slug] = { name: req.shelfName, builtIn: false, createdAt: now };
+        list.updatedAt = now;
+        saveReadingList(req);
+
+        return res.status(201).json({ message: "Shelf created", shelf: describeShelf(list, slug) });
+    } catch (error) {
+        console.error(`Error creating shelf for ${req.user.username}:`, error);
+        return sendServerError(res, "Failed to create shelf. Please try again later.");
+    }
+});
+
+/**
+ * PUT /customer/auth/shelves/visibility - Opt in to (or out of) the public view
+ * Body: { public: true | false }
+ */
+shelf_routes.put('/visibility', loadReadingList, (req, res) => {
+    try {
+        if (typeof req.body?.public !== 'boolean') {
+            return sendError(res, 400, "Invalid value", "public must be true or false");
+        }
+        req.readingList.public = req.body.public;
+        req.readingList.updatedAt = new Date().toISOString();
+        saveReadingList(req);
+
+        return res.status(200).json({
+            message: req.body.public ? "Your shelves are now public" : "Your shelves are now private",
+            public: req.body.public,
+            ...(req.body.public && { url: `/users/${encodeURIComponent(req.user.username)}/shelves` })
+        });
+    } catch (error) {
+        console.error(`Error changing shelf visibility for ${req.user.username}:`, error);
+        return sendServerError(res, "Failed to change shelf visibility. Please try again later.");
+    }
+});
+
+/**
+ * GET /customer/auth/shelves/:shelf - A shelf and its books
+ */
+shelf_routes.get('/:shelf', loadReadingList, requireShelf, (req, res) => {
+    const list = req.readingList;
+    return res.status(200).json({
+        ...describeShelf(list, req.params.shelf),
+        books: describeShelfBooks(list, req.params.shelf)
+    });
+});
+
+/**
+ * PATCH /customer/auth/shelves/:shelf - Rename a custom shelf
+ * Body: { name }. The id stays the same so existing links keep working.
+ */
+shelf_routes.patch('/:shelf', loadReadingList, requireShelf, validateShelfName, (req, res) => {
+    try {
+        const list = req.readingList;
+        if (isBuiltIn(req.params.shelf)) {
+            return sendError(res, 400, "Invalid operation", "Built-in shelves cannot be renamed");
+        }
+        list.shelves[req.params.shelf].name = req.shelfName;
+        list.updatedAt = new Date().toISOString();
+        saveReadingList(req);
+
+        return res.status(200).json({ message: "Shelf renamed", shelf: describeShelf(list, req.params.shelf) });
+    } catch (error) {
+        console.error(`Error renaming shelf ${req.params.shelf} of ${req.user.username}:`, error);
+        return sendServerError(res, "Failed to rename shelf. Please try again later.");
+    }
+});
+
+/**
+ * DELETE /customer/auth/shelves/:shelf - Delete a custom shelf
+ * Books on it stay on the user's other shelves.
+ */
+shelf_routes.delete('/:shelf', loadReadingList, requireShelf, (req, res) => {
+    try {
+        if (isBuiltIn(req.params.shelf)) {
+            return sendError(res, 400, "Invalid operation", "Built-in shelves cannot be deleted");
+        }
+        const removedBooks = deleteShelf(req.readingList, req.params.shelf);
+        saveReadingList(req);
+
+        return res.status(200).json({ message: "Shelf deleted", id: req.params.shelf, removedBooks: removedBooks });
+    } catch (error) {
+        console.error(`Error deleting shelf ${req.params.shelf} of ${req.user.username}:`, error);
+        return sendServerError(res, "Failed to delete shelf. Please try again later.");
+    }
+});
+
+/**
+ * PUT /customer/auth/shelves/:shelf/books/:isbn - Put a book on a shelf
+ * Optional body: { startedAt, finishedAt, notes }. On want-to-read, reading
+ * and read this also sets the book's reading status, taking it off the other two.
+ */
+shelf_routes.put('/:shelf/books/:isbn', loadReadingList, requireShelf, resolveBook, validateShelfInput, (req, res) => {
+    try {
+        const list = req.readingList;
+        const current = bookEntry(list, req.bookKey) || {};
+        const startedAt = req.shelfInput.startedAt || current.startedAt;
+        const finishedAt = req.shelfInput.finishedAt || current.finishedAt;
+
+        // EDGE CASE: Only check dates the request touches, so old data never blocks an update
+        if ((req.shelfInput.startedAt || req.shelfInput.finishedAt) && startedAt && finishedAt && finishedAt < startedAt) {
+            return sendError(res, 400, "Validation failed", "finishedAt cannot be before startedAt");
+        }
+
+        const { entry, added } = placeBook(list, req.params.shelf, req.bookKey, req.shelfInput);
+        saveReadingList(req);
+
+        return res.status(added ? 201 : 200).json({
+            message: added ? "Book added to shelf" : "Shelf entry updated",
+            shelf: req.params.shelf,
+            isbn: req.bookKey,
+            entry: entry
+        });
+    } catch (error) {
+        console.error(`Error shelving ${req.params.isbn} for ${req.user.username}:`, error);
+        return sendServerError(res, "Failed to update shelf. Please try again later.");
+    }
+});
+
+/**
+ * DELETE /customer/auth/shelves/:shelf/books/:isbn - Take a book off a shelf
+ */
+shelf_routes.delete('/:shelf/books/:isbn', loadReadingList, requireShelf, resolveBook, (req, res) => {
+    try {
+        if (!removeBook(req.readingList, req.params.shelf, req.bookKey)) {
+            return sendError(res, 404, "Book not on shelf", `ISBN ${req.bookKey} is not on your "${req.params.shelf}" shelf`);
+        }
+        saveReadingList(req);
+
+        return res.status(200).json({ message: "Book removed from shelf", shelf: req.params.shelf, isbn: req.bookKey });
+    } catch (error) {
+        console.error(`Error unshelving ${req.params.isbn} for ${req.user.username}:`, error);
+        return sendServerError(res, "Failed to update shelf. Please try again later.");
+    }
+});
+
+/**
+ * ============================================
+ * PUBLIC SHELVES (/users/:username/shelves)
+ * ============================================
+ */
+
+/**
+ * Loads a user's reading list for the public view, answering 404 unless it is public
+ * The same 404 is used for unknown users and private shelves.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const loadPublicReadingList = (req, res, next) => {
+    const list = readingLists.get(String(req.params.username).trim().toLowerCase());
+    if (!list || list.public !== true) {
+        return sendError(res, 404, "Shelves not found", `${req.params.username} has no public shelves`);
+    }
+    req.readingList = readingListFrom(list);
+    next();
+};
+
+/**
+ * GET /users/:username/shelves - A user's public shelves with book counts
+ */
+public_shelf_routes.get('/users/:username/shelves', loadPublicReadingList, (req, res) => {
+    const list = req.readingList;
+    return res.status(200).json({
+        username: list.username,
+        shelves: Object.keys(list.shelves).map(slug => describeShelf(list, slug))
+    });
+});
+
+/**
+ * GET /users/:username/shelves/:shelf - One public shelf and its books (without private notes)
+ */
+public_shelf_routes.get('/users/:username/shelves/:shelf', loadPublicReadingList, (req, res) => {
+    const list = req.readingList;
+    if (!hasShelf(list, req.params.shelf)) {
+        return sendError(res, 404, "Shelf not found", `${list.username} has no shelf called "${req.params.shelf}"`);
+    }
+    return res.status(200).json({
+        username: list.username,
+        ...describeShelf(list, req.params.shelf),
+        books: describeShelfBooks(list, req.params.shelf, { includeNotes: false })
+    });
+});
+
+/**
+ * Deletes a user's reading list (account deletion)
+ * @param {string} username - Owner
+ * @returns {boolean} - True if there was one
+ */
+const deleteReadingList = (username) => readingLists.delete(username.toLowerCase());
+
+module.exports.shelves = shelf_routes;
+module.exports.publicShelves = public_shelf_routes;
+module.exports.deleteReadingList = deleteReadingList;
@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+/**
+ * expressBookReviews - Import a catalogue file from the command line
+ *
+ * Same rules as POST /admin/books/import (see catalogue/index.js): books are
+ * added or updated by ISBN and invalid rows are reported and skipped. Uses
+ * the same storage configuration as the server; with the json driver, stop
+ * the server first or its next write overwrites the import.
+ *
+ * Usage: node scripts/import-catalogue.js <file> [--format csv|json|ndjson|marcxml|onix] [--dry-run]
+ * Without --format, the file extension decides; .xml files are MARCXML or
+ * ONIX according to their root element. Exits with 1 if the file cannot be
+ * read or any row is invalid.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getStore } = require('../storage');
+const { IMPORT_FORMATS, detectFormat } = require('../lib/catalogueFormats.js');
+const { importCatalogue } = require('../catalogue');
+
+const USAGE = `Usage: node scripts/import-catalogue.js <file> [--format ${IMPORT_FORMATS.join('|')}] [--dry-run]`;
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const formatIndex = args.indexOf('--format');
+const format = formatIndex >= 0 ? args[formatIndex + 1] : null;
+const [file] = args.filter((arg, i) => !arg.startsWith('--') && (formatIndex < 0 || i !== formatIndex + 1));
+
+if (!file || (formatIndex >= 0 && !IMPORT_FORMATS.includes(format))) {
+    console.error(USAGE);
+    process.exit(1);
+}
+
+let text;
+try {
+    text = fs.readFileSync(file, 'utf8');
+} catch (error) {
+    console.error(`Cannot read ${file}: ${error.message}`);
+    process.exit(1);
+}
+
+const detected = format ? { format } : detectFormat({ fileName: path.basename(file) }, text);
+if (!detected) {
+    console.error(`Cannot tell the format of ${file}; pass --format`);
+    console.error(USAGE);
+    process.exit(1);
+}
+
+const db = getStore();
+const result = importCatalogue(text, detected.format, { dryRun, root: detected.root });
+db.close();
+
+if (result.error) {
+    console.error(result.error);
+    process.exit(1);
+}
+
+for (const { row, isbn, status, errors } of result.rows.filter(({ status }) => status === 'invalid')) {
+    for (const { field, message } of errors) {
+        console.error(`row ${row}${isbn ? ` (${isbn})` : ''}: ${field ? `${field}: ` : ''}${message}`);
+    }
+}
+
+const { total, created, updated, unchanged, invalid } = result.summary;
+console.log(`${dryRun ? 'Dry run, nothing stored: ' : ''}${total} rows - ${created} created, ${updated} updated, ${unchanged} unchanged, ${invalid} invalid`);
+process.exit(invalid > 0 ? 1 : 0);
@@ -0,0 +1,36 @@
+#!/usr/bin/env node
+/**
+ * expressBookReviews - Set a user's role from the command line
+ *
+ * Needed to create the first admin, since only admins can change roles
+ * through the API. Uses the same storage configuration as the server; with
+ * the json driver, stop the server first or its next write overwrites the change.
+ *
+ * Usage: node scripts/set-role.js <username> <customer|moderator|admin>
+ */
+
+const { getStore } = require('../storage');
+const { ROLES, isValidRole } = require('../auth/roles.js');
+const { revokeUserTokenSessions } = require('../auth/tokens.js');
+
+const [username, role] = process.argv.slice(2);
+
+if (!username || !isValidRole(role)) {
+    console.error(`Usage: node scripts/set-role.js <username> <${ROLES.join('|')}>`);
+    process.exit(1);
+}
+
+const db = getStore();
+const userKey = username.trim().toLowerCase();
+const user = db.users.get(userKey);
+
+if (!user) {
+    console.error(`No user found with username: ${username}`);
+    process.exit(1);
+}
+
+db.users.set(userKey, { ...user, role: role, roleUpdatedAt: new Date().toISOString() });
+revokeUserTokenSessions(user.username);
+db.close();
+
+console.log(`${user.username} is now ${role}`);
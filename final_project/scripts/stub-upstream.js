@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+/**
+ * expressBookReviews - Stub upstream catalogue
+ *
+ * A small stand-in for a remote book service, for trying the upstream client
+ * (upstream/index.js) against failures without touching real data. It serves
+ * the seed catalogue from router/booksdb.js on the paths the /async routes
+ * use, with ETags, and can be told to misbehave:
+ *
+ *   POST /__stub/faults  { "failNext": 3, "status": 503, "delayMs": 0, "down": false }
+ *     failNext - answer the next N requests with `status` (default 503)
+ *     delayMs  - wait this long before every answer (exercises timeouts)
+ *     down     - answer every request with `status` until set back to false
+ *   GET  /__stub/stats   requests served and faults injected so far
+ *
+ * Usage: node scripts/stub-upstream.js [port]   (default 5050)
+ * Then start the server with UPSTREAM_BASE_URL=http://localhost:5050
+ */
+
+const express = require('express');
+const books = require('../router/booksdb.js');
+
+const port = Number(process.argv[2] || process.env.STUB_PORT || 5050);
+const app = express();
+app.use(express.json());
+
+const faults = { failNext: 0, status: 503, delayMs: 0, down: false };
+const stats = { requests: 0, faultsInjected: 0 };
+
+app.post('/__stub/faults', (req, res) => {
+    for (const key of Object.keys(faults)) {
+        if (req.body[key] !== undefined) {
+            faults[key] = req.body[key];
+        }
+    }
+    res.json(faults);
+});
+
+app.get('/__stub/stats', (req, res) => res.json({ ...stats, faults }));
+
+// Fault injection in front of the catalogue routes
+app.use(async (req, res, next) => {
+    stats.requests++;
+    if (faults.delayMs > 0) {
+        await new Promise(resolve => setTimeout(resolve, faults.delayMs));
+    }
+    if (faults.down || faults.failNext > 0) {
+        faults.failNext = Math.max(0, faults.failNext - 1);
+        stats.faultsInjected++;
+        return res.status(faults.status).json({ error: "Stub fault", message: `Injected HTTP ${faults.status}` });
+    }
+    next();
+});
+
+const listOf = (entries) => entries.map(([isbn, book]) => ({ isbn, ...book }));
+
+/**
+ * Answers a filtered list in the same shape as the real listing endpoints
+ * @param {Object} res - Express response object
+ * @param {Object[]} list - Matching books
+ */
+const sendList = (res, list) => res.json({ count: list.length, total: list.length, page: 1, totalPages: 1, books: list });
+
+const matching = (field, term) => listOf(Object.entries(books)
+    .filter(([, book]) => [].concat(book[field]).some(value => value.toLowerCase().includes(term.toLowerCase()))));
+
+app.get('/', (req, res) => sendList(res, listOf(Object.entries(books))));
+app.get('/author/:author', (req, res) => sendList(res, matching('authors', req.params.author)));
+app.get('/title/:title', (req, res) => sendList(res, matching('title', req.params.title)));
+
+app.get(['/isbn/:isbn', '/review/:isbn'], (req, res) => {
+    const book = books[req.params.isbn];
+    if (!book) {
+        return res.status(404).json({ error: "Book not found", message: `No book found with ISBN: ${req.params.isbn}` });
+    }
+    return req.path.startsWith('/review/')
+        ? res.json({ isbn: req.params.isbn, title: book.title, reviews: book.reviews })
+        : res.json({ isbn: req.params.isbn, ...book });
+});
+
+app.listen(port, () => console.log(`Stub upstream listening on port ${port}`));
@@ -0,0 +1,158 @@
+/**
+ * expressBookReviews - Storage Layer
+ *
+ * Single entry point for persistent data. Route handlers never touch the
+ * seed data in router/booksdb.js directly; they go through the collections
+ * exposed here (`books`, `users`, ...) so the backend can be swapped by
+ * configuration.
+ *
+ * Supported drivers:
+ * - json:   single JSON file (default)
+ * - sqlite: embedded SQLite database
+ * - memory: nothing persisted, data is lost on restart
+ */
+
+const path = require('path');
+const config = require('../config.js');
+const { createMemoryStore } = require('./memoryStore.js');
+const { createJsonStore } = require('./jsonStore.js');
+const { createSqliteStore } = require('./sqliteStore.js');
+const seedBooks = require('../router/booksdb.js');
+const seedAuthors = require('../router/authorsdb.js');
+const { BOOK_SCHEMA_VERSION, finalizeBook, migrateBook } = require('../lib/bookSchema.js');
+const { authorId, buildNameIndex, nameKey, newAuthor } = require('../lib/authors.js');
+
+const DRIVERS = {
+    memory: createMemoryStore,
+    json: createJsonStore,
+    sqlite: createSqliteStore
+};
+
+const DEFAULT_PATHS = {
+    json: path.join(__dirname, '..', 'data', 'bookshop.json'),
+    sqlite: path.join(__dirname, '..', 'data', 'bookshop.sqlite')
+};
+
+/**
+ * Fills a brand new store with the initial catalogue
+ * Runs only once per store, so books deleted later do not come back on restart
+ * @param {Object} store - Store to seed
+ */
+const seedStore = (store) => {
+    const meta = store.collection('meta');
+    if (meta.get('seededAt')) {
+        return;
+    }
+
+    const books = store.collection('books');
+    for (const isbn of Object.keys(seedBooks)) {
+        if (!books.has(isbn)) {
+            books.set(isbn, finalizeBook(seedBooks[isbn]));
+        }
+    }
+    meta.set('seededAt', new Date().toISOString());
+};
+
+/**
+ * Upgrades stored books to the current book schema (see lib/bookSchema.js)
+ * The version reached is recorded in meta, so later starts skip the scan.
+ * @param {Object} store - Store to migrate
+ * @returns {number} - Number of books upgraded
+ */
+const migrateBooks = (store) => {
+    const meta = store.collection('meta');
+    if ((meta.get('bookSchemaVersion') || 1) >= BOOK_SCHEMA_VERSION) {
+        return 0;
+    }
+
+    const books = store.collection('books');
+    let migrated = 0;
+    for (const [key, book] of Object.entries(books.all())) {
+        const upgraded = migrateBook(book, seedBooks[key]);
+        if (upgraded) {
+            books.set(key, upgraded);
+            migrated++;
+        }
+    }
+    meta.set('bookSchemaVersion', BOOK_SCHEMA_VERSION);
+    if (migrated > 0) {
+        console.log(`Migrated ${migrated} book(s) to book schema version ${BOOK_SCHEMA_VERSION}`);
+    }
+    return migrated;
+};
+
+/**
+ * Creates the author records once per store: the seed authors, then one
+ * record for every other name found on a book
+ * @param {Object} store - Store to fill
+ */
+const createAuthorRecords = (store) => {
+    const meta = store.collection('meta');
+    if (meta.get('authorsCreatedAt')) {
+        return;
+    }
+
+    const now = new Date().toISOString();
+    const authors = store.collection('authors');
+    for (const [id, author] of Object.entries(seedAuthors)) {
+        if (!authors.has(id)) {
+            authors.set(id, { id, ...author, createdAt: now, updatedAt: now });
+        }
+    }
+
+    const index = buildNameIndex(authors.all());
+    for (const book of Object.values(store.collection('books').all())) {
+        for (const name of book.authors || []) {
+            if (!index.has(nameKey(name))) {
+                const id = authorId(name, taken => authors.has(taken));
+                authors.set(id, newAuthor(id, name, now));
+                index.set(nameKey(name), id);
+            }
+        }
+    }
+    meta.set('authorsCreatedAt', now);
+};
+
+/**
+ * Opens a store with the given driver, seeds it on first use and migrates old data
+ * @param {Object} [options]
+ * @param {string} [options.driver] - One of json, sqlite, memory
+ * @param {string} [options.path] - Database file for the json and sqlite drivers
+ * @returns {Object} - Store with collection(name), batch(fn), books, users and close()
+ */
+const createStore = ({ driver = 'json', path: filePath } = {}) => {
+    const factory = DRIVERS[driver];
+    if (!factory) {
+        throw new Error(`Unknown storage driver "${driver}". Expected one of: ${Object.keys(DRIVERS).join(', ')}`);
+    }
+
+    const store = factory({ path: filePath || DEFAULT_PATHS[driver] });
+    seedStore(store);
+    migrateBooks(store);
+    createAuthorRecords(store);
+
+    return {
+        ...store,
+        books: store.collection('books'),
+        users: store.collection('users')
+    };
+};
+
+let defaultStore = null;
+
+/**
+ * Returns the application-wide store, opening it on first call
+ * Driver and location come from the storage section of config.js
+ * @returns {Object} - The shared store
+ */
+const getStore = () => {
+    if (!defaultStore) {
+        defaultStore = createStore({
+            driver: config.storage.driver,
+            path: config.storage.path || undefined
+        });
+    }
+    return defaultStore;
+};
+
+module.exports = { createStore, getStore };
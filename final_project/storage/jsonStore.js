@@ -0,0 +1,78 @@
+/**
+ * expressBookReviews - JSON File Store
+ *
+ * Persists all collections into a single JSON file. The whole file is
+ * rewritten on every change (through a temporary file and a rename, so a
+ * crash mid-write never leaves a half-written database behind). This is
+ * plenty for a catalogue of this size and keeps the data human-readable.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createMemoryStore } = require('./memoryStore.js');
+
+/**
+ * Reads and parses the database file
+ * @param {string} filePath - Path to the JSON file
+ * @returns {Object} - Parsed data, or an empty object if the file does not exist
+ */
+const readDataFile = (filePath) => {
+    if (!fs.existsSync(filePath)) {
+        return {};
+    }
+
+    const raw = fs.readFileSync(filePath, 'utf8');
+
+    // EDGE CASE: Treat an empty file like a brand new database
+    if (raw.trim() === '') {
+        return {};
+    }
+
+    try {
+        const data = JSON.parse(raw);
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error('top-level value must be an object');
+        }
+        return data;
+    } catch (error) {
+        throw new Error(`Storage file ${filePath} is corrupted: ${error.message}`);
+    }
+};
+
+/**
+ * Writes the database file atomically
+ * @param {string} filePath - Path to the JSON file
+ * @param {Object} data - Data to persist
+ */
+const writeDataFile = (filePath, data) => {
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2));
+    fs.renameSync(tmpPath, filePath);
+};
+
+/**
+ * Creates a store persisted to a JSON file
+ * @param {Object} options
+ * @param {string} options.path - Path to the JSON file (created if missing)
+ * @returns {Object} - Store exposing collection(name) and close()
+ */
+const createJsonStore = ({ path: filePath }) => {
+    if (!filePath) {
+        throw new Error('JSON store requires a file path');
+    }
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+    const store = createMemoryStore({
+        data: readDataFile(filePath),
+        onChange: (data) => writeDataFile(filePath, data)
+    });
+
+    return {
+        ...store,
+        driver: 'json',
+        path: filePath
+    };
+};
+
+module.exports = { createJsonStore };
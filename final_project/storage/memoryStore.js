@@ -0,0 +1,118 @@
+/**
+ * expressBookReviews - In-Memory Collection Store
+ *
+ * Keeps every collection in an object without a prototype, so keys such as
+ * "constructor" or "__proto__" are ordinary records. It is the building block for
+ * the JSON file store (which adds persistence on every write) and can be
+ * used on its own for throwaway instances.
+ *
+ * Every value is deep-copied on the way in and on the way out, so callers
+ * always have to write changes back with set() - mutating an object returned
+ * by get() never changes what is stored.
+ *
+ * version() changes on every write, so callers can cache what they derive
+ * from a collection (e.g. the search index) without comparing its content.
+ *
+ * batch(fn) runs fn and reports its writes as one change, so the JSON file
+ * store writes its file once instead of once per record.
+ */
+
+/**
+ * Deep-copies a JSON-compatible value
+ * @param {*} value - Value to copy
+ * @returns {*} - The copy (undefined stays undefined)
+ */
+const clone = (value) => value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+
+/**
+ * Creates a collection backed by an object
+ * @param {Object} records - Null-prototype object holding the collection's records, keyed by id
+ * @param {Function} onChange - Called after every write
+ * @returns {Object} - Collection with get/has/set/delete/all/keys/count/version
+ */
+const createCollection = (records, onChange) => {
+    let version = 0;
+    return {
+        get: (key) => (Object.hasOwn(records, String(key)) ? clone(records[String(key)]) : undefined),
+        has: (key) => Object.hasOwn(records, String(key)),
+        set: (key, value) => {
+            records[String(key)] = clone(value);
+            version++;
+            onChange();
+            return value;
+        },
+        delete: (key) => {
+            if (!Object.hasOwn(records, String(key))) {
+                return false;
+            }
+            delete records[String(key)];
+            version++;
+            onChange();
+            return true;
+        },
+        all: () => clone(records),
+        keys: () => Object.keys(records),
+        count: () => Object.keys(records).length,
+        version: () => version
+    };
+};
+
+/**
+ * Creates an in-memory store
+ * @param {Object} [options]
+ * @param {Object} [options.data] - Initial data, shaped { collectionName: { key: value } }
+ * @param {Function} [options.onChange] - Called with the full data object after every write (or batch)
+ * @returns {Object} - Store exposing collection(name), batch(fn) and close()
+ */
+const createMemoryStore = ({ data = {}, onChange = () => {} } = {}) => {
+    const collections = new Map();
+    let batchDepth = 0;
+    let changedInBatch = false;
+
+    const changed = () => {
+        if (batchDepth > 0) {
+            changedInBatch = true;
+            return;
+        }
+        onChange(data);
+    };
+
+    /**
+     * Runs synchronous writes as one change
+     * @param {Function} fn - Does the writes; must not be async
+     * @returns {*} - What fn returns
+     */
+    const batch = (fn) => {
+        batchDepth++;
+        try {
+            return fn();
+        } finally {
+            batchDepth--;
+            // EDGE CASE: Writes made before fn threw are kept, so they are still saved
+            if (batchDepth === 0 && changedInBatch) {
+                changedInBatch = false;
+                onChange(data);
+            }
+        }
+    };
+
+    const collection = (name) => {
+        if (!collections.has(name)) {
+            // EDGE CASE: Records named after Object.prototype members ("constructor",
+            // "__proto__") must not resolve to the prototype
+            const records = data[name] && typeof data[name] === 'object' ? data[name] : {};
+            data[name] = Object.assign(Object.create(null), records);
+            collections.set(name, createCollection(data[name], changed));
+        }
+        return collections.get(name);
+    };
+
+    return {
+        driver: 'memory',
+        collection,
+        batch,
+        close: () => {}
+    };
+};
+
+module.exports = { createMemoryStore, clone };
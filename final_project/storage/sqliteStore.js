@@ -0,0 +1,104 @@
+/**
+ * expressBookReviews - SQLite Store
+ *
+ * Persists collections into an embedded SQLite database. Every record is a
+ * row in a single `records` table keyed by (collection, key) with the value
+ * stored as JSON text, which keeps the store interface identical to the JSON
+ * file store and lets new collections appear without schema migrations.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Creates a collection backed by the records table
+ * @param {Object} statements - Prepared statements shared by all collections
+ * @param {string} name - Collection name
+ * @param {Function} dataVersion - Returns SQLite's data_version, which changes when another connection commits
+ * @returns {Object} - Collection with get/has/set/delete/all/keys/count/version
+ */
+const createCollection = (statements, name, dataVersion) => {
+    let writes = 0;
+    return {
+        get: (key) => {
+            const row = statements.get.get(name, String(key));
+            return row ? JSON.parse(row.value) : undefined;
+        },
+        has: (key) => Boolean(statements.get.get(name, String(key))),
+        set: (key, value) => {
+            statements.upsert.run(name, String(key), JSON.stringify(value));
+            writes++;
+            return value;
+        },
+        delete: (key) => {
+            const deleted = statements.delete.run(name, String(key)).changes > 0;
+            writes += deleted ? 1 : 0;
+            return deleted;
+        },
+        // Built with fromEntries so a "__proto__" key is stored as a record, not as the prototype
+        all: () => Object.fromEntries(statements.all.all(name).map(row => [row.key, JSON.parse(row.value)])),
+        keys: () => statements.keys.all(name).map(row => row.key),
+        count: () => statements.count.get(name).count,
+        // EDGE CASE: Writes by other processes (scripts/import-catalogue.js) count too
+        version: () => `${writes}.${dataVersion()}`
+    };
+};
+
+/**
+ * Creates a store persisted to an SQLite database file
+ * @param {Object} options
+ * @param {string} options.path - Path to the database file (created if missing)
+ * @returns {Object} - Store exposing collection(name), batch(fn) and close()
+ */
+const createSqliteStore = ({ path: filePath }) => {
+    if (!filePath) {
+        throw new Error('SQLite store requires a file path');
+    }
+
+    // Loaded lazily so the driver is only needed when SQLite is selected
+    const Database = require('better-sqlite3');
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+    const db = new Database(filePath);
+    db.pragma('journal_mode = WAL');
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS records (
+            collection TEXT NOT NULL,
+            key TEXT NOT NULL,
+            value TEXT NOT NULL,
+            PRIMARY KEY (collection, key)
+        )
+    `);
+
+    // Records come back in insertion order
+    const statements = {
+        get: db.prepare('SELECT value FROM records WHERE collection = ? AND key = ?'),
+        upsert: db.prepare(`
+            INSERT INTO records (collection, key, value) VALUES (?, ?, ?)
+            ON CONFLICT (collection, key) DO UPDATE SET value = excluded.value
+        `),
+        delete: db.prepare('DELETE FROM records WHERE collection = ? AND key = ?'),
+        all: db.prepare('SELECT key, value FROM records WHERE collection = ? ORDER BY rowid'),
+        keys: db.prepare('SELECT key FROM records WHERE collection = ? ORDER BY rowid'),
+        count: db.prepare('SELECT COUNT(*) AS count FROM records WHERE collection = ?')
+    };
+
+    const collections = new Map();
+
+    return {
+        driver: 'sqlite',
+        path: filePath,
+        collection: (name) => {
+            if (!collections.has(name)) {
+                collections.set(name, createCollection(statements, name, () => db.pragma('data_version', { simple: true })));
+            }
+            return collections.get(name);
+        },
+        // One transaction: all of fn's writes or none of them
+        batch: (fn) => db.transaction(fn)(),
+        close: () => db.close()
+    };
+};
+
+module.exports = { createSqliteStore };
@@ -0,0 +1,178 @@
+/**
+ * expressBookReviews - Shelf Route Tests
+ *
+ * Runs the shelf routers on an in-memory store: slug handling, ownership
+ * and the public view. Run with `npm test`.
+ */
+
+process.env.STORAGE_DRIVER = 'memory';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { authenticate } = require('../auth/middleware.js');
+const { createTokenSession } = require('../auth/tokens.js');
+const { shelves, publicShelves } = require('../router/shelves.js');
+
+const ISBN = '1';
+
+let server;
+let baseUrl;
+const tokens = {};
+
+/**
+ * Sends a request to the test server
+ * @param {string} method - HTTP method
+ * @param {string} path - Path below the server root
+ * @param {Object} [options]
+ * @param {string} [options.as] - Username whose access token to send
+ * @param {Object} [options.body] - JSON body
+ * @returns {Promise<{ status: number, body: Object }>} - Status and parsed body
+ */
+const request = async (method, path, { as, body } = {}) => {
+    const headers = { 'Content-Type': 'application/json' };
+    if (as) {
+        headers.Authorization = `Bearer ${tokens[as]}`;
+    }
+    const res = await fetch(baseUrl + path, {
+        method,
+        headers,
+        ...(body !== undefined && { body: JSON.stringify(body) })
+    });
+    return { status: res.status, body: await res.json() };
+};
+
+before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/customer/auth/*', authenticate);
+    app.use('/customer/auth/shelves', shelves);
+    app.use('/', publicShelves);
+
+    for (const username of ['alice', 'bob']) {
+        tokens[username] = createTokenSession(username).accessToken;
+    }
+
+    await new Promise(resolve => { server = app.listen(0, '127.0.0.1', resolve); });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+describe('shelf slugs', () => {
+    it('derives the id from the name', async () => {
+        const { status, body } = await request('POST', '/customer/auth/shelves', { as: 'alice', body: { name: 'Summer 2025' } });
+        assert.equal(status, 201);
+        assert.equal(body.shelf.id, 'summer-2025');
+    });
+
+    it('rejects a second shelf with the same id', async () => {
+        const { status } = await request('POST', '/customer/auth/shelves', { as: 'alice', body: { name: 'summer  2025!' } });
+        assert.equal(status, 409);
+    });
+
+    for (const name of ['Visibility', 'constructor', 'Constructor']) {
+        it(`reserves "${name}"`, async () => {
+            const { status } = await request('POST', '/customer/auth/shelves', { as: 'alice', body: { name } });
+            assert.equal(status, 400);
+        });
+    }
+
+    it('slugifies "__proto__" to a plain id', async () => {
+        const { status, body } = await request('POST', '/customer/auth/shelves', { as: 'bob', body: { name: '__proto__' } });
+        assert.equal(status, 201);
+        assert.equal(body.shelf.id, 'proto');
+        assert.equal(Object.prototype.name, undefined);
+    });
+
+    for (const slug of ['constructor', 'hasOwnProperty', '__proto__', 'toString']) {
+        it(`does not resolve "${slug}" to an Object.prototype member`, async () => {
+            assert.equal((await request('GET', `/customer/auth/shelves/${slug}`, { as: 'alice' })).status, 404);
+            assert.equal((await request('PATCH', `/customer/auth/shelves/${slug}`, { as: 'alice', body: { name: 'Renamed' } })).status, 404);
+            assert.equal((await request('PUT', `/customer/auth/shelves/${slug}/books/${ISBN}`, { as: 'alice', body: {} })).status, 404);
+        });
+    }
+
+    it('does not rename built-in shelves', async () => {
+        const { status } = await request('PATCH', '/customer/auth/shelves/read', { as: 'alice', body: { name: 'Done' } });
+        assert.equal(status, 400);
+    });
+});
+
+describe('shelf ownership', () => {
+    before(async () => {
+        await request('PUT', `/customer/auth/shelves/summer-2025/books/${ISBN}`, { as: 'alice', body: { notes: 'private note' } });
+    });
+
+    it('requires a signed-in user', async () => {
+        assert.equal((await request('GET', '/customer/auth/shelves')).status, 403);
+    });
+
+    it('does not show another user\'s custom shelf', async () => {
+        const { status } = await request('GET', '/customer/auth/shelves/summer-2025', { as: 'bob' });
+        assert.equal(status, 404);
+    });
+
+    it('does not let another user change or delete the shelf', async () => {
+        assert.equal((await request('PATCH', '/customer/auth/shelves/summer-2025', { as: 'bob', body: { name: 'Mine' } })).status, 404);
+        assert.equal((await request('DELETE', '/customer/auth/shelves/summer-2025', { as: 'bob' })).status, 404);
+
+        const { status, body } = await request('GET', '/customer/auth/shelves/summer-2025', { as: 'alice' });
+        assert.equal(status, 200);
+        assert.equal(body.name, 'Summer 2025');
+        assert.equal(body.books.length, 1);
+    });
+
+    it('gives every user their own built-in shelves', async () => {
+        await request('PUT', `/customer/auth/shelves/read/books/${ISBN}`, { as: 'alice', body: {} });
+        const { body } = await request('GET', '/customer/auth/shelves/read', { as: 'bob' });
+        assert.equal(body.bookCount, 0);
+    });
+});
+
+describe('shelf visibility', () => {
+    it('keeps shelves private by default', async () => {
+        assert.equal((await request('GET', '/users/alice/shelves')).status, 404);
+        assert.equal((await request('GET', '/users/alice/shelves/summer-2025')).status, 404);
+    });
+
+    it('answers unknown users like private shelves', async () => {
+        for (const username of ['nobody', 'constructor', '__proto__', 'hasOwnProperty']) {
+            assert.equal((await request('GET', `/users/${username}/shelves`)).status, 404, username);
+        }
+    });
+
+    it('publishes shelves without the private notes once opted in', async () => {
+        const optIn = await request('PUT', '/customer/auth/shelves/visibility', { as: 'alice', body: { public: true } });
+        assert.equal(optIn.status, 200);
+        assert.equal(optIn.body.url, '/users/alice/shelves');
+
+        const list = await request('GET', '/users/Alice/shelves');
+        assert.equal(list.status, 200);
+        assert.ok(list.body.shelves.some(shelf => shelf.id === 'summer-2025'));
+
+        const shelf = await request('GET', '/users/alice/shelves/summer-2025');
+        assert.equal(shelf.status, 200);
+        assert.equal(shelf.body.books.length, 1);
+        assert.equal(shelf.body.books[0].notes, undefined);
+
+        const own = await request('GET', '/customer/auth/shelves/summer-2025', { as: 'alice' });
+        assert.equal(own.body.books[0].notes, 'private note');
+    });
+
+    it('does not resolve prototype slugs on a public list', async () => {
+        for (const slug of ['constructor', 'hasOwnProperty', '__proto__']) {
+            assert.equal((await request('GET', `/users/alice/shelves/${slug}`)).status, 404, slug);
+        }
+    });
+
+    it('hides the shelves again when the owner opts out', async () => {
+        await request('PUT', '/customer/auth/shelves/visibility', { as: 'alice', body: { public: false } });
+        assert.equal((await request('GET', '/users/alice/shelves')).status, 404);
+    });
+
+    it('rejects a visibility value that is not a boolean', async () => {
+        const { status } = await request('PUT', '/customer/auth/shelves/visibility', { as: 'alice', body: { public: 'yes' } });
+        assert.equal(status, 400);
+    });
+});
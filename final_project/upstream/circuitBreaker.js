@@ -0,0 +1,78 @@
+/**
+ * expressBookReviews - Circuit Breaker
+ *
+ * Stops calling an upstream that keeps failing:
+ * - closed:    requests go through; consecutive failures are counted
+ * - open:      after failureThreshold failures in a row, requests are refused
+ *              immediately for resetTimeoutMs
+ * - half-open: once that time has passed, a single trial request is let
+ *              through; success closes the circuit, failure opens it again
+ */
+
+/**
+ * Creates a circuit breaker
+ * @param {Object} [options]
+ * @param {number} [options.failureThreshold] - Consecutive failures before opening
+ * @param {number} [options.resetTimeoutMs] - How long to stay open before a trial request
+ * @param {Function} [options.now] - Clock, for tests
+ * @returns {Object} - { canRequest, recordSuccess, recordFailure, retryAfterMs, getState }
+ */
+const createCircuitBreaker = ({ failureThreshold = 5, resetTimeoutMs = 30000, now = Date.now } = {}) => {
+    let state = 'closed';
+    let failures = 0;
+    let openedAt = 0;
+    let trialInFlight = false;
+
+    /**
+     * Decides whether a request may be sent now
+     * Moves an open circuit to half-open once resetTimeoutMs has passed.
+     * @returns {boolean} - False while the circuit is open
+     */
+    const canRequest = () => {
+        if (state === 'open' && now() - openedAt >= resetTimeoutMs) {
+            state = 'half-open';
+            trialInFlight = false;
+        }
+        if (state === 'closed') {
+            return true;
+        }
+        // EDGE CASE: Concurrent requests while half-open - only one trial at a time
+        if (state === 'half-open' && !trialInFlight) {
+            trialInFlight = true;
+            return true;
+        }
+        return false;
+    };
+
+    const recordSuccess = () => {
+        state = 'closed';
+        failures = 0;
+        trialInFlight = false;
+    };
+
+    const recordFailure = () => {
+        failures++;
+        trialInFlight = false;
+        if (state === 'half-open' || failures >= failureThreshold) {
+            state = 'open';
+            openedAt = now();
+        }
+    };
+
+    /**
+     * Time left until the next trial request is allowed
+     * @returns {number} - Milliseconds, 0 unless the circuit is open
+     */
+    const retryAfterMs = () => (state === 'open' ? Math.max(0, openedAt + resetTimeoutMs - now()) : 0);
+
+    const getState = () => ({
+        state,
+        consecutiveFailures: failures,
+        openedAt: state === 'open' ? new Date(openedAt).toISOString() : null,
+        retryAfterMs: retryAfterMs()
+    });
+
+    return { canRequest, recordSuccess, recordFailure, retryAfterMs, getState };
+};
+
+module.exports = { createCircuitBreaker };
@@ -0,0 +1,299 @@
+/**
+ * expressBookReviews - Upstream Catalogue Client
+ *
+ * HTTP client for the book service behind the /async routes. By default
+ * that is this server's own synchronous API; set upstream.baseUrl to point
+ * it at a remote service exposing the same paths (/, /isbn/:isbn, ...).
+ *
+ * Every GET goes through, in order:
+ * - the circuit breaker (circuitBreaker.js): fails fast while the upstream is down
+ * - the response cache (responseCache.js): fresh entries are served locally,
+ *   stale ones revalidated with If-None-Match
+ * - retries with exponential backoff and full jitter for network errors,
+ *   timeouts and 408/429/5xx responses
+ *
+ * Errors are tagged for the caller:
+ *   isHttpError (status, data), isConnectionError, isTimeoutError,
+ *   isDnsError, isNetworkError, isCircuitOpenError (retryAfterMs)
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const config = require('../config.js');
+const db = require('../storage').getStore();
+const { createCircuitBreaker } = require('./circuitBreaker.js');
+const { createResponseCache } = require('./responseCache.js');
+
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+const RETRYABLE_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN'];
+
+// Sent with requests to this server's own API, so they are not rate limited a second time
+const INTERNAL_REQUEST_HEADER = 'X-Internal-Request';
+const INTERNAL_REQUEST_TOKEN = crypto.randomBytes(16).toString('hex');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Tags a failed request with the flags the routes translate into responses
+ * @param {Error} error - Error thrown by axios
+ * @param {number} timeoutMs - Configured timeout, for the message
+ * @returns {Error} - The same error
+ */
+const classifyError = (error, timeoutMs) => {
+    if (error.response) {
+        // The upstream answered with a status outside the accepted range
+        error.isHttpError = true;
+        error.status = error.response.status;
+        error.data = error.response.data;
+    } else if (error.code === 'ECONNREFUSED') {
+        error.message = 'Unable to connect to the server. The service might be down.';
+        error.isConnectionError = true;
+    } else if (error.code === 'ETIMEDOUT' || error.code === 'ECONNABORTED') {
+        error.message = `Request timed out after ${timeoutMs / 1000} seconds. The server might be overloaded.`;
+        error.isTimeoutError = true;
+    } else if (error.code === 'ENOTFOUND') {
+        error.message = 'Server host not found. Please check the server configuration.';
+        error.isDnsError = true;
+    } else if (error.request) {
+        // The request was made but no response was received
+        error.message = 'No response received from server';
+        error.isNetworkError = true;
+    }
+    return error;
+};
+
+/**
+ * Decides whether a failed attempt is worth repeating
+ * @param {Error} error - Classified error
+ * @returns {boolean} - True for transient failures
+ */
+const isRetryable = (error) => (error.isHttpError
+    ? RETRYABLE_STATUSES.includes(error.status)
+    : RETRYABLE_CODES.includes(error.code) || Boolean(error.isNetworkError));
+
+/**
+ * Decides whether a failure means the upstream itself is unhealthy
+ * Client errors (4xx other than 408/429) are answers, not outages.
+ * @param {Error} error - Classified error
+ * @returns {boolean} - True if the circuit breaker should count it
+ */
+const isUpstreamFailure = (error) => !error.isHttpError || error.status >= 500 || RETRYABLE_STATUSES.includes(error.status);
+
+/**
+ * Parses a Retry-After header given in seconds
+ * @param {Error} error - Classified HTTP error
+ * @returns {number|null} - Milliseconds, or null if absent or not numeric
+ */
+const retryAfterHeader = (error) => {
+    const value = error.response && error.response.headers && error.response.headers['retry-after'];
+    return value && /^\d+$/.test(String(value)) ? Number(value) * 1000 : null;
+};
+
+/**
+ * Creates an upstream client
+ * @param {Object} options
+ * @param {string} options.baseUrl - Service root, e.g. http://localhost:5000
+ * @param {number} [options.timeoutMs] - Per-attempt timeout
+ * @param {number} [options.retries] - Extra attempts after the first one
+ * @param {number} [options.retryBaseDelayMs] - Backoff before the first retry (doubles each time)
+ * @param {number} [options.retryMaxDelayMs] - Upper bound for a single backoff
+ * @param {Object} [options.circuitBreaker] - Options for createCircuitBreaker
+ * @param {Object} [options.cache] - Options for createResponseCache
+ * @param {Object} [options.headers] - Extra headers sent with every request
+ * @param {Object} [options.http] - axios-compatible client, for tests
+ * @param {Function} [options.sleep] - Delay function, for tests
+ * @param {Function} [options.random] - Random source for jitter, for tests
+ * @returns {Object} - { get, getStats, clearCache, baseUrl }
+ */
+const createUpstreamClient = ({
+    baseUrl,
+    timeoutMs = 10000,
+    retries = 2,
+    retryBaseDelayMs = 200,
+    retryMaxDelayMs = 5000,
+    circuitBreaker: breakerOptions = {},
+    cache: cacheOptions = {},
+    headers: extraHeaders = {},
+    http = axios,
+    sleep: wait = sleep,
+    random = Math.random
+}) => {
+    if (!baseUrl) {
+        throw new Error('Upstream client needs a baseUrl');
+    }
+    const root = baseUrl.replace(/\/+$/, '');
+    const breaker = createCircuitBreaker(breakerOptions);
+    const cache = createResponseCache(cacheOptions);
+    const counters = { requests: 0, retries: 0, failures: 0, rejectedByBreaker: 0 };
+
+    /**
+     * Sends one HTTP request
+     * @param {string} path - Path below baseUrl
+     * @param {string|null} etag - ETag to revalidate, if any
+     * @returns {Promise<Object>} - axios response (2xx or 304)
+     */
+    const attempt = (path, etag) => http.get(root + path, {
+        timeout: timeoutMs,
+        maxRedirects: 3, // Prevent infinite redirects
+        maxContentLength: 50 * 1024 * 1024, // 50MB max response size
+        validateStatus: status => (status >= 200 && status < 300) || status === 304,
+        headers: {
+            'User-Agent': 'expressBookReviews/1.0',
+            'Accept': 'application/json',
+            'X-Requested-With': 'XMLHttpRequest',
+            ...extraHeaders,
+            ...(etag && { 'If-None-Match': etag })
+        }
+    });
+
+    /**
+     * Sends a request, retrying transient failures with exponential backoff
+     * @param {string} path - Path below baseUrl
+     * @param {string|null} etag - ETag to revalidate, if any
+     * @returns {Promise<Object>} - axios response
+     */
+    const attemptWithRetries = async (path, etag) => {
+        for (let attemptNumber = 0; ; attemptNumber++) {
+            try {
+                counters.requests++;
+                return await attempt(path, etag);
+            } catch (rawError) {
+                const error = classifyError(rawError, timeoutMs);
+                if (attemptNumber >= retries || !isRetryable(error)) {
+                    error.attempts = attemptNumber + 1;
+                    throw error;
+                }
+                // Full jitter: anywhere between 0 and the exponential bound, unless the upstream said when
+                const bound = Math.min(retryMaxDelayMs, retryBaseDelayMs * 2 ** attemptNumber);
+                const delay = error.isHttpError && retryAfterHeader(error) !== null
+                    ? Math.min(retryMaxDelayMs, retryAfterHeader(error))
+                    : Math.round(bound * random());
+                counters.retries++;
+                await wait(delay);
+            }
+        }
+    };
+
+    /**
+     * Fetches a path from the upstream
+     * @param {string} path - Path below baseUrl, starting with /
+     * @returns {Promise<Object>} - Response body
+     * @throws {Error} - Tagged as described in the module comment
+     */
+    const get = async (path) => {
+        const cached = cache.lookup(path);
+        if (cached && cached.fresh) {
+            return cached.data;
+        }
+
+        if (!breaker.canRequest()) {
+            counters.rejectedByBreaker++;
+            const error = new Error('The book service is temporarily unavailable after repeated failures.');
+            error.isCircuitOpenError = true;
+            error.retryAfterMs = breaker.retryAfterMs();
+            throw error;
+        }
+
+        try {
+            // Read before the request, so a write made meanwhile marks the stored response stale
+            const dataVersion = cache.currentVersion();
+            let response = await attemptWithRetries(path, cached && cached.etag);
+
+            // EDGE CASE: 304 with nothing cached to revalidate - ask again without conditions
+            if (response.status === 304 && !cached) {
+                response = await attemptWithRetries(path, null);
+            }
+
+            // EDGE CASE: Check for empty response
+            if (response.status === 304 ? !cached : !response.data) {
+                throw new Error('Empty response received from server');
+            }
+            breaker.recordSuccess();
+
+            if (response.status === 304 && cached) {
+                cache.refresh(path);
+                return cached.data;
+            }
+
+            cache.store(path, response.data, response.headers && response.headers.etag, dataVersion);
+            return response.data;
+        } catch (error) {
+            if (isUpstreamFailure(error)) {
+                breaker.recordFailure();
+                counters.failures++;
+            } else {
+                // A 404 or 400 still proves the upstream is reachable
+                breaker.recordSuccess();
+            }
+            throw error;
+        }
+    };
+
+    const getStats = () => ({
+        baseUrl: root,
+        ...counters,
+        circuitBreaker: breaker.getState(),
+        cache: cache.getStats()
+    });
+
+    return { get, getStats, clearCache: cache.clear, baseUrl: root };
+};
+
+let defaultClient = null;
+
+/**
+ * Version of the data this server's own API answers from: books (with their
+ * reviews) and authors. Self-call responses cached at another version are stale.
+ * @returns {string} - Changes on every write to either collection
+ */
+const localDataVersion = () => `${db.books.version()}.${db.collection('authors').version()}`;
+
+/**
+ * Returns the application-wide upstream client, creating it on first call
+ * Settings come from the upstream section of config.js; without a baseUrl
+ * the client calls this server's own API, and its cache is dropped on writes.
+ * @returns {Object} - The shared client
+ */
+const getUpstreamClient = () => {
+    if (!defaultClient) {
+        const { upstream, server } = config;
+        defaultClient = createUpstreamClient({
+            baseUrl: upstream.baseUrl || `http://${server.host}:${server.port}`,
+            // Never hand the token to a remote service
+            headers: upstream.baseUrl ? {} : { [INTERNAL_REQUEST_HEADER]: INTERNAL_REQUEST_TOKEN },
+            timeoutMs: upstream.timeoutMs,
+            retries: upstream.retries,
+            retryBaseDelayMs: upstream.retryBaseDelayMs,
+            retryMaxDelayMs: upstream.retryMaxDelayMs,
+            circuitBreaker: upstream.circuitBreaker,
+            cache: upstream.baseUrl ? upstream.cache : { ...upstream.cache, version: localDataVersion }
+        });
+    }
+    return defaultClient;
+};
+
+/**
+ * Returns the query string of the current request, including the leading "?"
+ * Used by the async routes in router/general.js to forward page/limit/sort/fields unchanged.
+ * @param {Object} req - Express request object
+ * @returns {string} - e.g. "?page=2&limit=5", or "" when there is none
+ */
+const forwardedQuery = (req) => {
+    const index = req.originalUrl.indexOf('?');
+    return index === -1 ? '' : req.originalUrl.slice(index);
+};
+
+/**
+ * Recognizes requests this server's upstream client sent to itself
+ * @param {Object} req - Express request object
+ * @returns {boolean} - True if the request carries this process's internal token
+ */
+const isInternalRequest = (req) => {
+    const token = req.get(INTERNAL_REQUEST_HEADER);
+    // EDGE CASE: timingSafeEqual needs equal byte lengths; non-ASCII headers have more bytes than characters
+    return typeof token === 'string'
+        && Buffer.byteLength(token) === Buffer.byteLength(INTERNAL_REQUEST_TOKEN)
+        && crypto.timingSafeEqual(Buffer.from(token), Buffer.from(INTERNAL_REQUEST_TOKEN));
+};
+
+module.exports = { createUpstreamClient, getUpstreamClient, forwardedQuery, isInternalRequest };
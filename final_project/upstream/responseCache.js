@@ -0,0 +1,93 @@
+/**
+ * expressBookReviews - Upstream Response Cache
+ *
+ * Keeps successful GET responses by path:
+ * - within ttlMs of being stored (or revalidated) an entry is served without
+ *   contacting the upstream
+ * - after that, an entry with an ETag is revalidated with If-None-Match; a
+ *   304 answer makes it fresh again without transferring the body
+ * - at most maxEntries are kept; the least recently used entry goes first
+ * - with a version function, entries stored at another version are dropped,
+ *   so self-calls never see data older than the last write
+ */
+
+/**
+ * Creates a response cache
+ * @param {Object} [options]
+ * @param {number} [options.ttlMs] - Freshness lifetime; 0 revalidates on every request
+ * @param {number} [options.maxEntries] - Capacity; 0 disables the cache
+ * @param {Function} [options.now] - Clock, for tests
+ * @param {Function} [options.version] - Returns the version of the data behind the responses
+ * @returns {Object} - { lookup, store, refresh, clear, currentVersion, getStats }
+ */
+const createResponseCache = ({ ttlMs = 5000, maxEntries = 500, now = Date.now, version = () => null } = {}) => {
+    const entries = new Map();
+    const stats = { hits: 0, revalidations: 0, misses: 0, invalidations: 0 };
+
+    /**
+     * Finds the cached response for a path
+     * @param {string} key - Request path
+     * @returns {Object|null} - { data, etag, fresh }, or null if nothing is cached
+     */
+    const lookup = (key) => {
+        const entry = entries.get(key);
+        if (entry && entry.version !== version()) {
+            entries.delete(key);
+            stats.invalidations++;
+            stats.misses++;
+            return null;
+        }
+        if (!entry) {
+            stats.misses++;
+            return null;
+        }
+        // Re-insert so Map order tracks recency of use
+        entries.delete(key);
+        entries.set(key, entry);
+
+        const fresh = now() - entry.storedAt < ttlMs;
+        if (fresh) {
+            stats.hits++;
+        }
+        return { data: entry.data, etag: entry.etag, fresh };
+    };
+
+    /**
+     * Stores a response
+     * @param {string} key - Request path
+     * @param {Object} data - Response body
+     * @param {string|undefined} etag - ETag response header
+     * @param {*} [dataVersion] - currentVersion() from before the request was sent
+     */
+    const store = (key, data, etag, dataVersion = version()) => {
+        if (maxEntries === 0) {
+            return;
+        }
+        entries.delete(key);
+        entries.set(key, { data, etag: etag || null, storedAt: now(), version: dataVersion });
+
+        while (entries.size > maxEntries) {
+            entries.delete(entries.keys().next().value);
+        }
+    };
+
+    /**
+     * Marks an entry fresh again after a 304 Not Modified
+     * @param {string} key - Request path
+     */
+    const refresh = (key) => {
+        const entry = entries.get(key);
+        if (entry) {
+            entry.storedAt = now();
+            stats.revalidations++;
+        }
+    };
+
+    const clear = () => entries.clear();
+
+    const getStats = () => ({ ...stats, entries: entries.size, maxEntries, ttlMs });
+
+    return { lookup, store, refresh, clear, currentVersion: version, getStats };
+};
+
+module.exports = { createResponseCache };